@@ -0,0 +1,285 @@
+/**
+ * =====================================================
+   سجل التدقيق
+   Audit Trail
+ * =====================================================
+ * الملف: frontend/js/admin-audit.js
+ * الغرض: عرض سجل تغييرات الأسعار والإعدادات مع الفلاتر والفرق قبل/بعد
+ * =====================================================
+ */
+
+const AUDIT_PAGE_SIZE = 20;
+
+const AUDIT_ENTITIES = {
+    'gold-price': 'سعر ذهب',
+    'currency-rate': 'سعر عملة',
+    settings: 'الإعدادات'
+};
+
+const AUDIT_ACTIONS = {
+    POST: 'إضافة',
+    PUT: 'تعديل',
+    DELETE: 'حذف'
+};
+
+// =====================================================
+// خدمة سجل التدقيق
+// Audit API service
+// =====================================================
+const AuditAPI = API.registerService('audit', api => ({
+    /**
+     * جلب سجل التغييرات
+     */
+    getLogs(filters = {}, options = {}) {
+        return api.get('/audit', { ...options, params: filters });
+    },
+
+    /**
+     * جلب تغيير محدد
+     */
+    getEntry(id) {
+        return api.get(`/audit/${id}`);
+    }
+}), { cacheTtl: { '/audit': 0 } });
+
+// =====================================================
+// فئة سجل التدقيق
+// Audit Log Class
+// =====================================================
+class AuditLog {
+    constructor(admin) {
+        this.admin = admin;
+        this.entries = [];
+        this.page = 1;
+        this.total = 0;
+        this.totalPages = 1;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.section = document.getElementById('audit-section');
+        this.form = document.getElementById('audit-filters');
+        if (!this.section || !this.form) return;
+
+        this.attachEventListeners();
+        await this.fetchEntries();
+    }
+
+    /**
+     * قراءة الفلاتر
+     * Read filters (التاريخ "إلى" يشمل اليوم كاملاً)
+     */
+    readFilters() {
+        const { user, entity, from, to } = this.form.elements;
+        const filters = { page: this.page, limit: AUDIT_PAGE_SIZE };
+
+        if (user.value.trim()) filters.user = user.value.trim();
+        if (entity.value) filters.entity = entity.value;
+        if (from.value) filters.from = new Date(`${from.value}T00:00:00`).toISOString();
+        if (to.value) filters.to = new Date(`${to.value}T23:59:59.999`).toISOString();
+
+        return filters;
+    }
+
+    /**
+     * جلب السجل للصفحة الحالية
+     * Fetch entries for current page
+     */
+    async fetchEntries() {
+        try {
+            const response = await AuditAPI.getLogs(this.readFilters());
+            if (response.success) {
+                const data = response.data;
+                const pagination = response.pagination || data.pagination || {};
+
+                this.entries = Array.isArray(data) ? data : data.entries || [];
+                this.total = pagination.total ?? this.entries.length;
+                this.totalPages = Math.max(pagination.totalPages || Math.ceil(this.total / AUDIT_PAGE_SIZE), 1);
+
+                this.renderEntries();
+            }
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            this.admin.showMessage('تعذر جلب سجل التغييرات', 'danger');
+        }
+    }
+
+    /**
+     * عرض جدول السجل
+     * Render audit table
+     */
+    renderEntries() {
+        const tbody = document.getElementById('audit-table');
+        if (!tbody) return;
+
+        tbody.innerHTML = this.entries.length === 0
+            ? `
+                <tr>
+                    <td colspan="6" class="text-center text-muted">لا توجد تغييرات مطابقة</td>
+                </tr>
+            `
+            : this.entries.map(entry => this.createEntryRow(entry)).join('');
+
+        this.renderPagination();
+    }
+
+    /**
+     * إنشاء صف تغيير
+     * Create entry row
+     */
+    createEntryRow(entry) {
+        const username = entry.username || (entry.user && entry.user.username) || '-';
+
+        return Html.template`
+            <tr>
+                <td class="text-sm">${I18n.formatDate(entry.timestamp || entry.createdAt)}</td>
+                <td>${username}</td>
+                <td>
+                    <span class="badge badge-gold">${AUDIT_ENTITIES[entry.entity] || entry.entity}</span>
+                    <span class="text-sm text-muted">${entry.entityId ?? ''}</span>
+                </td>
+                <td>${AUDIT_ACTIONS[entry.action] || entry.action}</td>
+                <td>${entry.reason || '-'}</td>
+                <td>
+                    <button class="btn btn-secondary btn-sm" data-action="audit-diff" data-id="${entry.id}">الفرق</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * عرض أزرار التنقل بين الصفحات
+     * Render pagination
+     */
+    renderPagination() {
+        const container = document.getElementById('audit-pagination');
+        if (!container) return;
+
+        container.innerHTML = `
+            <button class="btn btn-secondary btn-sm" data-action="audit-page" data-page="${this.page - 1}" ${this.page <= 1 ? 'disabled' : ''}>السابق</button>
+            <span class="text-sm text-muted">صفحة ${this.page} من ${this.totalPages} (${this.total} تغيير)</span>
+            <button class="btn btn-secondary btn-sm" data-action="audit-page" data-page="${this.page + 1}" ${this.page >= this.totalPages ? 'disabled' : ''}>التالي</button>
+        `;
+    }
+
+    /**
+     * حساب الفرق بين نسختين
+     * Compute field-level diff between before/after snapshots
+     */
+    static diff(before, after) {
+        const flatten = (value, prefix = '', result = {}) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, nested]) => {
+                    flatten(nested, prefix ? `${prefix}.${key}` : key, result);
+                });
+            } else if (prefix) {
+                result[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+            }
+            return result;
+        };
+
+        const previous = flatten(before);
+        const next = flatten(after);
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+        return fields
+            .filter(field => previous[field] !== next[field])
+            .map(field => ({ field, before: previous[field], after: next[field] }));
+    }
+
+    /**
+     * عرض الفرق قبل/بعد
+     * Show before/after diff
+     */
+    showDiff(id) {
+        const entry = this.entries.find(item => String(item.id) === String(id));
+        const container = document.getElementById('audit-diff');
+        if (!entry || !container) return;
+
+        const changes = AuditLog.diff(entry.before, entry.after);
+        const format = value => (value === undefined || value === null || value === '' ? '—' : value);
+
+        container.innerHTML = changes.length === 0
+            ? '<p class="text-center text-muted">لا توجد فروق مسجلة</p>'
+            : `
+                <table class="admin-table audit-diff-table">
+                    <thead>
+                        <tr>
+                            <th>الحقل</th>
+                            <th>قبل</th>
+                            <th>بعد</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(change => Html.template`
+                            <tr>
+                                <td>${change.field}</td>
+                                <td class="text-danger">${format(change.before)}</td>
+                                <td class="text-success">${format(change.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        this.admin.openModal('audit-modal');
+    }
+
+    /**
+     * الانتقال لصفحة
+     * Go to page
+     */
+    goToPage(page) {
+        if (page < 1 || page > this.totalPages) return;
+
+        this.page = page;
+        this.fetchEntries();
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.page = 1;
+            this.fetchEntries();
+        });
+
+        this.form.addEventListener('reset', () => {
+            // القيم تُمسح بعد انتهاء الحدث
+            setTimeout(() => {
+                this.page = 1;
+                this.fetchEntries();
+            }, 0);
+        });
+
+        this.section.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action^="audit-"]');
+            if (!actionBtn) return;
+
+            switch (actionBtn.dataset.action) {
+                case 'audit-diff':
+                    this.showDiff(actionBtn.dataset.id);
+                    break;
+                case 'audit-page':
+                    this.goToPage(Number(actionBtn.dataset.page));
+                    break;
+            }
+        });
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditAPI, AuditLog };
+}
@@ -0,0 +1,545 @@
+/**
+ * =====================================================
+   استيراد وتصدير الأسعار
+   Price Import & Export
+ * =====================================================
+ * الملف: frontend/js/admin-import-export.js
+ * الغرض: تصدير الأسعار وتاريخها إلى CSV واستيراد أوراق الأسعار من Excel مع تقرير أخطاء لكل صف
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات الاستيراد والتصدير
+// Import/Export Configuration
+// =====================================================
+const CSV_CONFIG = {
+    // BOM ليعرض Excel النص العربي بشكل صحيح
+    BOM: '\uFEFF',
+    DELIMITERS: [',', ';', '\t'],
+    MAX_ROWS: 500,
+    // أسماء الأعمدة المقبولة عند الاستيراد (بعد التحويل لأحرف صغيرة)
+    COLUMNS: {
+        karat: ['karat', 'العيار'],
+        code: ['code', 'currency', 'رمز العملة', 'العملة'],
+        buy: ['buy', 'buyprice', 'buyrate', 'سعر الشراء', 'الشراء'],
+        sell: ['sell', 'sellprice', 'sellrate', 'سعر البيع', 'البيع']
+    }
+};
+
+// =====================================================
+// أدوات CSV
+// CSV helpers
+// =====================================================
+const CSV = {
+    /**
+     * تحويل الصفوف إلى نص CSV
+     * Serialize rows to CSV (RFC 4180)
+     */
+    stringify(rows) {
+        return rows.map(row => row.map(value => this.formatCell(value)).join(',')).join('\r\n');
+    },
+
+    /**
+     * تنسيق خلية
+     * Quote a cell when needed and neutralize spreadsheet formulas
+     */
+    formatCell(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+
+        // منع تنفيذ الصيغ عند فتح الملف في Excel
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n;\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * تحليل نص CSV
+     * Parse CSV text into rows (يدعم الحقول المقتبسة والفواصل , ; وTab)
+     */
+    parse(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = CSV_CONFIG.DELIMITERS
+            .map(char => ({ char, count: firstLine.split(char).length }))
+            .sort((a, b) => b.count - a.count)[0].char;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * هل الصف فارغ؟
+     * Is row blank
+     */
+    isBlank(cells) {
+        return cells.every(value => value.trim() === '');
+    },
+
+    /**
+     * تحويل رقم من ورقة الأسعار
+     * Parse a number (يقبل الأرقام العربية والفاصلة العشرية العربية)
+     */
+    parseNumber(value) {
+        const normalized = String(value || '')
+            .trim()
+            .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/٫/g, '.')
+            .replace(/[٬\s]/g, '');
+
+        return normalized === '' || !/^-?\d+(\.\d+)?$/.test(normalized) ? NaN : parseFloat(normalized);
+    },
+
+    /**
+     * تنزيل ملف CSV
+     * Download CSV file (UTF-8 with BOM)
+     */
+    download(filename, rows) {
+        const blob = new Blob([CSV_CONFIG.BOM + this.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// =====================================================
+// فئة استيراد وتصدير الأسعار
+// Price Import/Export Class
+// =====================================================
+class PriceImportExport {
+    constructor(admin) {
+        this.admin = admin;
+        this.importKind = null;
+        this.validRows = [];
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    init() {
+        this.form = document.getElementById('import-export-form');
+        if (!this.form) return;
+
+        this.renderHistoryItems();
+        this.attachEventListeners();
+    }
+
+    /**
+     * اسم الملف مع تاريخ اليوم
+     * Filename with today's date
+     */
+    buildFilename(name) {
+        return `${name}-${new Date().toISOString().slice(0, 10)}.csv`;
+    }
+
+    /**
+     * تصدير الأسعار الحالية
+     * Export current prices or rates
+     */
+    async exportCurrent() {
+        const kind = this.form.elements.kind.value;
+
+        try {
+            if (kind === 'gold') {
+                const response = await GoldAPI.getAllPrices();
+                const prices = response.success ? response.data : [];
+
+                CSV.download(this.buildFilename('gold-prices'), [
+                    ['العيار', 'النوع', 'سعر الشراء', 'سعر البيع'],
+                    ...prices.map(price => [price.karat, price.goldTypeName, price.buyPrice, price.sellPrice])
+                ]);
+            } else {
+                const response = await CurrencyAPI.getAllRates();
+                const rates = response.success ? response.data : [];
+
+                CSV.download(this.buildFilename('currency-rates'), [
+                    ['رمز العملة', 'العملة', 'سعر الشراء', 'سعر البيع'],
+                    ...rates.map(rate => [rate.currencyCode, rate.currencyName, rate.buyRate, rate.sellRate])
+                ]);
+            }
+        } catch (error) {
+            console.error('Error exporting prices:', error);
+            this.admin.showMessage(error.message || 'تعذر تصدير الأسعار', 'danger');
+        }
+    }
+
+    /**
+     * عرض عناصر التاريخ حسب النوع
+     * Render history item options for the selected kind
+     */
+    renderHistoryItems() {
+        const select = this.form.elements.historyItem;
+        if (!select) return;
+
+        const items = this.form.elements.kind.value === 'gold'
+            ? this.admin.goldTypes.map(type => ({ id: type.id, label: `${type.name} (${type.karat}K)` }))
+            : this.admin.currencies.map(currency => ({ id: currency.id, label: `${currency.name} (${currency.code})` }));
+
+        select.innerHTML = items.map(item => Html.template`
+            <option value="${item.id}">${item.label}</option>
+        `).join('');
+    }
+
+    /**
+     * تصدير تاريخ الأسعار لفترة
+     * Export history range
+     */
+    async exportHistory() {
+        const kind = this.form.elements.kind.value;
+        const id = this.form.elements.historyItem.value;
+        const days = Number(this.form.elements.historyDays.value) || 30;
+        if (!id) return;
+
+        try {
+            const response = kind === 'gold'
+                ? await GoldAPI.getPriceHistory(id, { days })
+                : await CurrencyAPI.getRateHistory(id, { days });
+            // التاريخ قد يأتي في recordedAt أو createdAt أو date
+            const history = PriceChart.normalizePoints(response.success ? response.data : []);
+
+            if (history.length === 0) {
+                this.admin.showMessage('لا يوجد تاريخ أسعار لهذه الفترة', 'warning');
+                return;
+            }
+
+            CSV.download(this.buildFilename(`${kind}-history-${id}-${days}d`), [
+                ['التاريخ', 'سعر الشراء', 'سعر البيع'],
+                ...history.map(point => [point.date.toISOString(), point.buy, point.sell])
+            ]);
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            this.admin.showMessage(error.message || 'تعذر تصدير تاريخ الأسعار', 'danger');
+        }
+    }
+
+    /**
+     * تحديد أعمدة الملف من سطر العناوين
+     * Map header row to column indexes
+     */
+    static mapColumns(header) {
+        const normalized = header.map(name => name.trim().toLowerCase().replace(/[\s_]+/g, ' '));
+        const columns = {};
+
+        Object.entries(CSV_CONFIG.COLUMNS).forEach(([key, aliases]) => {
+            const index = normalized.findIndex(name => aliases.includes(name) || aliases.includes(name.replace(/ /g, '')));
+            if (index !== -1) {
+                columns[key] = index;
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * التحقق من صفوف الملف
+     * Validate parsed rows against gold types or currencies
+     *
+     * يعيد تقريراً لكل صف: { line, key, buy, sell, error, target }
+     */
+    static validateRows(kind, rows, references) {
+        const [header, ...lines] = rows;
+        // رقم السطر في الملف يُحفظ قبل تجاهل الأسطر الفارغة
+        const dataRows = lines
+            .map((cells, index) => ({ cells, line: index + 2 }))
+            .filter(row => !CSV.isBlank(row.cells));
+        const columns = PriceImportExport.mapColumns(header || []);
+        const keyColumn = kind === 'gold' ? 'karat' : 'code';
+
+        if (columns[keyColumn] === undefined || columns.buy === undefined || columns.sell === undefined) {
+            const required = kind === 'gold' ? 'العيار، سعر الشراء، سعر البيع' : 'رمز العملة، سعر الشراء، سعر البيع';
+            throw new Error(`أعمدة الملف غير صحيحة، الأعمدة المطلوبة: ${required}`);
+        }
+
+        if (dataRows.length > CSV_CONFIG.MAX_ROWS) {
+            throw new Error(`الملف كبير جداً (الحد الأقصى ${CSV_CONFIG.MAX_ROWS} صف)`);
+        }
+
+        const seen = new Set();
+
+        return dataRows.map(({ cells, line }) => {
+            const rawKey = (cells[columns[keyColumn]] || '').trim();
+            const buy = CSV.parseNumber(cells[columns.buy]);
+            const sell = CSV.parseNumber(cells[columns.sell]);
+            const report = { line, key: rawKey, buy, sell, error: null, target: null };
+
+            if (kind === 'gold') {
+                const karat = CSV.parseNumber(rawKey.replace(/k$/i, ''));
+                const type = references.types.find(entry => Number(entry.karat) === karat);
+
+                if (!type) {
+                    report.error = `العيار "${rawKey}" غير معروف`;
+                } else {
+                    report.key = `${karat}K`;
+                    report.target = {
+                        type,
+                        price: references.prices.find(entry => String(entry.goldTypeId) === String(type.id))
+                    };
+
+                    if (!report.target.price) {
+                        report.error = 'لا يوجد سعر مسجل لهذا العيار لتحديثه';
+                    }
+                }
+            } else {
+                const code = rawKey.toUpperCase();
+                const currency = references.currencies.find(entry => entry.code === code);
+
+                if (!currency) {
+                    report.error = `رمز العملة "${rawKey}" غير معروف`;
+                } else {
+                    report.key = code;
+                    report.target = { currency };
+                }
+            }
+
+            if (!report.error) {
+                if (!Number.isFinite(buy) || buy <= 0) {
+                    report.error = 'سعر الشراء غير صحيح';
+                } else if (!Number.isFinite(sell) || sell <= 0) {
+                    report.error = 'سعر البيع غير صحيح';
+                } else if (sell < buy) {
+                    report.error = 'سعر البيع يجب أن يكون أكبر من أو يساوي سعر الشراء';
+                } else if (seen.has(report.key)) {
+                    report.error = 'مكرر في الملف';
+                }
+            }
+
+            seen.add(report.key);
+            return report;
+        });
+    }
+
+    /**
+     * جلب المراجع للتحقق
+     * Load gold types / currencies to validate against
+     */
+    async loadReferences(kind) {
+        if (kind === 'gold') {
+            const [typesResponse, pricesResponse] = await Promise.all([
+                GoldAPI.getGoldTypes(),
+                GoldAPI.getAllPrices()
+            ]);
+
+            return {
+                types: typesResponse.success ? typesResponse.data : [],
+                prices: pricesResponse.success ? pricesResponse.data : []
+            };
+        }
+
+        const response = await CurrencyAPI.getCurrencies();
+        return { currencies: response.success ? response.data : [] };
+    }
+
+    /**
+     * قراءة ملف الاستيراد والتحقق منه
+     * Read and validate import file
+     */
+    async importFile(file) {
+        const kind = this.form.elements.kind.value;
+        this.validRows = [];
+        this.importKind = kind;
+
+        try {
+            const text = await file.text();
+            const rows = CSV.parse(text);
+            const references = await this.loadReferences(kind);
+            const report = PriceImportExport.validateRows(kind, rows, references);
+
+            this.validRows = report.filter(row => !row.error);
+            this.renderReport(report);
+        } catch (error) {
+            console.error('Error importing file:', error);
+            this.renderReport([]);
+            this.admin.showMessage(error.message || 'تعذر قراءة الملف', 'danger');
+        }
+    }
+
+    /**
+     * عرض تقرير الاستيراد
+     * Render row-level import report
+     */
+    renderReport(report) {
+        const tbody = document.getElementById('import-report');
+        const summary = document.getElementById('import-summary');
+        const applyBtn = document.getElementById('import-apply-btn');
+        if (!tbody) return;
+
+        if (report.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center text-muted">لا توجد صفوف للاستيراد</td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = report.map(row => Html.template`
+                <tr class="${row.error ? 'row-invalid' : ''}">
+                    <td>${row.line}</td>
+                    <td>${row.key}</td>
+                    <td>${Number.isFinite(row.buy) ? row.buy : '-'}</td>
+                    <td>${Number.isFinite(row.sell) ? row.sell : '-'}</td>
+                    <td class="${row.error ? 'text-danger' : 'text-success'}">${row.error || 'صالح'}</td>
+                </tr>
+            `).join('');
+        }
+
+        if (summary) {
+            const invalid = report.length - this.validRows.length;
+            summary.textContent = report.length
+                ? `${this.validRows.length} صف صالح - ${invalid} صف به أخطاء`
+                : '';
+        }
+
+        applyBtn.disabled = this.validRows.length === 0;
+        applyBtn.textContent = this.validRows.length
+            ? `تطبيق الصفوف الصالحة (${this.validRows.length})`
+            : 'تطبيق الصفوف الصالحة';
+    }
+
+    /**
+     * تطبيق الصفوف الصالحة
+     * Apply valid rows (bulk for currencies, per row for gold)
+     */
+    async apply() {
+        if (this.validRows.length === 0) return;
+        const reason = await this.admin.askReason(`تطبيق ${this.validRows.length} سعر من الملف؟`);
+        if (!reason) return;
+
+        const applyBtn = document.getElementById('import-apply-btn');
+        applyBtn.disabled = true;
+
+        try {
+            if (this.importKind === 'gold') {
+                await this.applyGoldRows(reason);
+                await this.admin.fetchGoldPrices();
+            } else {
+                await CurrencyAPI.bulkUpdate(this.validRows.map(row => ({
+                    currencyId: row.target.currency.id,
+                    currencyCode: row.target.currency.code,
+                    buyRate: row.buy,
+                    sellRate: row.sell
+                })), { reason });
+                this.admin.showMessage(`تم تحديث ${this.validRows.length} من أسعار العملات بنجاح`, 'success');
+                await this.admin.fetchCurrencyData();
+            }
+
+            this.validRows = [];
+            this.form.elements.importFile.value = '';
+            this.renderReport([]);
+        } catch (error) {
+            console.error('Error applying import:', error);
+            this.admin.showMessage(error.message || 'تعذر تطبيق الأسعار', 'danger');
+            applyBtn.disabled = false;
+        }
+    }
+
+    /**
+     * تحديث أسعار الذهب صفاً صفاً
+     * Update gold prices one row at a time, reporting failures
+     */
+    async applyGoldRows(reason) {
+        const failed = [];
+
+        for (const row of this.validRows) {
+            try {
+                await GoldAPI.updatePrice(row.target.price.id, { buyPrice: row.buy, sellPrice: row.sell }, { reason });
+            } catch (error) {
+                console.error(`Error updating ${row.key}:`, error);
+                failed.push(`${row.key}: ${error.message}`);
+            }
+        }
+
+        const updated = this.validRows.length - failed.length;
+
+        if (failed.length) {
+            this.admin.showMessage(`تم تحديث ${updated} سعر، وتعذر تحديث: ${failed.join('، ')}`, 'danger');
+        } else {
+            this.admin.showMessage(`تم تحديث ${updated} من أسعار الذهب بنجاح`, 'success');
+        }
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.form.elements.kind.addEventListener('change', () => {
+            this.renderHistoryItems();
+            this.validRows = [];
+            this.form.elements.importFile.value = '';
+            this.renderReport([]);
+        });
+
+        this.form.elements.importFile.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.importFile(file);
+            }
+        });
+
+        document.getElementById('export-current-btn').addEventListener('click', () => this.exportCurrent());
+        document.getElementById('export-history-btn').addEventListener('click', () => this.exportHistory());
+        document.getElementById('import-apply-btn').addEventListener('click', () => this.apply());
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CSV, PriceImportExport, CSV_CONFIG };
+}
@@ -0,0 +1,190 @@
+/**
+ * =====================================================
+   التحديث السريع للأسعار
+   Quick Price Update
+ * =====================================================
+ * الملف: frontend/js/admin-quick-update.js
+ * الغرض: اشتقاق أسعار جميع العيارات من سعر عيار 24 مع معاينة قبل التطبيق
+ * =====================================================
+ */
+
+// العيارات المعروضة إن تعذر جلب أنواع الذهب
+const DEFAULT_KARATS = [24, 22, 21, 18];
+
+// =====================================================
+// فئة التحديث السريع
+// Quick Price Update Class
+// =====================================================
+class QuickPriceUpdate {
+    constructor(admin) {
+        this.admin = admin;
+        this.margins = null;
+        this.preview = [];
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.form = document.getElementById('quick-update-form');
+        if (!this.form) return;
+
+        this.attachEventListeners();
+        await this.loadMargins();
+    }
+
+    /**
+     * جلب إعدادات الهوامش
+     * Load margin settings
+     */
+    async loadMargins() {
+        try {
+            const response = await SettingsAPI.getMarginSettings();
+            if (response.success) {
+                this.margins = response.data;
+            }
+        } catch (error) {
+            console.error('Error fetching margin settings:', error);
+        }
+
+        this.renderMargins();
+        this.updatePreview();
+    }
+
+    /**
+     * عرض الهوامش المستخدمة
+     * Render margins in use
+     */
+    renderMargins() {
+        const container = document.getElementById('quick-update-margins');
+        if (!container) return;
+
+        container.textContent = this.margins
+            ? `هامش الشراء: ${this.margins.goldBuyMargin}% - هامش البيع: ${this.margins.goldSellMargin}%`
+            : 'تعذر جلب الهوامش، ستُحسب المعاينة بدون هوامش';
+    }
+
+    /**
+     * اشتقاق أسعار العيارات من سعر عيار 24
+     * Derive karat prices from 24K base using purity and margins
+     */
+    static derivePrices(basePrice24k, karats, margins = {}) {
+        const buyMargin = Number(margins.goldBuyMargin) || 0;
+        const sellMargin = Number(margins.goldSellMargin) || 0;
+
+        return karats.map(karat => {
+            const base = basePrice24k * (karat / 24);
+            return {
+                karat,
+                buyPrice: Math.round(base * (1 - buyMargin / 100) * 100) / 100,
+                sellPrice: Math.round(base * (1 + sellMargin / 100) * 100) / 100
+            };
+        });
+    }
+
+    /**
+     * العيارات المطلوب معاينتها
+     * Karats to preview
+     */
+    getKarats() {
+        const karats = this.admin.goldTypes.map(type => Number(type.karat)).filter(Boolean);
+        return [...new Set(karats.length > 0 ? karats : DEFAULT_KARATS)].sort((a, b) => b - a);
+    }
+
+    /**
+     * تحديث جدول المعاينة
+     * Update preview table
+     */
+    updatePreview() {
+        const tbody = document.getElementById('quick-update-preview');
+        const applyBtn = document.getElementById('quick-update-apply-btn');
+        if (!tbody) return;
+
+        const basePrice = parseFloat(this.form.elements.basePrice24k.value);
+
+        if (!Number.isFinite(basePrice) || basePrice <= 0) {
+            this.preview = [];
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center text-muted">أدخل سعر عيار 24 لعرض المعاينة</td>
+                </tr>
+            `;
+            applyBtn.disabled = true;
+            return;
+        }
+
+        this.preview = QuickPriceUpdate.derivePrices(basePrice, this.getKarats(), this.margins || {});
+
+        tbody.innerHTML = this.preview.map(row => {
+            const current = this.admin.goldPrices.find(price => Number(price.karat) === row.karat);
+            return `
+                <tr>
+                    <td>${row.karat}K</td>
+                    <td>${current ? current.buyPrice.toLocaleString() : '-'}</td>
+                    <td class="text-success">${row.buyPrice.toLocaleString()}${this.formatDiff(current && current.buyPrice, row.buyPrice)}</td>
+                    <td>${current ? current.sellPrice.toLocaleString() : '-'}</td>
+                    <td class="text-danger">${row.sellPrice.toLocaleString()}${this.formatDiff(current && current.sellPrice, row.sellPrice)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        applyBtn.disabled = false;
+    }
+
+    /**
+     * تنسيق الفرق عن السعر الحالي
+     * Format difference from current price
+     */
+    formatDiff(current, next) {
+        if (!current) return '';
+
+        const diff = next - current;
+        if (diff === 0) return '';
+
+        const sign = diff > 0 ? '+' : '';
+        return ` <span class="text-sm text-muted">(${sign}${diff.toFixed(2)})</span>`;
+    }
+
+    /**
+     * تطبيق الأسعار الجديدة
+     * Apply via autoUpdate
+     */
+    async apply() {
+        const basePrice = parseFloat(this.form.elements.basePrice24k.value);
+        if (!Number.isFinite(basePrice) || basePrice <= 0 || this.preview.length === 0) return;
+
+        const reason = await this.admin.askReason(`تطبيق الأسعار المشتقة من سعر عيار 24 = ${basePrice.toLocaleString()}؟`);
+        if (!reason) return;
+
+        const applyBtn = document.getElementById('quick-update-apply-btn');
+
+        try {
+            applyBtn.disabled = true;
+            await GoldAPI.autoUpdate(basePrice, { reason });
+            this.admin.showMessage('تم تحديث أسعار جميع العيارات بنجاح', 'success');
+
+            this.form.reset();
+            await this.admin.fetchGoldPrices();
+            this.updatePreview();
+        } catch (error) {
+            console.error('Error applying auto update:', error);
+            this.admin.showMessage(error.message || 'تعذر تحديث الأسعار', 'danger');
+            applyBtn.disabled = false;
+        }
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('input', () => this.updatePreview());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.apply();
+        });
+    }
+}
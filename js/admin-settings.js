@@ -0,0 +1,496 @@
+/**
+ * =====================================================
+   محرر الإعدادات
+   Settings Editor
+ * =====================================================
+ * الملف: frontend/js/admin-settings.js
+ * الغرض: تعديل إعدادات المتجر والسوق والهوامش والأمان من لوحة التحكم
+ * =====================================================
+ */
+
+// =====================================================
+// أيام الأسبوع (0 = الأحد كما في Date.getDay)
+// Week days
+// =====================================================
+const WEEK_DAYS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+// =====================================================
+// مجموعات الإعدادات وحقولها
+// Settings groups schema
+// =====================================================
+const SETTINGS_GROUPS = {
+    store: {
+        label: 'معلومات المتجر',
+        load: () => SettingsAPI.getStoreInfo(),
+        save: (data, options) => SettingsAPI.updateStoreInfo(data, options),
+        fields: [
+            { name: 'name', label: 'اسم المتجر', type: 'text', required: true },
+            { name: 'address', label: 'العنوان', type: 'text' },
+            { name: 'phone', label: 'رقم الهاتف', type: 'phone', required: true },
+            { name: 'whatsapp', label: 'رقم واتساب', type: 'social', network: 'whatsapp' },
+            { name: 'email', label: 'البريد الإلكتروني', type: 'email' },
+            { name: 'website', label: 'الموقع الإلكتروني', type: 'url' },
+            { name: 'instagram', label: 'حساب إنستغرام', type: 'social', network: 'instagram' },
+            { name: 'facebook', label: 'صفحة فيسبوك', type: 'social', network: 'facebook' }
+        ]
+    },
+    market: {
+        label: 'مواعيد السوق',
+        load: () => SettingsAPI.getMarketSettings(),
+        save: (data, options) => SettingsAPI.updateMarketSettings(data, options),
+        fields: [
+            { name: 'openTime', label: 'وقت الفتح', type: 'time', required: true },
+            { name: 'closeTime', label: 'وقت الإغلاق', type: 'time', required: true },
+            { name: 'workingDays', label: 'أيام العمل', type: 'days' },
+            { name: 'holidays', label: 'العطلات (تاريخ في كل سطر YYYY-MM-DD)', type: 'dates' }
+        ],
+        validate(values) {
+            if (values.openTime && values.closeTime && values.closeTime <= values.openTime) {
+                return { closeTime: 'وقت الإغلاق يجب أن يكون بعد وقت الفتح' };
+            }
+            return null;
+        }
+    },
+    margins: {
+        label: 'الهوامش',
+        load: () => SettingsAPI.getMarginSettings(),
+        save: (data, options) => SettingsAPI.updateMarginSettings(data, options),
+        fields: [
+            { name: 'goldBuyMargin', label: 'هامش شراء الذهب (%)', type: 'percent', required: true },
+            { name: 'goldSellMargin', label: 'هامش بيع الذهب (%)', type: 'percent', required: true },
+            { name: 'currencyBuyMargin', label: 'هامش شراء العملات (%)', type: 'percent', required: true },
+            { name: 'currencySellMargin', label: 'هامش بيع العملات (%)', type: 'percent', required: true }
+        ]
+    },
+    security: {
+        label: 'الأمان',
+        load: () => SettingsAPI.getSecuritySettings(),
+        save: (data, options) => SettingsAPI.updateSecuritySettings(data, options),
+        fields: [
+            { name: 'idleTimeout', label: 'مهلة عدم النشاط (دقيقة)', type: 'integer', min: 1, max: 480, required: true },
+            { name: 'maxLoginAttempts', label: 'الحد الأقصى لمحاولات الدخول', type: 'integer', min: 1, max: 20, required: true },
+            { name: 'lockoutDuration', label: 'مدة الحظر (دقيقة)', type: 'integer', min: 1, max: 1440, required: true },
+            { name: 'passwordMinLength', label: 'الحد الأدنى لطول كلمة المرور', type: 'integer', min: 6, max: 64, required: true }
+        ]
+    }
+};
+
+// =====================================================
+// فئة محرر الإعدادات
+// Settings Editor Class
+// =====================================================
+class SettingsEditor {
+    constructor(admin) {
+        this.admin = admin;
+        this.activeGroup = 'store';
+        this.snapshots = {};
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.section = document.getElementById('settings-section');
+        if (!this.section) return;
+
+        this.renderForms();
+        this.attachEventListeners();
+
+        await Promise.all(Object.keys(SETTINGS_GROUPS).map(group => this.loadGroup(group)));
+    }
+
+    /**
+     * عرض التبويبات والنماذج من المخطط
+     * Render tabs and forms from schema
+     */
+    renderForms() {
+        const tabs = document.getElementById('settings-tabs');
+        const panels = document.getElementById('settings-panels');
+        if (!tabs || !panels) return;
+
+        tabs.innerHTML = Object.entries(SETTINGS_GROUPS).map(([key, group]) => `
+            <button type="button" class="tab ${key === this.activeGroup ? 'active' : ''}" data-group="${key}">
+                ${group.label}<span class="dirty-dot hidden">●</span>
+            </button>
+        `).join('');
+
+        panels.innerHTML = Object.entries(SETTINGS_GROUPS).map(([key, group]) => `
+            <form class="settings-form ${key === this.activeGroup ? '' : 'hidden'}" data-group="${key}" novalidate>
+                <div class="settings-grid">
+                    ${group.fields.map(field => this.createField(key, field)).join('')}
+                </div>
+            </form>
+        `).join('');
+    }
+
+    /**
+     * إنشاء حقل حسب نوعه
+     * Create field markup by type
+     */
+    createField(group, field) {
+        const id = `setting-${group}-${field.name}`;
+        const label = `<label class="form-label" for="${id}">${field.label}${field.required ? ' *' : ''}</label>`;
+
+        switch (field.type) {
+            case 'days':
+                return `
+                    <div class="form-group settings-wide">
+                        <span class="form-label">${field.label}</span>
+                        <div class="days-picker">
+                            ${WEEK_DAYS.map((day, index) => `
+                                <label><input type="checkbox" name="${field.name}" value="${index}"> ${day}</label>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
+            case 'dates':
+                return `
+                    <div class="form-group settings-wide">
+                        ${label}
+                        <textarea id="${id}" name="${field.name}" class="form-textarea" dir="ltr"></textarea>
+                    </div>
+                `;
+            case 'time':
+                return `<div class="form-group">${label}<input type="time" id="${id}" name="${field.name}" class="form-input"></div>`;
+            case 'percent':
+                return `<div class="form-group">${label}<input type="number" id="${id}" name="${field.name}" class="form-input" min="0" max="100" step="0.01"></div>`;
+            case 'integer':
+                return `<div class="form-group">${label}<input type="number" id="${id}" name="${field.name}" class="form-input" min="${field.min}" max="${field.max}" step="1"></div>`;
+            default:
+                return `<div class="form-group">${label}<input type="${field.type === 'email' || field.type === 'url' ? field.type : 'text'}" id="${id}" name="${field.name}" class="form-input" ${field.type === 'text' ? '' : 'dir="ltr"'}></div>`;
+        }
+    }
+
+    /**
+     * الحصول على نموذج مجموعة
+     * Get group form
+     */
+    getForm(group) {
+        return this.section.querySelector(`.settings-form[data-group="${group}"]`);
+    }
+
+    /**
+     * جلب إعدادات مجموعة
+     * Load group settings
+     */
+    async loadGroup(group) {
+        try {
+            const response = await SETTINGS_GROUPS[group].load();
+            if (response.success) {
+                this.writeForm(group, response.data || {});
+                this.snapshots[group] = JSON.stringify(this.readForm(group));
+                this.updateDirtyState(group);
+            }
+        } catch (error) {
+            console.error(`Error loading ${group} settings:`, error);
+            this.admin.showMessage(`تعذر جلب ${SETTINGS_GROUPS[group].label}`, 'danger');
+        }
+    }
+
+    /**
+     * تعبئة النموذج بالقيم
+     * Write values into form
+     */
+    writeForm(group, values) {
+        const form = this.getForm(group);
+
+        SETTINGS_GROUPS[group].fields.forEach(field => {
+            const value = values[field.name];
+
+            if (field.type === 'days') {
+                const days = (value || []).map(Number);
+                form.querySelectorAll(`input[name="${field.name}"]`).forEach(checkbox => {
+                    checkbox.checked = days.includes(Number(checkbox.value));
+                });
+            } else if (field.type === 'dates') {
+                form.elements[field.name].value = (value || []).join('\n');
+            } else {
+                form.elements[field.name].value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * قراءة قيم النموذج بأنواعها
+     * Read typed values from form
+     */
+    readForm(group) {
+        const form = this.getForm(group);
+        const values = {};
+
+        SETTINGS_GROUPS[group].fields.forEach(field => {
+            if (field.type === 'days') {
+                values[field.name] = [...form.querySelectorAll(`input[name="${field.name}"]:checked`)]
+                    .map(checkbox => Number(checkbox.value));
+                return;
+            }
+
+            const raw = form.elements[field.name].value.trim();
+
+            if (field.type === 'dates') {
+                values[field.name] = raw.split('\n').map(line => line.trim()).filter(Boolean);
+            } else if (field.type === 'percent' || field.type === 'integer') {
+                values[field.name] = raw === '' ? null : Number(raw);
+            } else {
+                values[field.name] = raw;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * التحقق من قيمة حقل
+     * Validate single field value
+     */
+    validateField(field, value) {
+        const empty = value === '' || value === null || (Array.isArray(value) && value.length === 0);
+        if (empty) {
+            return field.required ? 'هذا الحقل مطلوب' : null;
+        }
+
+        switch (field.type) {
+            case 'phone':
+                return /^\+?[0-9\s-]{7,20}$/.test(value) ? null : 'رقم الهاتف غير صحيح';
+            case 'email':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'البريد الإلكتروني غير صحيح';
+            case 'url':
+                try {
+                    const url = new URL(value);
+                    return ['http:', 'https:'].includes(url.protocol) ? null : 'يجب أن يبدأ الرابط بـ http أو https';
+                } catch (error) {
+                    return 'الرابط غير صحيح';
+                }
+            case 'social':
+                // القاعدة نفسها التي تعرض بها الصفحة العامة الرابط في الفوتر
+                return Html.socialUrl(field.network, value) ? null : 'الحساب أو الرابط غير صحيح';
+            case 'time':
+                return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'الوقت غير صحيح';
+            case 'percent':
+                return Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'النسبة يجب أن تكون بين 0 و 100';
+            case 'integer':
+                return Number.isInteger(value) && value >= field.min && value <= field.max
+                    ? null
+                    : `القيمة يجب أن تكون عدداً صحيحاً بين ${field.min} و ${field.max}`;
+            case 'dates': {
+                const invalid = value.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)));
+                return invalid ? `تاريخ غير صحيح: ${invalid}` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * التحقق من مجموعة كاملة
+     * Validate group
+     */
+    validateGroup(group, values) {
+        const form = this.getForm(group);
+        const schema = SETTINGS_GROUPS[group];
+        const errors = {};
+
+        schema.fields.forEach(field => {
+            const error = this.validateField(field, values[field.name]);
+            if (error) {
+                errors[field.name] = error;
+            }
+        });
+
+        if (schema.validate) {
+            Object.assign(errors, schema.validate(values) || {});
+        }
+
+        this.admin.clearFormErrors(form);
+        Object.entries(errors).forEach(([name, message]) => {
+            const element = form.elements[name];
+            this.admin.setFieldError(element instanceof RadioNodeList ? element[0] : element, message);
+        });
+
+        return Object.keys(errors).length === 0;
+    }
+
+    /**
+     * هل المجموعة معدلة دون حفظ
+     * Whether group has unsaved changes
+     */
+    isDirty(group) {
+        return this.snapshots[group] !== undefined
+            && JSON.stringify(this.readForm(group)) !== this.snapshots[group];
+    }
+
+    /**
+     * تحديث مؤشرات التعديل
+     * Update dirty indicators
+     */
+    updateDirtyState(group) {
+        const tab = this.section.querySelector(`.tab[data-group="${group}"] .dirty-dot`);
+        if (tab) {
+            tab.classList.toggle('hidden', !this.isDirty(group));
+        }
+
+        const dirty = this.isDirty(this.activeGroup);
+        document.getElementById('settings-save-btn').disabled = !dirty;
+        document.getElementById('settings-discard-btn').disabled = !dirty;
+    }
+
+    /**
+     * التبديل بين التبويبات
+     * Switch tab
+     */
+    switchGroup(group) {
+        this.activeGroup = group;
+
+        this.section.querySelectorAll('#settings-tabs .tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.group === group);
+        });
+        this.section.querySelectorAll('.settings-form').forEach(form => {
+            form.classList.toggle('hidden', form.dataset.group !== group);
+        });
+
+        this.updateDirtyState(group);
+    }
+
+    /**
+     * حفظ المجموعة الحالية
+     * Save active group
+     */
+    async saveGroup() {
+        const group = this.activeGroup;
+        const values = this.readForm(group);
+        if (!this.validateGroup(group, values)) return;
+
+        const reason = await this.admin.askReason(`حفظ ${SETTINGS_GROUPS[group].label}`);
+        if (!reason) return;
+
+        const saveBtn = document.getElementById('settings-save-btn');
+
+        try {
+            saveBtn.disabled = true;
+            await SETTINGS_GROUPS[group].save(values, { reason });
+            this.snapshots[group] = JSON.stringify(values);
+            this.admin.showMessage(`تم حفظ ${SETTINGS_GROUPS[group].label} بنجاح`, 'success');
+
+            // المعاينة في التحديث السريع تعتمد على الهوامش
+            if (group === 'margins' && this.admin.quickUpdate) {
+                this.admin.quickUpdate.loadMargins();
+            }
+        } catch (error) {
+            console.error(`Error saving ${group} settings:`, error);
+            this.admin.showMessage(error.message || 'تعذر حفظ الإعدادات', 'danger');
+        } finally {
+            this.updateDirtyState(group);
+        }
+    }
+
+    /**
+     * تجاهل التعديلات غير المحفوظة
+     * Discard unsaved changes
+     */
+    discardGroup() {
+        const group = this.activeGroup;
+        if (this.snapshots[group] === undefined) return;
+
+        this.writeForm(group, JSON.parse(this.snapshots[group]));
+        this.admin.clearFormErrors(this.getForm(group));
+        this.updateDirtyState(group);
+    }
+
+    /**
+     * فتح نافذة تأكيد الاستعادة
+     * Open reset confirmation
+     */
+    openResetConfirm() {
+        const checkbox = document.getElementById('reset-confirm-check');
+        checkbox.checked = false;
+        document.getElementById('reset-confirm-btn').disabled = true;
+
+        this.admin.openModal('reset-modal');
+    }
+
+    /**
+     * استعادة الإعدادات الافتراضية
+     * Reset to defaults
+     */
+    async resetToDefaults() {
+        const confirmBtn = document.getElementById('reset-confirm-btn');
+
+        const reason = await this.admin.askReason('استعادة الإعدادات الافتراضية');
+        if (!reason) return;
+
+        try {
+            confirmBtn.disabled = true;
+            await SettingsAPI.resetToDefaults({ reason });
+            this.admin.closeModal('reset-modal');
+            this.admin.showMessage('تمت استعادة الإعدادات الافتراضية', 'success');
+
+            await Promise.all(Object.keys(SETTINGS_GROUPS).map(group => this.loadGroup(group)));
+        } catch (error) {
+            console.error('Error resetting settings:', error);
+            this.admin.showMessage(error.message || 'تعذرت استعادة الإعدادات', 'danger');
+            confirmBtn.disabled = false;
+        }
+    }
+
+    /**
+     * هل توجد تعديلات غير محفوظة في أي مجموعة
+     * Whether any group is dirty
+     */
+    hasUnsavedChanges() {
+        return Object.keys(SETTINGS_GROUPS).some(group => this.isDirty(group));
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.section.addEventListener('click', (e) => {
+            const tab = e.target.closest('#settings-tabs .tab');
+            if (tab) {
+                this.switchGroup(tab.dataset.group);
+            }
+        });
+
+        this.section.addEventListener('input', (e) => {
+            const form = e.target.closest('.settings-form');
+            if (form) {
+                this.updateDirtyState(form.dataset.group);
+            }
+        });
+
+        this.section.addEventListener('change', (e) => {
+            const form = e.target.closest('.settings-form');
+            if (form) {
+                this.updateDirtyState(form.dataset.group);
+            }
+        });
+
+        this.section.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGroup();
+        });
+
+        document.getElementById('settings-save-btn').addEventListener('click', () => this.saveGroup());
+        document.getElementById('settings-discard-btn').addEventListener('click', () => this.discardGroup());
+        document.getElementById('settings-reset-btn').addEventListener('click', () => this.openResetConfirm());
+
+        document.getElementById('reset-confirm-check').addEventListener('change', (e) => {
+            document.getElementById('reset-confirm-btn').disabled = !e.target.checked;
+        });
+        document.getElementById('reset-confirm-btn').addEventListener('click', () => this.resetToDefaults());
+
+        // التحذير قبل مغادرة الصفحة مع وجود تعديلات (إلا عند الخروج الإجباري لانتهاء الجلسة)
+        window.addEventListener('beforeunload', (e) => {
+            if (this.admin.session.redirecting) return;
+
+            if (this.hasUnsavedChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+}
@@ -0,0 +1,494 @@
+/**
+ * =====================================================
+   إدارة المستخدمين
+   User Management
+ * =====================================================
+ * الملف: frontend/js/admin-users.js
+ * الغرض: عرض المستخدمين وإنشاؤهم وتعديلهم وتفعيلهم من لوحة التحكم
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات المستخدمين
+// Users Configuration
+// =====================================================
+const USER_ROLES = {
+    admin: 'مدير',
+    editor: 'محرر',
+    viewer: 'مشاهد'
+};
+
+const USERS_PAGE_SIZE = 10;
+
+// =====================================================
+// فئة إدارة المستخدمين
+// User Management Class
+// =====================================================
+class UserManagement {
+    constructor(admin) {
+        this.admin = admin;
+        this.users = [];
+        this.page = 1;
+        this.totalPages = 1;
+        this.total = 0;
+        this.search = '';
+        this.editingUserId = null;
+        this.passwordUserId = null;
+        this.searchTimer = null;
+        this.controller = null;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.section = document.getElementById('users-section');
+        if (!this.section) return;
+
+        this.renderRoleOptions();
+        this.attachEventListeners();
+
+        await Promise.all([this.fetchStatistics(), this.fetchUsers()]);
+    }
+
+    /**
+     * عرض خيارات الأدوار
+     * Render role options
+     */
+    renderRoleOptions() {
+        const select = document.getElementById('user-role');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(USER_ROLES).map(([value, label]) => `
+            <option value="${value}">${label}</option>
+        `).join('');
+    }
+
+    /**
+     * جلب إحصائيات المستخدمين
+     * Fetch statistics
+     */
+    async fetchStatistics() {
+        try {
+            const response = await UserAPI.getStatistics();
+            if (response.success) {
+                this.renderStatistics(response.data);
+            }
+        } catch (error) {
+            console.error('Error fetching user statistics:', error);
+        }
+    }
+
+    /**
+     * عرض ملخص الإحصائيات
+     * Render statistics summary
+     */
+    renderStatistics(stats) {
+        const container = document.getElementById('users-stats');
+        if (!container || !stats) return;
+
+        const items = [
+            ['إجمالي المستخدمين', stats.total],
+            ['النشطون', stats.active],
+            ['المعطلون', stats.inactive],
+            ['المدراء', stats.admins]
+        ].filter(([, value]) => value !== undefined);
+
+        container.innerHTML = items.map(([label, value]) => Html.template`
+            <div class="stat-item">
+                <span class="stat-value">${value}</span>
+                <span class="stat-label">${label}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * جلب المستخدمين للصفحة الحالية
+     * Fetch users for current page
+     */
+    async fetchUsers() {
+        const options = { page: this.page, limit: USERS_PAGE_SIZE };
+        if (this.search) {
+            options.search = this.search;
+        }
+
+        // إلغاء الطلب السابق حتى لا تُعرض نتيجة بحث قديمة فوق الأحدث
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.controller = new AbortController();
+
+        try {
+            const response = await UserAPI.getAllUsers(options, { signal: this.controller.signal });
+            if (response.success) {
+                const data = response.data;
+                const pagination = response.pagination || data.pagination || {};
+
+                this.users = Array.isArray(data) ? data : data.users || [];
+                this.total = pagination.total ?? this.users.length;
+                this.totalPages = Math.max(pagination.totalPages || Math.ceil(this.total / USERS_PAGE_SIZE), 1);
+
+                this.renderUsers();
+            }
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            console.error('Error fetching users:', error);
+            this.admin.showMessage('تعذر جلب المستخدمين', 'danger');
+        }
+    }
+
+    /**
+     * عرض جدول المستخدمين
+     * Render users table
+     */
+    renderUsers() {
+        const tbody = document.getElementById('users-table');
+        if (!tbody) return;
+
+        tbody.innerHTML = this.users.length === 0
+            ? `
+                <tr>
+                    <td colspan="5" class="text-center text-muted">لا يوجد مستخدمون</td>
+                </tr>
+            `
+            : this.users.map(user => this.createUserRow(user)).join('');
+
+        this.renderPagination();
+    }
+
+    /**
+     * إنشاء صف مستخدم
+     * Create user row
+     */
+    createUserRow(user) {
+        const isSelf = this.admin.user && String(this.admin.user.id) === String(user.id);
+
+        return `
+            <tr data-id="${Html.escape(user.id)}">
+                <td>
+                    <div class="font-semibold">${Html.escape(user.username)}</div>
+                    <div class="text-sm text-muted">${Html.escape(user.email)}</div>
+                </td>
+                <td>${Html.escape(user.fullName || '-')}</td>
+                <td><span class="badge badge-gold">${Html.escape(USER_ROLES[user.role] || user.role)}</span></td>
+                <td>
+                    <span class="badge ${user.isActive ? 'badge-success' : 'badge-danger'}">
+                        ${user.isActive ? 'نشط' : 'معطل'}
+                    </span>
+                </td>
+                <td>
+                    <div class="table-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="user-edit" data-id="${Html.escape(user.id)}">تعديل</button>
+                        <button class="btn btn-secondary btn-sm" data-action="user-password" data-id="${Html.escape(user.id)}">كلمة المرور</button>
+                        ${isSelf ? '' : `
+                            <button class="btn ${user.isActive ? 'btn-dark' : 'btn-success'} btn-sm" data-action="user-toggle" data-id="${Html.escape(user.id)}">
+                                ${user.isActive ? 'تعطيل' : 'تفعيل'}
+                            </button>
+                            <button class="btn btn-danger btn-sm" data-action="user-delete" data-id="${Html.escape(user.id)}">حذف</button>
+                        `}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * عرض أزرار التنقل بين الصفحات
+     * Render pagination
+     */
+    renderPagination() {
+        const container = document.getElementById('users-pagination');
+        if (!container) return;
+
+        container.innerHTML = `
+            <button class="btn btn-secondary btn-sm" data-action="user-page" data-page="${this.page - 1}" ${this.page <= 1 ? 'disabled' : ''}>السابق</button>
+            <span class="text-sm text-muted">صفحة ${this.page} من ${this.totalPages} (${this.total} مستخدم)</span>
+            <button class="btn btn-secondary btn-sm" data-action="user-page" data-page="${this.page + 1}" ${this.page >= this.totalPages ? 'disabled' : ''}>التالي</button>
+        `;
+    }
+
+    /**
+     * البحث عن مستخدم بالمعرف
+     * Find user by id
+     */
+    findUser(id) {
+        return this.users.find(user => String(user.id) === String(id));
+    }
+
+    /**
+     * فتح نموذج المستخدم
+     * Open user form
+     */
+    openUserForm(user = null) {
+        const form = document.getElementById('user-form');
+        if (!form) return;
+
+        form.reset();
+        this.admin.clearFormErrors(form);
+        this.editingUserId = user ? user.id : null;
+
+        document.getElementById('user-modal-title').textContent = user ? 'تعديل مستخدم' : 'إضافة مستخدم';
+
+        // كلمة المرور تُطلب عند الإنشاء فقط، وتُغيَّر لاحقاً من زر كلمة المرور
+        form.querySelector('.password-group').classList.toggle('hidden', Boolean(user));
+        form.elements.username.disabled = Boolean(user);
+
+        if (user) {
+            form.elements.username.value = user.username;
+            form.elements.fullName.value = user.fullName || '';
+            form.elements.email.value = user.email || '';
+            form.elements.role.value = user.role;
+        }
+
+        this.admin.openModal('user-modal');
+    }
+
+    /**
+     * التحقق من نموذج المستخدم
+     * Validate user form
+     */
+    validateUserForm(form) {
+        this.admin.clearFormErrors(form);
+
+        const elements = form.elements;
+        const username = elements.username.value.trim();
+        const fullName = elements.fullName.value.trim();
+        const email = elements.email.value.trim();
+        const role = elements.role.value;
+        const password = elements.password.value;
+        let valid = true;
+
+        if (!this.editingUserId && !/^[a-zA-Z0-9_.]{3,30}$/.test(username)) {
+            this.admin.setFieldError(elements.username, 'اسم المستخدم من 3 إلى 30 حرفاً لاتينياً أو رقماً');
+            valid = false;
+        }
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.admin.setFieldError(elements.email, 'البريد الإلكتروني غير صحيح');
+            valid = false;
+        }
+
+        if (!USER_ROLES[role]) {
+            this.admin.setFieldError(elements.role, 'يرجى اختيار الدور');
+            valid = false;
+        }
+
+        if (!this.editingUserId && password.length < 8) {
+            this.admin.setFieldError(elements.password, 'كلمة المرور يجب ألا تقل عن 8 أحرف');
+            valid = false;
+        }
+
+        if (!valid) return null;
+
+        const userData = { fullName, email, role };
+        if (!this.editingUserId) {
+            userData.username = username;
+            userData.password = password;
+        }
+
+        return userData;
+    }
+
+    /**
+     * حفظ المستخدم
+     * Submit user form
+     */
+    async handleUserSubmit(form) {
+        const userData = this.validateUserForm(form);
+        if (!userData) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        try {
+            submitBtn.disabled = true;
+
+            if (this.editingUserId) {
+                await UserAPI.updateUser(this.editingUserId, userData);
+                this.admin.showMessage('تم تحديث المستخدم بنجاح', 'success');
+            } else {
+                await UserAPI.createUser(userData);
+                this.admin.showMessage('تمت إضافة المستخدم بنجاح', 'success');
+            }
+
+            this.admin.closeModal('user-modal');
+            await Promise.all([this.fetchStatistics(), this.fetchUsers()]);
+        } catch (error) {
+            console.error('Error saving user:', error);
+            this.admin.showMessage(error.message || 'تعذر حفظ المستخدم', 'danger');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * فتح نموذج إعادة تعيين كلمة المرور
+     * Open password reset form
+     */
+    openPasswordForm(user) {
+        const form = document.getElementById('password-form');
+        if (!form || !user) return;
+
+        form.reset();
+        this.admin.clearFormErrors(form);
+        this.passwordUserId = user.id;
+
+        document.getElementById('password-modal-user').textContent = user.username;
+        this.admin.openModal('password-modal');
+    }
+
+    /**
+     * حفظ كلمة المرور الجديدة
+     * Submit password reset
+     */
+    async handlePasswordSubmit(form) {
+        this.admin.clearFormErrors(form);
+
+        const { newPassword, confirmPassword } = form.elements;
+
+        if (newPassword.value.length < 8) {
+            this.admin.setFieldError(newPassword, 'كلمة المرور يجب ألا تقل عن 8 أحرف');
+            return;
+        }
+
+        if (newPassword.value !== confirmPassword.value) {
+            this.admin.setFieldError(confirmPassword, 'كلمتا المرور غير متطابقتين');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        try {
+            submitBtn.disabled = true;
+            await UserAPI.changeUserPassword(this.passwordUserId, newPassword.value);
+            this.admin.closeModal('password-modal');
+            this.admin.showMessage('تم تغيير كلمة المرور بنجاح', 'success');
+        } catch (error) {
+            console.error('Error changing password:', error);
+            this.admin.showMessage(error.message || 'تعذر تغيير كلمة المرور', 'danger');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * تفعيل/تعطيل مستخدم
+     * Toggle user status
+     */
+    async toggleStatus(user) {
+        if (!user) return;
+
+        const action = user.isActive ? 'تعطيل' : 'تفعيل';
+        if (!window.confirm(`هل تريد ${action} المستخدم ${user.username}؟`)) return;
+
+        try {
+            await UserAPI.toggleUserStatus(user.id, !user.isActive);
+            this.admin.showMessage(`تم ${action} المستخدم بنجاح`, 'success');
+            await Promise.all([this.fetchStatistics(), this.fetchUsers()]);
+        } catch (error) {
+            console.error('Error toggling user status:', error);
+            this.admin.showMessage(error.message || `تعذر ${action} المستخدم`, 'danger');
+        }
+    }
+
+    /**
+     * حذف مستخدم
+     * Delete user
+     */
+    async deleteUser(user) {
+        if (!user) return;
+        if (!window.confirm(`هل أنت متأكد من حذف المستخدم ${user.username}؟`)) return;
+
+        try {
+            await UserAPI.deleteUser(user.id);
+            this.admin.showMessage('تم حذف المستخدم بنجاح', 'success');
+
+            // الرجوع للصفحة السابقة إذا أصبحت الحالية فارغة
+            if (this.users.length === 1 && this.page > 1) {
+                this.page--;
+            }
+
+            await Promise.all([this.fetchStatistics(), this.fetchUsers()]);
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            this.admin.showMessage(error.message || 'تعذر حذف المستخدم', 'danger');
+        }
+    }
+
+    /**
+     * الانتقال لصفحة
+     * Go to page
+     */
+    goToPage(page) {
+        if (page < 1 || page > this.totalPages) return;
+
+        this.page = page;
+        this.fetchUsers();
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const addBtn = document.getElementById('add-user-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.openUserForm());
+        }
+
+        const searchInput = document.getElementById('users-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => {
+                    this.search = searchInput.value.trim();
+                    this.page = 1;
+                    this.fetchUsers();
+                }, 300);
+            });
+        }
+
+        const userForm = document.getElementById('user-form');
+        if (userForm) {
+            userForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleUserSubmit(userForm);
+            });
+        }
+
+        const passwordForm = document.getElementById('password-form');
+        if (passwordForm) {
+            passwordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handlePasswordSubmit(passwordForm);
+            });
+        }
+
+        this.section.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action^="user-"]');
+            if (!actionBtn) return;
+
+            const user = this.findUser(actionBtn.dataset.id);
+
+            switch (actionBtn.dataset.action) {
+                case 'user-edit':
+                    this.openUserForm(user);
+                    break;
+                case 'user-password':
+                    this.openPasswordForm(user);
+                    break;
+                case 'user-toggle':
+                    this.toggleStatus(user);
+                    break;
+                case 'user-delete':
+                    this.deleteUser(user);
+                    break;
+                case 'user-page':
+                    this.goToPage(Number(actionBtn.dataset.page));
+                    break;
+            }
+        });
+    }
+}
@@ -0,0 +1,807 @@
+/**
+ * =====================================================
+   لوحة التحكم
+   Admin Dashboard
+ * =====================================================
+ * الملف: frontend/js/admin.js
+ * الغرض: منطق لوحة التحكم وإدارة الأسعار
+ * =====================================================
+ */
+
+// =====================================================
+// فئة لوحة التحكم
+// Admin Dashboard Class
+// =====================================================
+class AdminDashboard {
+    constructor() {
+        this.user = null;
+        this.session = new SessionManager();
+        this.goldPrices = [];
+        this.goldTypes = [];
+        this.editingPriceId = null;
+        this.currencies = [];
+        this.currencyRates = [];
+        this.userManagement = null;
+        this.settingsEditor = null;
+        this.quickUpdate = null;
+        this.importExport = null;
+        this.auditLog = null;
+        this.pendingReason = null;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.renderEnvironment();
+
+        if (API_CONFIG.CONFIG_ERROR) {
+            this.showMessage(`إعداد الخادم غير صالح: ${API_CONFIG.CONFIG_ERROR}`, 'danger');
+            return;
+        }
+
+        try {
+            // التحقق من الجلسة قبل أي شيء
+            const authenticated = await this.checkAuth();
+            if (!authenticated) return;
+
+            this.attachEventListeners();
+
+            await this.fetchGoldTypes();
+            await this.fetchGoldPrices();
+            await this.fetchCurrencyData();
+
+            this.quickUpdate = new QuickPriceUpdate(this);
+            this.importExport = new PriceImportExport(this);
+            this.userManagement = new UserManagement(this);
+            this.settingsEditor = new SettingsEditor(this);
+            this.auditLog = new AuditLog(this);
+        } catch (error) {
+            console.error('Admin initialization error:', error);
+            this.showMessage('تعذر تحميل لوحة التحكم', 'danger');
+        }
+    }
+
+    /**
+     * عرض بيئة الخادم الحالية
+     * Show active API environment
+     */
+    renderEnvironment() {
+        const container = document.getElementById('api-env');
+        if (!container) return;
+
+        const { env, baseUrl, apiPrefix, error } = API.getEnvironment();
+        container.textContent = error
+            ? `البيئة: ${env} - إعداد غير صالح`
+            : `البيئة: ${env} - ${baseUrl}${apiPrefix}`;
+        container.className = `badge ${error ? 'badge-danger' : env === 'production' ? 'badge-success' : 'badge-warning'}`;
+    }
+
+    /**
+     * التحقق من تسجيل الدخول
+     * Check authentication
+     */
+    async checkAuth() {
+        try {
+            const response = await AuthAPI.checkSession();
+            if (response && response.success) {
+                this.user = response.data;
+                await this.session.start(response.data);
+                return true;
+            }
+        } catch (error) {
+            console.error('Session check failed:', error);
+        }
+
+        SessionManager.redirectToLogin();
+        return false;
+    }
+
+    /**
+     * جلب أنواع الذهب
+     * Fetch gold types
+     */
+    async fetchGoldTypes() {
+        try {
+            const response = await GoldAPI.getGoldTypes();
+            if (response.success) {
+                this.goldTypes = response.data;
+                this.renderGoldTypeOptions();
+            }
+        } catch (error) {
+            console.error('Error fetching gold types:', error);
+        }
+    }
+
+    /**
+     * جلب أسعار الذهب
+     * Fetch gold prices
+     */
+    async fetchGoldPrices() {
+        try {
+            const response = await GoldAPI.getAllPrices();
+            if (response.success) {
+                this.goldPrices = response.data;
+                this.renderGoldPrices();
+            }
+        } catch (error) {
+            console.error('Error fetching gold prices:', error);
+            this.showMessage('تعذر جلب أسعار الذهب', 'danger');
+        }
+    }
+
+    /**
+     * عرض خيارات أنواع الذهب
+     * Render gold type options
+     */
+    renderGoldTypeOptions() {
+        const select = document.getElementById('gold-type');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">اختر العيار</option>' + this.goldTypes.map(type => `
+            <option value="${Html.escape(type.id)}">${Html.escape(type.name)} (${Html.escape(type.karat)}K)</option>
+        `).join('');
+    }
+
+    /**
+     * عرض جدول أسعار الذهب
+     * Render gold prices table
+     */
+    renderGoldPrices() {
+        const tbody = document.getElementById('gold-prices-table');
+        if (!tbody) return;
+
+        if (this.goldPrices.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="text-center text-muted">لا توجد أسعار</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.goldPrices.map(price => this.createGoldPriceRow(price)).join('');
+    }
+
+    /**
+     * إنشاء صف سعر الذهب
+     * Create gold price row
+     */
+    createGoldPriceRow(price) {
+        return `
+            <tr data-id="${Html.escape(price.id)}">
+                <td>${Html.escape(price.goldTypeName)} <span class="text-muted">(${Html.escape(price.karat)}K)</span></td>
+                <td class="text-success">${price.buyPrice.toLocaleString()}</td>
+                <td class="text-danger">${price.sellPrice.toLocaleString()}</td>
+                <td>
+                    <div class="table-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="edit-price" data-id="${Html.escape(price.id)}">تعديل</button>
+                        <button class="btn btn-danger btn-sm" data-action="delete-price" data-id="${Html.escape(price.id)}">حذف</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * فتح نافذة منبثقة
+     * Open modal
+     */
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('open');
+        }
+    }
+
+    /**
+     * إغلاق نافذة منبثقة
+     * Close modal
+     */
+    closeModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('open');
+        }
+
+        // الإغلاق دون تأكيد يلغي العملية المنتظرة
+        if (modalId === 'reason-modal') {
+            this.settleReason(null);
+        }
+    }
+
+    /**
+     * فتح نموذج سعر الذهب
+     * Open gold price form
+     */
+    openGoldForm(price = null) {
+        const form = document.getElementById('gold-form');
+        if (!form) return;
+
+        form.reset();
+        this.clearFormErrors(form);
+        this.editingPriceId = price ? price.id : null;
+
+        document.getElementById('gold-modal-title').textContent = price ? 'تعديل سعر' : 'إضافة سعر';
+
+        const typeSelect = document.getElementById('gold-type');
+        typeSelect.disabled = Boolean(price);
+
+        if (price) {
+            typeSelect.value = price.goldTypeId;
+            document.getElementById('gold-buy-price').value = price.buyPrice;
+            document.getElementById('gold-sell-price').value = price.sellPrice;
+        }
+
+        this.openModal('gold-modal');
+    }
+
+    /**
+     * التحقق من نموذج سعر الذهب
+     * Validate gold price form
+     */
+    validateGoldForm(form) {
+        this.clearFormErrors(form);
+
+        const goldTypeId = form.elements.goldTypeId.value;
+        const buyPrice = parseFloat(form.elements.buyPrice.value);
+        const sellPrice = parseFloat(form.elements.sellPrice.value);
+        let valid = true;
+
+        if (!this.editingPriceId && !goldTypeId) {
+            this.setFieldError(form.elements.goldTypeId, 'يرجى اختيار العيار');
+            valid = false;
+        }
+
+        if (!Number.isFinite(buyPrice) || buyPrice <= 0) {
+            this.setFieldError(form.elements.buyPrice, 'يرجى إدخال سعر شراء صحيح');
+            valid = false;
+        }
+
+        if (!Number.isFinite(sellPrice) || sellPrice <= 0) {
+            this.setFieldError(form.elements.sellPrice, 'يرجى إدخال سعر بيع صحيح');
+            valid = false;
+        } else if (Number.isFinite(buyPrice) && sellPrice < buyPrice) {
+            this.setFieldError(form.elements.sellPrice, 'سعر البيع يجب أن يكون أكبر من أو يساوي سعر الشراء');
+            valid = false;
+        }
+
+        if (!valid) return null;
+
+        const priceData = { buyPrice, sellPrice };
+        if (!this.editingPriceId) {
+            priceData.goldTypeId = goldTypeId;
+        }
+
+        return priceData;
+    }
+
+    /**
+     * حفظ سعر الذهب
+     * Submit gold price form
+     */
+    async handleGoldSubmit(form) {
+        const priceData = this.validateGoldForm(form);
+        if (!priceData) return;
+
+        const reason = await this.askReason(this.editingPriceId ? 'تعديل سعر الذهب' : 'إضافة سعر ذهب');
+        if (!reason) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        try {
+            submitBtn.disabled = true;
+
+            if (this.editingPriceId) {
+                await GoldAPI.updatePrice(this.editingPriceId, priceData, { reason });
+                this.showMessage('تم تحديث السعر بنجاح', 'success');
+            } else {
+                await GoldAPI.createPrice(priceData, { reason });
+                this.showMessage('تمت إضافة السعر بنجاح', 'success');
+            }
+
+            this.closeModal('gold-modal');
+            await this.fetchGoldPrices();
+        } catch (error) {
+            console.error('Error saving gold price:', error);
+            this.showMessage(error.message || 'تعذر حفظ السعر', 'danger');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * حذف سعر الذهب
+     * Delete gold price
+     */
+    async deleteGoldPrice(id) {
+        const price = this.goldPrices.find(p => String(p.id) === String(id));
+        const label = price ? `${price.goldTypeName} (${price.karat}K)` : '';
+
+        // نافذة السبب هي خطوة التأكيد الوحيدة للحذف
+        const reason = await this.askReason(`هل أنت متأكد من حذف سعر ${label}؟ لا يمكن التراجع عن الحذف.`);
+        if (!reason) return;
+
+        try {
+            await GoldAPI.deletePrice(id, { reason });
+            this.showMessage('تم حذف السعر بنجاح', 'success');
+            await this.fetchGoldPrices();
+        } catch (error) {
+            console.error('Error deleting gold price:', error);
+            this.showMessage(error.message || 'تعذر حذف السعر', 'danger');
+        }
+    }
+
+    /**
+     * جلب العملات وأسعارها
+     * Fetch currencies and rates
+     */
+    async fetchCurrencyData() {
+        try {
+            const [currenciesResponse, ratesResponse] = await Promise.all([
+                CurrencyAPI.getCurrencies(),
+                CurrencyAPI.getAllRates()
+            ]);
+
+            if (currenciesResponse.success) {
+                this.currencies = currenciesResponse.data;
+            }
+
+            if (ratesResponse.success) {
+                this.currencyRates = ratesResponse.data;
+            }
+
+            this.renderCurrencyRates();
+        } catch (error) {
+            console.error('Error fetching currency rates:', error);
+            this.showMessage('تعذر جلب أسعار العملات', 'danger');
+        }
+    }
+
+    /**
+     * البحث عن سعر العملة
+     * Find rate for currency
+     */
+    findRateForCurrency(currency) {
+        return this.currencyRates.find(rate =>
+            String(rate.currencyId) === String(currency.id) || rate.currencyCode === currency.code
+        );
+    }
+
+    /**
+     * عرض جدول أسعار العملات
+     * Render currency rates table
+     */
+    renderCurrencyRates() {
+        const tbody = document.getElementById('currency-rates-table');
+        if (!tbody) return;
+
+        if (this.currencies.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center text-muted">لا توجد عملات</td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = this.currencies.map(currency =>
+                this.createCurrencyRateRow(currency, this.findRateForCurrency(currency))
+            ).join('');
+        }
+
+        this.updateRatesToolbar();
+    }
+
+    /**
+     * إنشاء صف سعر العملة
+     * Create currency rate row
+     */
+    createCurrencyRateRow(currency, rate) {
+        const buyRate = rate ? rate.buyRate : '';
+        const sellRate = rate ? rate.sellRate : '';
+
+        return `
+            <tr data-currency-id="${Html.escape(currency.id)}" data-rate-id="${rate ? Html.escape(rate.id) : ''}">
+                <td>
+                    <span>${Html.escape(currency.flagEmoji || '🏳️')}</span>
+                    ${Html.escape(currency.name)} <span class="text-muted">(${Html.escape(currency.code)})</span>
+                </td>
+                <td>
+                    <input type="number" class="form-input rate-input" name="buyRate" step="0.0001" min="0"
+                        value="${Html.escape(buyRate)}" data-original="${Html.escape(buyRate)}">
+                    <div class="rate-diff" data-diff="buyRate"></div>
+                </td>
+                <td>
+                    <input type="number" class="form-input rate-input" name="sellRate" step="0.0001" min="0"
+                        value="${Html.escape(sellRate)}" data-original="${Html.escape(sellRate)}">
+                    <div class="rate-diff" data-diff="sellRate"></div>
+                </td>
+                <td class="rate-row-error text-danger text-sm"></td>
+                <td>
+                    ${rate ? `<button class="btn btn-danger btn-sm" data-action="delete-rate" data-id="${Html.escape(rate.id)}">حذف</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * تنسيق الفرق بين القيمتين
+     * Format difference between values
+     */
+    formatRateDiff(original, value) {
+        const diff = value - original;
+        const sign = diff > 0 ? '+' : '';
+        const percent = original ? ` (${sign}${((diff / original) * 100).toFixed(2)}%)` : '';
+
+        return `${original.toFixed(4)} → ${value.toFixed(4)} ${sign}${diff.toFixed(4)}${percent}`;
+    }
+
+    /**
+     * قراءة صف سعر العملة
+     * Read currency rate row
+     */
+    readRateRow(row) {
+        const buyInput = row.querySelector('input[name="buyRate"]');
+        const sellInput = row.querySelector('input[name="sellRate"]');
+
+        return {
+            buyRate: parseFloat(buyInput.value),
+            sellRate: parseFloat(sellInput.value),
+            originalBuy: parseFloat(buyInput.dataset.original),
+            originalSell: parseFloat(sellInput.dataset.original),
+            changed: buyInput.value !== buyInput.dataset.original
+                || sellInput.value !== sellInput.dataset.original
+        };
+    }
+
+    /**
+     * التحقق من صف سعر العملة
+     * Validate currency rate row
+     */
+    validateRateRow(values) {
+        if (!Number.isFinite(values.buyRate) || values.buyRate <= 0) {
+            return 'سعر الشراء غير صحيح';
+        }
+
+        if (!Number.isFinite(values.sellRate) || values.sellRate <= 0) {
+            return 'سعر البيع غير صحيح';
+        }
+
+        if (values.sellRate < values.buyRate) {
+            return 'سعر البيع يجب أن يكون أكبر من أو يساوي سعر الشراء';
+        }
+
+        return null;
+    }
+
+    /**
+     * تحديث معاينة الفرق لصف
+     * Update row diff preview
+     */
+    updateRateRowPreview(row) {
+        const values = this.readRateRow(row);
+
+        [['buyRate', values.originalBuy, values.buyRate], ['sellRate', values.originalSell, values.sellRate]]
+            .forEach(([field, original, value]) => {
+                const diffEl = row.querySelector(`[data-diff="${field}"]`);
+                const changed = Number.isFinite(value) && value !== original;
+
+                diffEl.className = 'rate-diff';
+                diffEl.textContent = '';
+
+                if (changed && Number.isFinite(original)) {
+                    diffEl.textContent = this.formatRateDiff(original, value);
+                    diffEl.classList.add(value > original ? 'text-success' : 'text-danger');
+                } else if (changed) {
+                    diffEl.textContent = 'جديد';
+                    diffEl.classList.add('text-gold');
+                }
+            });
+
+        const error = values.changed ? this.validateRateRow(values) : null;
+        row.querySelector('.rate-row-error').textContent = error || '';
+        row.classList.toggle('row-dirty', values.changed);
+        row.classList.toggle('row-invalid', Boolean(error));
+
+        this.updateRatesToolbar();
+    }
+
+    /**
+     * تحديث شريط حفظ الأسعار
+     * Update rates toolbar
+     */
+    updateRatesToolbar() {
+        const saveBtn = document.getElementById('save-rates-btn');
+        const resetBtn = document.getElementById('reset-rates-btn');
+        if (!saveBtn) return;
+
+        const dirtyCount = document.querySelectorAll('#currency-rates-table tr.row-dirty').length;
+        const invalidCount = document.querySelectorAll('#currency-rates-table tr.row-invalid').length;
+
+        saveBtn.textContent = dirtyCount ? `حفظ التغييرات (${dirtyCount})` : 'حفظ التغييرات';
+        saveBtn.disabled = dirtyCount === 0 || invalidCount > 0;
+
+        if (resetBtn) {
+            resetBtn.disabled = dirtyCount === 0;
+        }
+    }
+
+    /**
+     * حفظ جميع التغييرات في أسعار العملات
+     * Submit all currency rate changes
+     */
+    async handleRatesSubmit() {
+        const rows = document.querySelectorAll('#currency-rates-table tr.row-dirty');
+        const rates = [];
+
+        for (const row of rows) {
+            const values = this.readRateRow(row);
+            if (this.validateRateRow(values)) {
+                this.showMessage('يرجى تصحيح الأسعار غير الصالحة قبل الحفظ', 'danger');
+                return;
+            }
+
+            const currency = this.currencies.find(c => String(c.id) === row.dataset.currencyId);
+            rates.push({
+                currencyId: currency.id,
+                currencyCode: currency.code,
+                buyRate: values.buyRate,
+                sellRate: values.sellRate
+            });
+        }
+
+        if (rates.length === 0) return;
+
+        const reason = await this.askReason(`تحديث ${rates.length} من أسعار العملات`);
+        if (!reason) return;
+
+        const saveBtn = document.getElementById('save-rates-btn');
+
+        try {
+            saveBtn.disabled = true;
+            await CurrencyAPI.bulkUpdate(rates, { reason });
+            this.showMessage(`تم تحديث ${rates.length} من أسعار العملات بنجاح`, 'success');
+            await this.fetchCurrencyData();
+        } catch (error) {
+            console.error('Error updating currency rates:', error);
+            this.showMessage(error.message || 'تعذر تحديث أسعار العملات', 'danger');
+            this.updateRatesToolbar();
+        }
+    }
+
+    /**
+     * حذف سعر العملة
+     * Delete currency rate
+     */
+    async deleteCurrencyRate(id) {
+        const rate = this.currencyRates.find(r => String(r.id) === String(id));
+        const label = rate ? rate.currencyCode : '';
+
+        // نافذة السبب هي خطوة التأكيد الوحيدة للحذف
+        const reason = await this.askReason(`هل أنت متأكد من حذف سعر ${label}؟ لا يمكن التراجع عن الحذف.`);
+        if (!reason) return;
+
+        try {
+            await CurrencyAPI.deleteRate(id, { reason });
+            this.showMessage('تم حذف السعر بنجاح', 'success');
+            await this.fetchCurrencyData();
+        } catch (error) {
+            console.error('Error deleting currency rate:', error);
+            this.showMessage(error.message || 'تعذر حذف السعر', 'danger');
+        }
+    }
+
+    /**
+     * تعيين خطأ لحقل
+     * Set field error
+     */
+    setFieldError(field, message) {
+        const group = field.closest('.form-group');
+        if (!group) return;
+
+        group.classList.add('error');
+        const error = document.createElement('div');
+        error.className = 'form-error';
+        error.textContent = message;
+        group.appendChild(error);
+    }
+
+    /**
+     * مسح أخطاء النموذج
+     * Clear form errors
+     */
+    clearFormErrors(form) {
+        form.querySelectorAll('.form-group.error').forEach(group => group.classList.remove('error'));
+        form.querySelectorAll('.form-error').forEach(error => error.remove());
+    }
+
+    /**
+     * تسجيل الخروج
+     * Logout
+     */
+    async logout() {
+        this.session.stop();
+
+        try {
+            await AuthAPI.logout();
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
+        window.location.href = 'login.html';
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        const addGoldBtn = document.getElementById('add-gold-btn');
+        if (addGoldBtn) {
+            addGoldBtn.addEventListener('click', () => this.openGoldForm());
+        }
+
+        const goldForm = document.getElementById('gold-form');
+        if (goldForm) {
+            goldForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleGoldSubmit(goldForm);
+            });
+        }
+
+        const ratesTable = document.getElementById('currency-rates-table');
+        if (ratesTable) {
+            ratesTable.addEventListener('input', (e) => {
+                const row = e.target.closest('tr');
+                if (row && e.target.classList.contains('rate-input')) {
+                    this.updateRateRowPreview(row);
+                }
+            });
+        }
+
+        const saveRatesBtn = document.getElementById('save-rates-btn');
+        if (saveRatesBtn) {
+            saveRatesBtn.addEventListener('click', () => this.handleRatesSubmit());
+        }
+
+        const resetRatesBtn = document.getElementById('reset-rates-btn');
+        if (resetRatesBtn) {
+            resetRatesBtn.addEventListener('click', () => this.renderCurrencyRates());
+        }
+
+        const reasonForm = document.getElementById('reason-form');
+        if (reasonForm) {
+            reasonForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleReasonSubmit(reasonForm);
+            });
+        }
+
+        // أزرار الجدول والنوافذ المنبثقة
+        document.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            if (actionBtn) {
+                const id = actionBtn.dataset.id;
+
+                switch (actionBtn.dataset.action) {
+                    case 'edit-price':
+                        this.openGoldForm(this.goldPrices.find(p => String(p.id) === String(id)));
+                        break;
+                    case 'delete-price':
+                        this.deleteGoldPrice(id);
+                        break;
+                    case 'delete-rate':
+                        this.deleteCurrencyRate(id);
+                        break;
+                    case 'close-modal':
+                        this.closeModal(actionBtn.closest('.modal').id);
+                        break;
+                }
+                return;
+            }
+
+            // الإغلاق عند النقر على الخلفية
+            if (e.target.classList.contains('modal')) {
+                this.closeModal(e.target.id);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+
+            // إغلاق النافذة العليا فقط (نافذة السبب تفتح فوق نموذج السعر)
+            const openModals = document.querySelectorAll('.modal.open');
+            if (openModals.length > 0) {
+                this.closeModal(openModals[openModals.length - 1].id);
+            }
+        });
+    }
+
+    /**
+     * طلب سبب التغيير قبل تعديل الأسعار أو الإعدادات
+     * Ask for a change reason in the reason modal (resolves to null when cancelled)
+     */
+    askReason(action) {
+        // طلب سابق لم يُجب عليه يُعتبر ملغى
+        this.settleReason(null);
+
+        const form = document.getElementById('reason-form');
+        form.reset();
+        this.clearFormErrors(form);
+        document.getElementById('reason-modal-action').textContent = action;
+
+        this.openModal('reason-modal');
+        form.elements.reason.focus();
+
+        return new Promise(resolve => {
+            this.pendingReason = resolve;
+        });
+    }
+
+    /**
+     * تأكيد السبب المدخل
+     * Submit reason form
+     */
+    handleReasonSubmit(form) {
+        this.clearFormErrors(form);
+
+        const reason = form.elements.reason.value.trim();
+        if (!reason) {
+            this.setFieldError(form.elements.reason, 'يرجى إدخال سبب التغيير');
+            return;
+        }
+
+        this.settleReason(reason);
+        this.closeModal('reason-modal');
+    }
+
+    /**
+     * إنهاء طلب السبب المنتظر
+     * Resolve the pending askReason promise
+     */
+    settleReason(reason) {
+        const resolve = this.pendingReason;
+        this.pendingReason = null;
+
+        if (resolve) {
+            resolve(reason);
+        }
+    }
+
+    /**
+     * عرض رسالة
+     * Show message
+     */
+    showMessage(message, type = 'info') {
+        const container = document.getElementById('message-container');
+        if (!container) return;
+
+        container.innerHTML = Html.template`
+            <div class="alert alert-${type}">
+                <i class="icon">${type === 'success' ? '✓' : '⚠️'}</i>
+                <span>${message}</span>
+            </div>
+        `;
+
+        if (type === 'success') {
+            setTimeout(() => {
+                container.innerHTML = '';
+            }, 5000);
+        }
+    }
+}
+
+// =====================================================
+// تهيئة لوحة التحكم عند تحميل الصفحة
+// Initialize dashboard on page load
+// =====================================================
+document.addEventListener('DOMContentLoaded', () => {
+    window.admin = new AdminDashboard();
+});
@@ -0,0 +1,347 @@
+/**
+ * =====================================================
+   تنبيهات الأسعار
+   Price Alerts
+ * =====================================================
+ * الملف: frontend/js/alerts.js
+ * الغرض: تنبيه المستخدم عند تجاوز سعر ذهب أو عملة لمستوى محدد
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات التنبيهات
+// Alerts Configuration
+// =====================================================
+const ALERTS_CONFIG = {
+    CACHE_KEY: 'alerts',
+    TOAST_DURATION: 8000
+};
+
+// =====================================================
+// فئة تنبيهات الأسعار
+// Price Alerts Class
+// =====================================================
+class PriceAlerts {
+    constructor(app) {
+        this.app = app;
+        this.alerts = [];
+        this.optionsKey = null;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    init() {
+        const entry = PriceCache.load(ALERTS_CONFIG.CACHE_KEY);
+        this.alerts = entry && Array.isArray(entry.data) ? entry.data : [];
+
+        this.form = document.getElementById('alerts-form');
+        if (!this.form) return;
+
+        this.attachEventListeners();
+        this.refresh();
+    }
+
+    /**
+     * حفظ التنبيهات محلياً
+     * Persist alerts
+     */
+    save() {
+        PriceCache.save(ALERTS_CONFIG.CACHE_KEY, this.alerts);
+    }
+
+    /**
+     * العناصر القابلة للتنبيه من الأسعار الحالية
+     * Alertable items from current prices
+     */
+    getItems() {
+        return {
+            gold: this.app.goldPrices.map(price => ({
+                key: `gold:${price.goldTypeId}`,
+                label: `${price.goldTypeName} (${price.karat}K)`,
+                decimals: 2
+            })),
+            currency: this.app.currencyRates.map(rate => ({
+                key: `currency:${rate.currencyId}`,
+                label: `${rate.currencyName} (${rate.currencyCode})`,
+                decimals: 4
+            }))
+        };
+    }
+
+    /**
+     * السعر الحالي لعنصر
+     * Current value for alert target
+     */
+    getCurrentValue(alert) {
+        const [kind, id] = alert.itemKey.split(':');
+
+        if (kind === 'gold') {
+            const price = this.app.goldPrices.find(entry => String(entry.goldTypeId) === id);
+            return price ? Number(price[`${alert.side}Price`]) : null;
+        }
+
+        const rate = this.app.currencyRates.find(entry => String(entry.currencyId) === id);
+        return rate ? Number(rate[`${alert.side}Rate`]) : null;
+    }
+
+    /**
+     * تحديث الخيارات والقائمة بعد تغير الأسعار أو اللغة
+     * Refresh options and list
+     */
+    refresh() {
+        if (!this.form) return;
+
+        this.renderItemOptions();
+        this.renderList();
+    }
+
+    /**
+     * عرض خيارات العناصر
+     * Render item options
+     */
+    renderItemOptions() {
+        const select = this.form.elements.itemKey;
+        const selected = select.value;
+        const { gold, currency } = this.getItems();
+
+        // إعادة البناء عند تغير العناصر أو اللغة فقط، حتى لا يضيع الاختيار والتركيز مع كل تحديث للأسعار
+        const optionsKey = JSON.stringify([I18n.locale, gold, currency]);
+        if (optionsKey === this.optionsKey) return;
+        this.optionsKey = optionsKey;
+
+        const options = items => items.map(item => `
+            <option value="${Html.escape(item.key)}">${Html.escape(item.label)}</option>
+        `).join('');
+
+        select.innerHTML = `
+            <option value="">${I18n.t('alerts.chooseItem')}</option>
+            ${gold.length ? `<optgroup label="${I18n.t('alerts.gold')}">${options(gold)}</optgroup>` : ''}
+            ${currency.length ? `<optgroup label="${I18n.t('alerts.currency')}">${options(currency)}</optgroup>` : ''}
+        `;
+
+        if (selected) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * وصف التنبيه
+     * Human readable rule
+     */
+    describe(alert) {
+        const item = [...this.getItems().gold, ...this.getItems().currency]
+            .find(entry => entry.key === alert.itemKey);
+
+        return I18n.t('alerts.rule', {
+            item: item ? item.label : alert.label,
+            side: I18n.t(alert.side === 'sell' ? 'price.sell' : 'price.buy'),
+            direction: I18n.t(alert.direction === 'below' ? 'alerts.below' : 'alerts.above'),
+            target: I18n.formatNumber(alert.target, alert.decimals)
+        });
+    }
+
+    /**
+     * عرض قائمة التنبيهات
+     * Render alerts list
+     */
+    renderList() {
+        const list = document.getElementById('alerts-list');
+        if (!list) return;
+
+        if (this.alerts.length === 0) {
+            list.innerHTML = `<li class="text-muted">${I18n.t('alerts.empty')}</li>`;
+            return;
+        }
+
+        list.innerHTML = this.alerts.map(alert => `
+            <li class="alert-rule ${alert.triggered ? 'triggered' : ''}" data-id="${Html.escape(alert.id)}">
+                <span>${Html.escape(this.describe(alert))}</span>
+                <span class="badge ${alert.triggered ? 'badge-warning' : 'badge-success'}">
+                    ${I18n.t(alert.triggered ? 'alerts.triggered' : 'alerts.active')}
+                </span>
+                <span class="alert-rule-actions">
+                    ${alert.triggered ? `<button type="button" class="btn btn-secondary btn-sm" data-action="alert-reset">${I18n.t('alerts.reset')}</button>` : ''}
+                    <button type="button" class="btn btn-danger btn-sm" data-action="alert-delete">${I18n.t('alerts.delete')}</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * إضافة تنبيه من النموذج
+     * Add alert from form
+     */
+    add() {
+        const { itemKey, side, direction, target } = this.form.elements;
+        const value = parseFloat(target.value);
+        const error = document.getElementById('alerts-error');
+
+        if (!itemKey.value || !Number.isFinite(value) || value <= 0) {
+            if (error) {
+                error.textContent = I18n.t('alerts.invalid');
+                error.classList.remove('hidden');
+            }
+            return;
+        }
+
+        if (error) {
+            error.classList.add('hidden');
+        }
+
+        const item = [...this.getItems().gold, ...this.getItems().currency]
+            .find(entry => entry.key === itemKey.value);
+
+        this.alerts.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            itemKey: itemKey.value,
+            label: item ? item.label : itemKey.value,
+            decimals: item ? item.decimals : 2,
+            side: side.value === 'sell' ? 'sell' : 'buy',
+            direction: direction.value === 'below' ? 'below' : 'above',
+            target: value,
+            triggered: false
+        });
+
+        target.value = '';
+        this.save();
+        this.requestPermission();
+
+        // قد يتحقق الشرط فوراً
+        this.evaluate();
+        this.renderList();
+    }
+
+    /**
+     * طلب إذن الإشعارات (من تفاعل المستخدم)
+     * Ask for notification permission on user gesture
+     */
+    requestPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+        Notification.requestPermission().catch(error => {
+            console.warn('Notification permission request failed:', error);
+        });
+    }
+
+    /**
+     * فحص التنبيهات مقابل الأسعار الحالية
+     * Evaluate alerts against current prices (كل تنبيه يُطلق مرة حتى يُعاد تفعيله)
+     */
+    evaluate() {
+        let changed = false;
+
+        this.alerts.forEach(alert => {
+            if (alert.triggered) return;
+
+            const value = this.getCurrentValue(alert);
+            if (value === null || !Number.isFinite(value)) return;
+
+            const reached = alert.direction === 'below' ? value <= alert.target : value >= alert.target;
+            if (!reached) return;
+
+            alert.triggered = true;
+            alert.triggeredAt = Date.now();
+            changed = true;
+            this.fire(alert, value);
+        });
+
+        if (changed) {
+            this.save();
+            this.renderList();
+        }
+    }
+
+    /**
+     * إطلاق التنبيه
+     * Fire via Notification API, falling back to an in-page toast
+     */
+    fire(alert, value) {
+        const message = I18n.t('alerts.fired', {
+            rule: this.describe(alert),
+            value: I18n.formatNumber(value, alert.decimals)
+        });
+
+        if ('Notification' in window && Notification.permission === 'granted' && document.hidden) {
+            try {
+                new Notification(I18n.t('alerts.notificationTitle'), { body: message, tag: alert.id });
+                return;
+            } catch (error) {
+                // بعض المتصفحات (أندرويد) تمنع الإنشاء المباشر
+                console.warn('Notification failed, showing toast instead:', error);
+            }
+        }
+
+        this.showToast(message);
+    }
+
+    /**
+     * عرض تنبيه داخل الصفحة
+     * Show in-page toast
+     */
+    showToast(message) {
+        const container = document.getElementById('toast-container');
+        if (!container) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'alert');
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), ALERTS_CONFIG.TOAST_DURATION);
+    }
+
+    /**
+     * إعادة تفعيل تنبيه
+     * Re-arm alert
+     */
+    reset(id) {
+        const alert = this.alerts.find(entry => entry.id === id);
+        if (!alert) return;
+
+        alert.triggered = false;
+        delete alert.triggeredAt;
+        this.save();
+        this.renderList();
+    }
+
+    /**
+     * حذف تنبيه
+     * Remove alert
+     */
+    remove(id) {
+        this.alerts = this.alerts.filter(entry => entry.id !== id);
+        this.save();
+        this.renderList();
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.add();
+        });
+
+        const list = document.getElementById('alerts-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const row = e.target.closest('.alert-rule');
+                if (!button || !row) return;
+
+                if (button.dataset.action === 'alert-reset') {
+                    this.reset(row.dataset.id);
+                } else if (button.dataset.action === 'alert-delete') {
+                    this.remove(row.dataset.id);
+                }
+            });
+        }
+    }
+}
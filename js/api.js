@@ -14,9 +14,45 @@
 const API_CONFIG = {
     BASE_URL: 'https://elam-ra-backend.onrender.com',
     API_PREFIX: '/api',
+    ENV: 'production',
+    CONFIG_ERROR: null,
     TIMEOUT: 30000,
     RETRY_ATTEMPTS: 3,
-    RETRY_DELAY: 1000
+    RETRY_DELAY: 1000,
+    REALTIME_PATH: '/realtime',
+    REALTIME_TRANSPORT: 'sse',
+    REALTIME_MAX_DELAY: 30000,
+    // مدة صلاحية الاستجابات المخزنة بالملي ثانية (أطول بادئة مطابقة)
+    CACHE_TTL: {
+        '/gold/prices': 10000,
+        '/currency/rates': 10000,
+        '/gold/types': 5 * 60 * 1000,
+        '/currency/currencies': 5 * 60 * 1000,
+        '/settings/store': 60000,
+        '/settings/market': 60000,
+        '/settings/market/status': 0
+    },
+    // ترويسات عامل الخدمة عند الرد من النسخة المخزنة (sw.js)
+    SW_CACHE_HEADER: 'X-SW-Cache',
+    SW_CACHED_AT_HEADER: 'X-SW-Cached-At',
+    // حقل سبب التغيير في جسم الطلبات المعدلة لسجل التدقيق
+    // (في الجسم لا في ترويسة مخصصة حتى لا يحتاج الخادم للسماح بها في CORS)
+    REASON_FIELD: 'changeReason'
+};
+
+// =====================================================
+// مصادر إعداد البيئة
+// Environment sources
+// =====================================================
+// الأولوية: ?api= (التطوير فقط) ثم window.__ELAMRA_CONFIG__ ثم وسوم meta ثم القيم الافتراضية
+// أي خادم غير الافتراضي يجب إضافته أيضاً إلى connect-src في سياسة CSP بملف index.html
+const API_ENV_CONFIG = {
+    DEV_HOSTS: ['localhost', '127.0.0.1', '[::1]'],
+    QUERY_PARAM: 'api',
+    GLOBAL_NAME: '__ELAMRA_CONFIG__',
+    META_BASE_URL: 'api-base-url',
+    META_PREFIX: 'api-prefix',
+    META_ENV: 'api-env'
 };
 
 // =====================================================
@@ -24,11 +60,102 @@ const API_CONFIG = {
 // API Class
 // =====================================================
 class API {
+    static responseCache = new Map();
+    static inFlight = new Map();
+    static cacheGeneration = 0;
+    static responseInfo = new Map();
+    static services = new Map();
+
+    /**
+     * تحديد عنوان الخادم والبيئة
+     * Resolve base URL, prefix and environment from the page
+     */
+    static configure() {
+        const globalConfig = window[API_ENV_CONFIG.GLOBAL_NAME] || {};
+        const meta = name => {
+            const element = document.querySelector(`meta[name="${name}"]`);
+            return element && element.content.trim() ? element.content.trim() : null;
+        };
+        const isDevHost = API_ENV_CONFIG.DEV_HOSTS.includes(window.location.hostname);
+
+        let baseUrl = globalConfig.baseUrl || meta(API_ENV_CONFIG.META_BASE_URL) || API_CONFIG.BASE_URL;
+        const apiPrefix = globalConfig.apiPrefix ?? meta(API_ENV_CONFIG.META_PREFIX) ?? API_CONFIG.API_PREFIX;
+        const env = globalConfig.env || meta(API_ENV_CONFIG.META_ENV) || (isDevHost ? 'development' : API_CONFIG.ENV);
+
+        // التجاوز من الرابط مسموح في بيئة التطوير فقط
+        const override = new URLSearchParams(window.location.search).get(API_ENV_CONFIG.QUERY_PARAM);
+        if (override) {
+            if (env === 'development') {
+                baseUrl = override;
+            } else {
+                console.warn(`Ignoring ?${API_ENV_CONFIG.QUERY_PARAM}= override outside development`);
+            }
+        }
+
+        API_CONFIG.ENV = env;
+        API_CONFIG.CONFIG_ERROR = this.validateConfig(baseUrl, apiPrefix, isDevHost);
+
+        if (API_CONFIG.CONFIG_ERROR) {
+            console.error(`Invalid API configuration: ${API_CONFIG.CONFIG_ERROR}`);
+            return;
+        }
+
+        API_CONFIG.BASE_URL = baseUrl.replace(/\/+$/, '');
+        API_CONFIG.API_PREFIX = apiPrefix.replace(/\/+$/, '');
+    }
+
+    /**
+     * التحقق من إعداد الخادم
+     * Validate config (يعيد رسالة الخطأ أو null)
+     */
+    static validateConfig(baseUrl, apiPrefix, allowInsecure = false) {
+        let url;
+        try {
+            url = new URL(baseUrl);
+        } catch (error) {
+            return `"${baseUrl}" is not a valid URL`;
+        }
+
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && allowInsecure)) {
+            return `"${baseUrl}" must use https`;
+        }
+
+        if (url.search || url.hash || url.username) {
+            return `"${baseUrl}" must not contain credentials, query or hash`;
+        }
+
+        if (typeof apiPrefix !== 'string' || (apiPrefix && !apiPrefix.startsWith('/'))) {
+            return `API prefix "${apiPrefix}" must start with "/"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * البيئة الحالية للعرض
+     * Active environment
+     */
+    static getEnvironment() {
+        return {
+            env: API_CONFIG.ENV,
+            baseUrl: API_CONFIG.BASE_URL,
+            apiPrefix: API_CONFIG.API_PREFIX,
+            error: API_CONFIG.CONFIG_ERROR
+        };
+    }
+
     /**
      * إنشاء عنوان URL كامل
      * Build full URL
      */
     static buildUrl(endpoint) {
+        if (API_CONFIG.CONFIG_ERROR) {
+            const error = new Error(`Invalid API configuration: ${API_CONFIG.CONFIG_ERROR}`);
+            error.code = 'CONFIG_ERROR';
+            error.status = 0;
+            throw error;
+        }
+
         const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
         return `${API_CONFIG.BASE_URL}${API_CONFIG.API_PREFIX}${cleanEndpoint}`;
     }
@@ -69,6 +196,14 @@ class API {
         return headers;
     }
 
+    /**
+     * تعيين معالج انتهاء الجلسة (401)
+     * Set global unauthorized (401) handler
+     */
+    static setUnauthorizedHandler(handler) {
+        this.unauthorizedHandler = handler;
+    }
+
     /**
      * معالجة الاستجابة
      * Handle response
@@ -81,29 +216,311 @@ class API {
             error.status = response.status;
             error.code = data?.code || 'UNKNOWN_ERROR';
             error.data = data;
+
+            if (response.status === 401 && this.unauthorizedHandler) {
+                this.unauthorizedHandler(error);
+            }
+
             throw error;
         }
 
         return data;
     }
 
+    /**
+     * تنفيذ طلب مع مهلة زمنية وإمكانية الإلغاء
+     * Perform request with timeout and cancellation
+     *
+     * options.params  - معاملات الاستعلام
+     * options.timeout - المهلة بالملي ثانية (الافتراضي API_CONFIG.TIMEOUT)
+     * options.signal  - AbortSignal لإلغاء الطلب من المستدعي
+     */
+    static async request(method, endpoint, data = undefined, options = {}) {
+        const url = this.buildUrl(endpoint);
+        const queryParams = this.buildQuery(options.params);
+
+        const timeout = options.timeout || API_CONFIG.TIMEOUT;
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        // ربط إشارة الإلغاء الخارجية بالمتحكم الداخلي
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+
+        const fetchOptions = {
+            method,
+            headers: { ...this.getHeaders(method !== 'GET'), ...options.headers },
+            credentials: 'include',
+            signal: controller.signal
+        };
+
+        // DELETE يحمل جسماً فقط عند إرسال سبب التغيير
+        if (data !== undefined && method !== 'GET') {
+            fetchOptions.body = JSON.stringify(data);
+        }
+
+        try {
+            const response = await fetch(url + queryParams, fetchOptions);
+
+            // لم يتغير المورد منذ آخر نسخة مخزنة
+            if (response.status === 304 && options.cacheEntry) {
+                options.cacheEntry.expiresAt = Date.now() + (options.cacheTtl || 0);
+                this.recordSource(options.cacheKey, 'revalidated', options.cacheEntry.storedAt);
+                return options.cacheEntry.data;
+            }
+
+            const result = await this.handleResponse(response);
+            const fromWorker = response.headers.get(API_CONFIG.SW_CACHE_HEADER) === 'hit';
+
+            if (fromWorker) {
+                // نسخة عامل الخدمة قديمة، لا تُخزن في الذاكرة
+                const cachedAt = Date.parse(response.headers.get(API_CONFIG.SW_CACHED_AT_HEADER));
+                this.recordSource(url + queryParams, 'service-worker', Number.isNaN(cachedAt) ? null : cachedAt);
+            } else {
+                this.recordSource(url + queryParams, 'network', Date.now());
+
+                // ETag لا يظهر عبر CORS إلا إن أرسله الخادم في Access-Control-Expose-Headers،
+                // وبدونه تبقى النسخة المخزنة طوال مدة CACHE_TTL فقط دون إعادة تحقق
+                if (options.cacheKey) {
+                    this.storeCache(options, result, response.headers.get('ETag'));
+                }
+            }
+
+            return result;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw this.createAbortError(timedOut, timeout);
+            }
+
+            if (error instanceof TypeError) {
+                error.code = 'NETWORK_ERROR';
+            }
+
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * إنشاء خطأ الإلغاء أو انتهاء المهلة
+     * Create abort or timeout error
+     */
+    static createAbortError(timedOut, timeout) {
+        const error = timedOut
+            ? new Error(`Request timed out after ${timeout}ms`)
+            : new Error('Request aborted');
+
+        error.name = timedOut ? 'TimeoutError' : 'AbortError';
+        error.code = timedOut ? 'TIMEOUT' : 'ABORTED';
+        error.status = 0;
+        return error;
+    }
+
+    /**
+     * بناء معاملات الاستعلام
+     * Build query string
+     */
+    static buildQuery(params) {
+        return params ? '?' + new URLSearchParams(params).toString() : '';
+    }
+
     /**
      * طلب GET
-     * GET request
+     * GET request (يُعاد تلقائياً عند فشل الشبكة أو الخادم)
+     *
+     * الطلبات المتطابقة الجارية تُدمج في طلب واحد، والاستجابات تُخزن حسب
+     * API_CONFIG.CACHE_TTL ويُعاد التحقق منها بـ If-None-Match.
+     * كل مستدعٍ يحصل على نسخته الخاصة، فتعديلها لا يفسد الذاكرة.
+     * options.cache = false لتجاوز النسخة المخزنة
      */
     static async get(endpoint, options = {}) {
-        const url = this.buildUrl(endpoint);
-        const queryParams = options.params 
-            ? '?' + new URLSearchParams(options.params).toString() 
-            : '';
-
-        const response = await fetch(url + queryParams, {
-            method: 'GET',
-            headers: this.getHeaders(false),
-            credentials: 'include'
+        const key = this.buildUrl(endpoint) + this.buildQuery(options.params);
+        const cached = this.responseCache.get(key);
+
+        if (options.cache !== false && cached && cached.expiresAt > Date.now()) {
+            this.recordSource(key, 'memory', cached.storedAt);
+            return structuredClone(cached.data);
+        }
+
+        if (!this.inFlight.has(key)) {
+            // الطلب المشترك لا يُلغى بإشارة مستدعٍ واحد
+            const promise = this.requestWithRetry('GET', endpoint, undefined, {
+                ...options,
+                signal: undefined,
+                headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : undefined,
+                cacheKey: key,
+                cacheEntry: cached,
+                cacheTtl: this.getCacheTtl(endpoint),
+                cacheGeneration: this.cacheGeneration
+            }).finally(() => this.inFlight.delete(key));
+
+            this.inFlight.set(key, promise);
+        }
+
+        const data = await this.withSignal(this.inFlight.get(key), options.signal);
+        return structuredClone(data);
+    }
+
+    /**
+     * انتظار وعد مع إمكانية تخلي المستدعي عنه
+     * Await shared promise unless the caller's signal aborts
+     */
+    static withSignal(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(this.createAbortError(false));
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(this.createAbortError(false));
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
         });
+    }
+
+    /**
+     * مدة صلاحية استجابة مسار
+     * TTL for endpoint (أطول بادئة مطابقة في CACHE_TTL)
+     */
+    static getCacheTtl(endpoint) {
+        const path = endpoint.split('?')[0];
+        const prefix = Object.keys(API_CONFIG.CACHE_TTL)
+            .filter(key => path === key || path.startsWith(`${key}/`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return prefix ? API_CONFIG.CACHE_TTL[prefix] : 0;
+    }
+
+    /**
+     * تخزين استجابة
+     * Store response (يُتجاهل إن أُبطلت الذاكرة أثناء الطلب)
+     */
+    static storeCache(options, data, etag) {
+        if (options.cacheGeneration !== this.cacheGeneration) return;
+        if (!etag && !options.cacheTtl) return;
+
+        this.responseCache.set(options.cacheKey, {
+            data,
+            etag,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + options.cacheTtl
+        });
+    }
+
+    /**
+     * تسجيل مصدر آخر استجابة
+     * Record where the last response for a URL came from and when it was fetched
+     */
+    static recordSource(key, source, fetchedAt) {
+        if (!key) return;
+        this.responseInfo.set(key, { source, fetchedAt });
+    }
+
+    /**
+     * مصدر آخر استجابة لمسار
+     * Last response source: network | memory | revalidated | service-worker
+     *
+     * fromCache صحيحة عندما لم تأتِ البيانات من الخادم مباشرة،
+     * و stale صحيحة عندما تعذر الوصول للخادم وردّ عامل الخدمة بنسخة مخزنة.
+     */
+    static getResponseInfo(endpoint, params = undefined) {
+        const info = this.responseInfo.get(this.buildUrl(endpoint) + this.buildQuery(params));
+        if (!info) return null;
+
+        return {
+            ...info,
+            fromCache: info.source !== 'network',
+            stale: info.source === 'service-worker'
+        };
+    }
+
+    /**
+     * إبطال الاستجابات المخزنة لمورد
+     * Invalidate cached responses for the endpoint's resource (/gold, /currency...)
+     */
+    static invalidateCache(endpoint) {
+        const resource = `/${endpoint.split(/[/?]/)[1] || ''}`;
+        const prefix = `${API_CONFIG.BASE_URL}${API_CONFIG.API_PREFIX}${resource}`;
+
+        this.cacheGeneration++;
+
+        // تغير الجلسة قد يغير كل الاستجابات
+        if (resource === '/auth') {
+            this.responseCache.clear();
+            return;
+        }
+
+        [...this.responseCache.keys()]
+            .filter(key => key === prefix || key.startsWith(`${prefix}/`) || key.startsWith(`${prefix}?`))
+            .forEach(key => this.responseCache.delete(key));
+    }
+
+    /**
+     * طلب معدِّل يُبطل الذاكرة بعد نجاحه
+     * Mutating request (options.invalidate = false للطلبات التي لا تغير البيانات)
+     *
+     * options.reason - سبب التغيير، يُضاف إلى الجسم في الحقل REASON_FIELD ليُحفظ في سجل التدقيق
+     */
+    static async mutate(method, endpoint, data, options = {}) {
+        const body = options.reason
+            ? { ...data, [API_CONFIG.REASON_FIELD]: options.reason }
+            : data;
+
+        const result = await this.request(method, endpoint, body, options);
+
+        if (options.invalidate !== false) {
+            this.invalidateCache(endpoint);
+        }
+
+        return result;
+    }
+
+    /**
+     * تسجيل خدمة API إضافية
+     * Register an API service (نقطة توسعة لخدمات جديدة مثل /audit)
+     *
+     * factory: كائن الدوال أو دالة تستقبل API وتعيده
+     * options.cacheTtl: مدد صلاحية إضافية تُدمج في API_CONFIG.CACHE_TTL
+     */
+    static registerService(name, factory, options = {}) {
+        if (this.services.has(name)) {
+            throw new Error(`API service "${name}" is already registered`);
+        }
+
+        Object.assign(API_CONFIG.CACHE_TTL, options.cacheTtl);
 
-        return this.handleResponse(response);
+        const service = typeof factory === 'function' ? factory(this) : factory;
+        this.services.set(name, service);
+        return service;
+    }
+
+    /**
+     * جلب خدمة مسجلة
+     * Get a registered service
+     */
+    static getService(name) {
+        const service = this.services.get(name);
+        if (!service) {
+            throw new Error(`API service "${name}" is not registered`);
+        }
+
+        return service;
     }
 
     /**
@@ -111,16 +528,7 @@ class API {
      * POST request
      */
     static async post(endpoint, data, options = {}) {
-        const url = this.buildUrl(endpoint);
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: this.getHeaders(true),
-            credentials: 'include',
-            body: JSON.stringify(data)
-        });
-
-        return this.handleResponse(response);
+        return this.mutate('POST', endpoint, data, options);
     }
 
     /**
@@ -128,16 +536,7 @@ class API {
      * PUT request
      */
     static async put(endpoint, data, options = {}) {
-        const url = this.buildUrl(endpoint);
-
-        const response = await fetch(url, {
-            method: 'PUT',
-            headers: this.getHeaders(true),
-            credentials: 'include',
-            body: JSON.stringify(data)
-        });
-
-        return this.handleResponse(response);
+        return this.mutate('PUT', endpoint, data, options);
     }
 
     /**
@@ -145,41 +544,58 @@ class API {
      * DELETE request
      */
     static async delete(endpoint, options = {}) {
-        const url = this.buildUrl(endpoint);
+        return this.mutate('DELETE', endpoint, undefined, options);
+    }
 
-        const response = await fetch(url, {
-            method: 'DELETE',
-            headers: this.getHeaders(true),
-            credentials: 'include'
-        });
+    /**
+     * انتظار قابل للإلغاء
+     * Abortable delay
+     */
+    static delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError(false));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError(false));
+            };
 
-        return this.handleResponse(response);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
     }
 
     /**
      * طلب مع إعادة المحاولة
-     * Request with retry
+     * Request with retry (exponential backoff)
      */
-    static async requestWithRetry(method, endpoint, data = null, options = {}) {
+    static async requestWithRetry(method, endpoint, data = undefined, options = {}) {
         const maxAttempts = options.retryAttempts || API_CONFIG.RETRY_ATTEMPTS;
         let lastError;
 
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
-                return await this[method](endpoint, data, options);
+                return await this.request(method.toUpperCase(), endpoint, data, options);
             } catch (error) {
                 lastError = error;
-                
-                // لا تُعِد المحاولة لأخطاء العميل
-                if (error.status >= 400 && error.status < 500) {
+
+                // لا تُعِد المحاولة لأخطاء العميل أو عند الإلغاء
+                if ((error.status >= 400 && error.status < 500) || error.code === 'ABORTED' || error.code === 'CONFIG_ERROR') {
                     throw error;
                 }
 
                 // انتظار قبل إعادة المحاولة
                 if (attempt < maxAttempts) {
-                    await new Promise(resolve => 
-                        setTimeout(resolve, API_CONFIG.RETRY_DELAY * attempt)
-                    );
+                    await this.delay(API_CONFIG.RETRY_DELAY * 2 ** (attempt - 1), options.signal);
                 }
             }
         }
@@ -188,6 +604,218 @@ class API {
     }
 }
 
+// =====================================================
+// قناة التحديثات الفورية
+// Realtime Channel
+// =====================================================
+/**
+ * اشتراك في أحداث الخادم عبر EventSource أو WebSocket مع إعادة اتصال تلقائية.
+ * كل رسالة من الخادم بصيغة JSON: { "type": "gold:prices", "data": ... }
+ *
+ * الحالات: connecting | open | closed (انقطع ويُعاد الاتصال) | unavailable (غير مدعوم)
+ */
+class RealtimeChannel {
+    constructor(options = {}) {
+        this.transport = options.transport || API_CONFIG.REALTIME_TRANSPORT;
+        this.url = options.url || RealtimeChannel.buildUrl(this.transport);
+        this.maxDelay = options.maxDelay || API_CONFIG.REALTIME_MAX_DELAY;
+        this.baseDelay = options.baseDelay || API_CONFIG.RETRY_DELAY;
+
+        this.handlers = new Map();
+        this.statusHandlers = new Set();
+        this.status = 'closed';
+        this.connection = null;
+        this.reconnectTimer = null;
+        this.attempt = 0;
+        this.stopped = true;
+    }
+
+    /**
+     * بناء عنوان القناة
+     * Build channel URL
+     */
+    static buildUrl(transport) {
+        const url = API.buildUrl(API_CONFIG.REALTIME_PATH);
+        return transport === 'websocket' ? url.replace(/^http/, 'ws') : url;
+    }
+
+    /**
+     * هل النقل المطلوب مدعوم في المتصفح
+     * Whether the transport is supported
+     */
+    isSupported() {
+        return this.transport === 'websocket'
+            ? typeof WebSocket !== 'undefined'
+            : typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * الاشتراك في نوع حدث
+     * Subscribe to an event type (يعيد دالة إلغاء الاشتراك)
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    /**
+     * الاشتراك في تغير حالة الاتصال
+     * Subscribe to status changes
+     */
+    onStatusChange(handler) {
+        this.statusHandlers.add(handler);
+        return () => this.statusHandlers.delete(handler);
+    }
+
+    /**
+     * تعيين الحالة وإبلاغ المشتركين
+     * Set status and notify subscribers
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+
+        this.status = status;
+        this.statusHandlers.forEach(handler => handler(status));
+    }
+
+    /**
+     * فتح الاتصال
+     * Connect
+     */
+    connect() {
+        this.stopped = false;
+
+        if (!this.isSupported()) {
+            this.setStatus('unavailable');
+            return;
+        }
+
+        this.setStatus('connecting');
+
+        try {
+            this.connection = this.transport === 'websocket'
+                ? this.openWebSocket()
+                : this.openEventSource();
+        } catch (error) {
+            console.error('Realtime connection error:', error);
+            this.handleDisconnect();
+        }
+    }
+
+    /**
+     * فتح اتصال EventSource
+     * Open EventSource connection
+     */
+    openEventSource() {
+        const source = new EventSource(this.url, { withCredentials: true });
+
+        source.onopen = () => this.handleOpen();
+        source.onmessage = (event) => this.handleMessage(event.data);
+        source.onerror = () => {
+            // نتولى إعادة الاتصال بأنفسنا للتحكم في التأخير
+            source.close();
+            this.handleDisconnect();
+        };
+
+        return source;
+    }
+
+    /**
+     * فتح اتصال WebSocket
+     * Open WebSocket connection
+     */
+    openWebSocket() {
+        const socket = new WebSocket(this.url);
+
+        socket.onopen = () => this.handleOpen();
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onclose = () => this.handleDisconnect();
+
+        return socket;
+    }
+
+    /**
+     * عند نجاح الاتصال
+     * On open
+     */
+    handleOpen() {
+        this.attempt = 0;
+        this.setStatus('open');
+    }
+
+    /**
+     * معالجة رسالة واردة
+     * Handle incoming message
+     */
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Ignoring malformed realtime message:', raw);
+            return;
+        }
+
+        const handlers = message && this.handlers.get(message.type);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(message.data);
+            } catch (error) {
+                console.error(`Realtime handler for ${message.type} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * عند انقطاع الاتصال
+     * On disconnect
+     */
+    handleDisconnect() {
+        this.connection = null;
+        if (this.stopped) return;
+
+        this.setStatus('closed');
+        this.scheduleReconnect();
+    }
+
+    /**
+     * جدولة إعادة الاتصال بتأخير متزايد
+     * Schedule reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+
+        const delay = Math.min(this.baseDelay * 2 ** this.attempt, this.maxDelay);
+        const jitter = Math.random() * delay * 0.2;
+        this.attempt++;
+
+        this.reconnectTimer = setTimeout(() => this.connect(), delay + jitter);
+    }
+
+    /**
+     * إغلاق الاتصال نهائياً
+     * Disconnect
+     */
+    disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.connection) {
+            this.connection.close();
+            this.connection = null;
+        }
+
+        this.setStatus('closed');
+    }
+}
+
 // =====================================================
 // خدمات API المحددة
 // API Services
@@ -241,8 +869,8 @@ const GoldAPI = {
     /**
      * جلب جميع أسعار الذهب
      */
-    getAllPrices() {
-        return API.get('/gold/prices');
+    getAllPrices(options = {}) {
+        return API.get('/gold/prices', options);
     },
 
     /**
@@ -269,9 +897,9 @@ const GoldAPI = {
     /**
      * جلب تاريخ الأسعار
      */
-    getPriceHistory(goldTypeId, options = {}) {
+    getPriceHistory(goldTypeId, options = {}, requestOptions = {}) {
         const params = new URLSearchParams(options).toString();
-        return API.get(`/gold/history/${goldTypeId}?${params}`);
+        return API.get(`/gold/history/${goldTypeId}?${params}`, requestOptions);
     },
 
     /**
@@ -284,36 +912,36 @@ const GoldAPI = {
     /**
      * جلب الإحصائيات
      */
-    getStatistics(goldTypeId, days = 30) {
-        return API.get(`/gold/statistics/${goldTypeId}?days=${days}`);
+    getStatistics(goldTypeId, days = 30, options = {}) {
+        return API.get(`/gold/statistics/${goldTypeId}?days=${days}`, options);
     },
 
     /**
      * إنشاء سعر جديد
      */
-    createPrice(priceData) {
-        return API.post('/gold/prices', priceData);
+    createPrice(priceData, options = {}) {
+        return API.post('/gold/prices', priceData, options);
     },
 
     /**
      * تحديث سعر
      */
-    updatePrice(id, priceData) {
-        return API.put(`/gold/prices/${id}`, priceData);
+    updatePrice(id, priceData, options = {}) {
+        return API.put(`/gold/prices/${id}`, priceData, options);
     },
 
     /**
      * حذف سعر
      */
-    deletePrice(id) {
-        return API.delete(`/gold/prices/${id}`);
+    deletePrice(id, options = {}) {
+        return API.delete(`/gold/prices/${id}`, options);
     },
 
     /**
      * تحديث تلقائي للأسعار
      */
-    autoUpdate(basePrice24k) {
-        return API.post('/gold/auto-update', { basePrice24k });
+    autoUpdate(basePrice24k, options = {}) {
+        return API.post('/gold/auto-update', { basePrice24k }, options);
     }
 };
 
@@ -321,8 +949,8 @@ const CurrencyAPI = {
     /**
      * جلب جميع أسعار العملات
      */
-    getAllRates() {
-        return API.get('/currency/rates');
+    getAllRates(options = {}) {
+        return API.get('/currency/rates', options);
     },
 
     /**
@@ -356,16 +984,16 @@ const CurrencyAPI = {
     /**
      * جلب تاريخ الأسعار
      */
-    getRateHistory(currencyId, options = {}) {
+    getRateHistory(currencyId, options = {}, requestOptions = {}) {
         const params = new URLSearchParams(options).toString();
-        return API.get(`/currency/history/${currencyId}?${params}`);
+        return API.get(`/currency/history/${currencyId}?${params}`, requestOptions);
     },
 
     /**
      * تحويل العملات
      */
-    convert(amount, from, to, type = 'buy') {
-        return API.post('/currency/convert', { amount, from, to, type });
+    convert(amount, from, to, type = 'buy', options = {}) {
+        return API.post('/currency/convert', { amount, from, to, type }, { ...options, invalidate: false });
     },
 
     /**
@@ -378,36 +1006,36 @@ const CurrencyAPI = {
     /**
      * جلب الإحصائيات
      */
-    getStatistics(currencyId, days = 30) {
-        return API.get(`/currency/statistics/${currencyId}?days=${days}`);
+    getStatistics(currencyId, days = 30, options = {}) {
+        return API.get(`/currency/statistics/${currencyId}?days=${days}`, options);
     },
 
     /**
      * إنشاء سعر جديد
      */
-    createRate(rateData) {
-        return API.post('/currency/rates', rateData);
+    createRate(rateData, options = {}) {
+        return API.post('/currency/rates', rateData, options);
     },
 
     /**
      * تحديث سعر
      */
-    updateRate(id, rateData) {
-        return API.put(`/currency/rates/${id}`, rateData);
+    updateRate(id, rateData, options = {}) {
+        return API.put(`/currency/rates/${id}`, rateData, options);
     },
 
     /**
      * حذف سعر
      */
-    deleteRate(id) {
-        return API.delete(`/currency/rates/${id}`);
+    deleteRate(id, options = {}) {
+        return API.delete(`/currency/rates/${id}`, options);
     },
 
     /**
      * تحديث جميع الأسعار
      */
-    bulkUpdate(rates) {
-        return API.post('/currency/bulk-update', { rates });
+    bulkUpdate(rates, options = {}) {
+        return API.post('/currency/bulk-update', { rates }, options);
     }
 };
 
@@ -429,9 +1057,9 @@ const UserAPI = {
     /**
      * جلب جميع المستخدمين
      */
-    getAllUsers(options = {}) {
-        const params = new URLSearchParams(options).toString();
-        return API.get(`/users?${params}`);
+    getAllUsers(query = {}, options = {}) {
+        const params = new URLSearchParams(query).toString();
+        return API.get(`/users?${params}`, options);
     },
 
     /**
@@ -502,43 +1130,43 @@ const SettingsAPI = {
     /**
      * تعيين إعداد
      */
-    setSetting(key, value, type = 'string') {
-        return API.put(`/settings/${key}`, { value, type });
+    setSetting(key, value, type = 'string', options = {}) {
+        return API.put(`/settings/${key}`, { value, type }, options);
     },
 
     /**
      * حذف إعداد
      */
-    deleteSetting(key) {
-        return API.delete(`/settings/${key}`);
+    deleteSetting(key, options = {}) {
+        return API.delete(`/settings/${key}`, options);
     },
 
     /**
      * جلب معلومات المتجر
      */
-    getStoreInfo() {
-        return API.get('/settings/store');
+    getStoreInfo(options = {}) {
+        return API.get('/settings/store', options);
     },
 
     /**
      * تحديث معلومات المتجر
      */
-    updateStoreInfo(info) {
-        return API.put('/settings/store', info);
+    updateStoreInfo(info, options = {}) {
+        return API.put('/settings/store', info, options);
     },
 
     /**
      * جلب إعدادات السوق
      */
-    getMarketSettings() {
-        return API.get('/settings/market');
+    getMarketSettings(options = {}) {
+        return API.get('/settings/market', options);
     },
 
     /**
      * تحديث إعدادات السوق
      */
-    updateMarketSettings(settings) {
-        return API.put('/settings/market', settings);
+    updateMarketSettings(settings, options = {}) {
+        return API.put('/settings/market', settings, options);
     },
 
     /**
@@ -551,8 +1179,8 @@ const SettingsAPI = {
     /**
      * تحديث إعدادات الهوامش
      */
-    updateMarginSettings(margins) {
-        return API.put('/settings/margins', margins);
+    updateMarginSettings(margins, options = {}) {
+        return API.put('/settings/margins', margins, options);
     },
 
     /**
@@ -565,29 +1193,47 @@ const SettingsAPI = {
     /**
      * تحديث إعدادات الأمان
      */
-    updateSecuritySettings(settings) {
-        return API.put('/settings/security', settings);
+    updateSecuritySettings(settings, options = {}) {
+        return API.put('/settings/security', settings, options);
     },
 
     /**
      * التحقق من حالة السوق
      */
-    checkMarketStatus() {
-        return API.get('/settings/market/status');
+    checkMarketStatus(options = {}) {
+        return API.get('/settings/market/status', options);
     },
 
     /**
      * إعادة تعيين الإعدادات
      */
-    resetToDefaults() {
-        return API.post('/settings/reset');
+    resetToDefaults(options = {}) {
+        return API.post('/settings/reset', undefined, options);
     }
 };
 
+// =====================================================
+// تسجيل الخدمات الأساسية
+// Register built-in services
+// =====================================================
+API.registerService('auth', AuthAPI);
+API.registerService('gold', GoldAPI);
+API.registerService('currency', CurrencyAPI);
+API.registerService('users', UserAPI);
+API.registerService('settings', SettingsAPI);
+
+// =====================================================
+// تحديد البيئة عند التحميل
+// Resolve environment on load
+// =====================================================
+if (typeof window !== 'undefined') {
+    API.configure();
+}
+
 // =====================================================
 // تصدير الخدمات
 // Export services
 // =====================================================
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { API, AuthAPI, GoldAPI, CurrencyAPI, UserAPI, SettingsAPI };
+    module.exports = { API, RealtimeChannel, AuthAPI, GoldAPI, CurrencyAPI, UserAPI, SettingsAPI };
 }
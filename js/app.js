@@ -18,8 +18,22 @@ class GoldMarketApp {
         this.currencyRates = [];
         this.storeInfo = {};
         this.marketStatus = { isOpen: false };
+        this.marketSchedule = null;
+        this.scheduledOpen = null;
         this.updateInterval = null;
         this.clockInterval = null;
+        this.pollController = null;
+        this.staleSources = new Set();
+        this.cacheTimes = {};
+        this.historyTarget = null;
+        this.historyController = null;
+        this.calculator = null;
+        this.converter = null;
+        this.realtime = null;
+        this.marketCountdown = null;
+        this.kiosk = null;
+        this.alerts = null;
+        this.priceSheet = null;
         
         this.init();
     }
@@ -32,18 +46,49 @@ class GoldMarketApp {
         try {
             console.log('Initializing Gold Market App...');
             
+            // اللغة المحفوظة قبل أي عرض
+            I18n.init();
+            I18n.onChange(() => this.applyLocale());
+            this.updateHistoryRangeLabels();
+            
+            // وضع شاشة العرض في المتجر (?display=tv)
+            if (KioskMode.isRequested()) {
+                this.kiosk = new KioskMode(this);
+            }
+            
             // ✅ تفعيل الأزرار أولاً لكي تعمل دائماً! (هذا هو الحل)
             this.attachEventListeners();
             
             // تهيئة الساعة
             this.initClock();
             
+            // حاسبة الذهب
+            this.calculator = new GoldCalculator(this);
+            
+            // محول العملات
+            this.converter = new CurrencyConverter(this);
+            
+            // تنبيهات الأسعار
+            this.alerts = new PriceAlerts(this);
+            
+            // نشرة الأسعار للطباعة والمشاركة
+            this.priceSheet = new PriceSheet(this);
+            
+            // عرض آخر بيانات محفوظة فوراً
+            this.loadCachedData();
+            
+            // التثبيت والعمل دون اتصال
+            PWA.register();
+            
+            // لا فائدة من الاتصال بإعداد خادم غير صالح
+            if (API_CONFIG.CONFIG_ERROR) {
+                this.showError(`Invalid API configuration: ${API_CONFIG.CONFIG_ERROR}`);
+                return;
+            }
+            
             // جلب البيانات الأولية (إذا فشل، ستبقى الأزرار تعمل)
             await this.fetchInitialData();
             
-            // عرض البيانات
-            this.render();
-            
             // بدء التحديثات التلقائية
             this.startAutoUpdate();
             
@@ -72,14 +117,143 @@ class GoldMarketApp {
         if (!clockElement) return;
 
         const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', {
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
+        this.tickMarketSchedule(now);
+
+        clockElement.textContent = I18n.formatTime(now);
+    }
+
+    /**
+     * إعادة عرض النصوص والأرقام بعد تغيير اللغة
+     * Re-render after locale or digits change
+     */
+    applyLocale() {
+        this.updateClock();
+        this.updateMarketStatus();
+        this.updateStaleBadge();
+        this.updateHistoryRangeLabels();
+        this.render();
+
+        if (this.calculator.form) {
+            this.calculator.renderKaratOptions();
+            this.calculator.renderResult();
+        }
+        this.converter.refresh();
+        this.alerts.refresh();
+
+        if (this.historyTarget) {
+            this.loadHistory(this.historyTarget.days);
+        }
+    }
+
+    /**
+     * نصوص أزرار فترات التاريخ
+     * History range tab labels
+     */
+    updateHistoryRangeLabels() {
+        document.querySelectorAll('#history-range .tab').forEach(tab => {
+            tab.textContent = I18n.t('history.range', { days: I18n.formatNumber(tab.dataset.days, 0) });
+        });
+    }
+
+    /**
+     * عرض البيانات المحفوظة محلياً
+     * Render last known data from local cache
+     */
+    loadCachedData() {
+        ['storeInfo', 'marketStatus', 'goldPrices', 'currencyRates'].forEach(key => {
+            const entry = PriceCache.load(key);
+            if (!entry) return;
+
+            this[key] = entry.data;
+            this.cacheTimes[key] = entry.savedAt;
+            this.staleSources.add(key);
         });
 
-        clockElement.textContent = timeString;
+        if (this.staleSources.size === 0) return;
+
+        this.updateStoreInfo();
+        this.updateMarketStatus();
+        this.render();
+        this.updateStaleBadge();
+    }
+
+    /**
+     * تسجيل نجاح جلب بيانات حية وحفظها
+     * Mark source as live and cache it
+     */
+    markLive(key) {
+        if (PriceCache.save(key, this[key])) {
+            this.cacheTimes[key] = Date.now();
+        }
+
+        this.staleSources.delete(key);
+        this.updateStaleBadge();
+
+        if (this.kiosk) {
+            this.kiosk.recordResult(true);
+        }
+    }
+
+    /**
+     * تسجيل فشل جلب البيانات
+     * Mark source as stale
+     */
+    markStale(key) {
+        this.staleSources.add(key);
+        this.updateStaleBadge();
+
+        if (this.kiosk) {
+            this.kiosk.recordResult(false);
+        }
+    }
+
+    /**
+     * معلومات الاستجابة إن ردّ بها عامل الخدمة من ذاكرته
+     * Response info when the service worker answered from its cache while offline (else null)
+     */
+    serviceWorkerCopy(endpoint) {
+        const info = API.getResponseInfo(endpoint);
+        return info && info.stale ? info : null;
+    }
+
+    /**
+     * تسجيل نتيجة جلب ناجح
+     * Mark live, or stale for a service worker copy (لا تُحفظ ولا تُحسب نجاحاً لوضع العرض)
+     */
+    markFetched(key, cachedCopy = null) {
+        if (!cachedCopy) {
+            this.markLive(key);
+            return;
+        }
+
+        if (cachedCopy.fetchedAt) {
+            this.cacheTimes[key] = cachedCopy.fetchedAt;
+        }
+
+        this.markStale(key);
+    }
+
+    /**
+     * تحديث شارة البيانات القديمة
+     * Update stale data badge
+     */
+    updateStaleBadge() {
+        const badge = document.getElementById('stale-badge');
+        if (!badge) return;
+
+        if (this.staleSources.size === 0) {
+            badge.classList.add('hidden');
+            return;
+        }
+
+        const times = [...this.staleSources]
+            .map(key => this.cacheTimes[key])
+            .filter(Boolean);
+
+        badge.textContent = times.length
+            ? I18n.t('stale.since', { time: I18n.formatDate(Math.min(...times)) })
+            : I18n.t('stale.offline');
+        badge.classList.remove('hidden');
     }
 
     /**
@@ -87,30 +261,64 @@ class GoldMarketApp {
      * Fetch initial data
      */
     async fetchInitialData() {
+        await this.fetchStoreInfo();
+        await this.fetchMarketSchedule();
+        await this.fetchMarketStatus();
+        await this.fetchGoldPrices();
+        await this.fetchCurrencyRates();
+    }
+
+    /**
+     * جلب معلومات المتجر
+     * Fetch store info
+     */
+    async fetchStoreInfo(options = {}) {
         try {
-            // جلب معلومات المتجر
-            const storeResponse = await SettingsAPI.getStoreInfo();
-            if (storeResponse.success) {
-                this.storeInfo = storeResponse.data;
+            const response = await SettingsAPI.getStoreInfo(options);
+            if (response.success) {
+                this.storeInfo = response.data;
                 this.updateStoreInfo();
+                this.markLive('storeInfo');
             }
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            console.error('Error fetching store info:', error);
+            this.markStale('storeInfo');
+        }
+    }
 
-            // جلب حالة السوق
-            const marketResponse = await SettingsAPI.checkMarketStatus();
-            if (marketResponse.success) {
-                this.marketStatus = marketResponse.data;
-                this.updateMarketStatus();
+    /**
+     * جلب حالة السوق
+     * Fetch market status
+     */
+    async fetchMarketStatus(options = {}) {
+        try {
+            const response = await SettingsAPI.checkMarketStatus(options);
+            if (response.success) {
+                this.applyMarketStatus(response.data);
             }
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            console.error('Error fetching market status:', error);
+            this.markStale('marketStatus');
+        }
+    }
 
-            // جلب أسعار الذهب
-            await this.fetchGoldPrices();
-
-            // جلب أسعار العملات
-            await this.fetchCurrencyRates();
-
+    /**
+     * جلب مواعيد السوق
+     * Fetch weekly schedule and holidays
+     */
+    async fetchMarketSchedule(options = {}) {
+        try {
+            const response = await SettingsAPI.getMarketSettings(options);
+            if (response.success) {
+                this.marketSchedule = new MarketSchedule(response.data);
+                this.scheduledOpen = null;
+                this.tickMarketSchedule();
+            }
         } catch (error) {
-            console.error('Error fetching initial data:', error);
-            throw error;
+            if (error.code === 'ABORTED') return;
+            console.error('Error fetching market schedule:', error);
         }
     }
 
@@ -118,15 +326,16 @@ class GoldMarketApp {
      * جلب أسعار الذهب
      * Fetch gold prices
      */
-    async fetchGoldPrices() {
+    async fetchGoldPrices(options = {}) {
         try {
-            const response = await GoldAPI.getAllPrices();
+            const response = await GoldAPI.getAllPrices(options);
             if (response.success) {
-                this.goldPrices = response.data;
-                this.renderGoldPrices();
+                this.applyGoldPrices(response.data, this.serviceWorkerCopy('/gold/prices'));
             }
         } catch (error) {
+            if (error.code === 'ABORTED') return;
             console.error('Error fetching gold prices:', error);
+            this.markStale('goldPrices');
         }
     }
 
@@ -134,18 +343,74 @@ class GoldMarketApp {
      * جلب أسعار العملات
      * Fetch currency rates
      */
-    async fetchCurrencyRates() {
+    async fetchCurrencyRates(options = {}) {
         try {
-            const response = await CurrencyAPI.getAllRates();
+            const response = await CurrencyAPI.getAllRates(options);
             if (response.success) {
-                this.currencyRates = response.data;
-                this.renderCurrencyRates();
+                this.applyCurrencyRates(response.data, this.serviceWorkerCopy('/currency/rates'));
             }
         } catch (error) {
+            if (error.code === 'ABORTED') return;
             console.error('Error fetching currency rates:', error);
+            this.markStale('currencyRates');
         }
     }
 
+    /**
+     * دمج تحديث جزئي (عنصر واحد) أو استبدال القائمة كاملة
+     * Merge a single pushed item or replace the whole list
+     */
+    mergeById(list, update) {
+        if (Array.isArray(update)) return update;
+
+        const index = list.findIndex(item => String(item.id) === String(update.id));
+        if (index === -1) return [...list, update];
+
+        const next = [...list];
+        next[index] = { ...list[index], ...update };
+        return next;
+    }
+
+    /**
+     * تطبيق أسعار الذهب الجديدة
+     * Apply new gold prices (cachedCopy: service worker response info when offline)
+     */
+    applyGoldPrices(data, cachedCopy = null) {
+        const previous = this.goldPrices;
+        this.goldPrices = this.mergeById(previous, data);
+        this.updateGoldPrices(previous);
+        this.refreshKioskPage();
+        this.calculator.refresh();
+        this.alerts.refresh();
+        this.alerts.evaluate();
+        this.markFetched('goldPrices', cachedCopy);
+    }
+
+    /**
+     * تطبيق أسعار العملات الجديدة
+     * Apply new currency rates (cachedCopy: service worker response info when offline)
+     */
+    applyCurrencyRates(data, cachedCopy = null) {
+        const previous = this.currencyRates;
+        this.currencyRates = this.mergeById(previous, data);
+        this.updateCurrencyRates(previous);
+        this.refreshKioskPage();
+        this.converter.refresh();
+        this.alerts.refresh();
+        this.alerts.evaluate();
+        this.markFetched('currencyRates', cachedCopy);
+    }
+
+    /**
+     * تطبيق حالة السوق الجديدة
+     * Apply new market status
+     */
+    applyMarketStatus(data) {
+        this.marketStatus = data;
+        this.updateMarketStatus();
+        this.markLive('marketStatus');
+    }
+
     /**
      * تحديث معلومات المتجر
      * Update store info
@@ -170,23 +435,19 @@ class GoldMarketApp {
         const footerPhone = document.getElementById('footer-phone');
         if (footerPhone && this.storeInfo.phone) {
             footerPhone.textContent = this.storeInfo.phone;
-            footerPhone.href = `tel:${this.storeInfo.phone}`;
-        }
-
-        const footerWhatsapp = document.getElementById('footer-whatsapp');
-        if (footerWhatsapp && this.storeInfo.whatsapp) {
-            footerWhatsapp.href = `https://wa.me/${this.storeInfo.whatsapp.replace(/\D/g, '')}`;
+            footerPhone.href = `tel:${this.storeInfo.phone.replace(/[^\d+]/g, '')}`;
         }
 
-        const footerInstagram = document.getElementById('footer-instagram');
-        if (footerInstagram && this.storeInfo.instagram) {
-            footerInstagram.href = `https://instagram.com/${this.storeInfo.instagram.replace('@', '')}`;
-        }
-
-        const footerFacebook = document.getElementById('footer-facebook');
-        if (footerFacebook && this.storeInfo.facebook) {
-            footerFacebook.href = `https://facebook.com/${this.storeInfo.facebook}`;
-        }
+        // روابط التواصل: تُقبل فقط إن كانت https لنطاق الشبكة نفسها
+        ['whatsapp', 'instagram', 'facebook'].forEach(network => {
+            const link = document.getElementById(`footer-${network}`);
+            const url = Html.socialUrl(network, this.storeInfo[network]);
+            if (link && url) {
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            }
+        });
     }
 
     /**
@@ -201,8 +462,137 @@ class GoldMarketApp {
             const isOpen = this.marketStatus.isOpen;
             indicator.className = `status-indicator ${isOpen ? 'open' : 'closed'}`;
             text.className = `status-text ${isOpen ? 'open' : 'closed'}`;
-            text.textContent = isOpen ? 'السوق مفتوح' : 'السوق مغلق';
+            text.textContent = I18n.t(isOpen ? 'market.open' : 'market.closed');
+        }
+
+        // الأسعار المعروضة أثناء الإغلاق استرشادية فقط
+        document.body.classList.toggle('market-closed', !this.marketStatus.isOpen);
+
+        const notice = document.getElementById('market-closed-notice');
+        if (notice) {
+            notice.classList.toggle('hidden', Boolean(this.marketStatus.isOpen));
+        }
+
+        this.updateMarketCountdown();
+    }
+
+    /**
+     * مزامنة الحالة مع الجدول عند حدود الفتح والإغلاق
+     * Flip status locally when crossing a schedule boundary
+     */
+    tickMarketSchedule(now = new Date()) {
+        if (!this.marketSchedule || !this.marketSchedule.isValid()) return;
+
+        const state = this.marketSchedule.getState(now);
+        this.marketCountdown = state;
+
+        // الخادم هو المرجع إلا عند عبور موعد فتح أو إغلاق
+        if (this.scheduledOpen !== null && state.isOpen !== this.scheduledOpen) {
+            this.marketStatus = { ...this.marketStatus, isOpen: state.isOpen };
+            this.scheduledOpen = state.isOpen;
+            this.updateMarketStatus();
+            return;
+        }
+
+        this.scheduledOpen = state.isOpen;
+        this.updateMarketCountdown(now);
+    }
+
+    /**
+     * تحديث العد التنازلي للفتح أو الإغلاق
+     * Update opens-in / closes-in countdown
+     */
+    updateMarketCountdown(now = new Date()) {
+        const countdown = document.getElementById('market-countdown');
+        if (!countdown) return;
+
+        const state = this.marketCountdown;
+        if (!state || !state.nextChange) {
+            countdown.classList.add('hidden');
+            return;
         }
+
+        const remaining = MarketSchedule.formatCountdown(state.nextChange - now);
+        countdown.textContent = I18n.t(state.isOpen ? 'market.closesIn' : 'market.opensIn', { time: remaining });
+        countdown.classList.remove('hidden');
+    }
+
+    /**
+     * حساب التغير بين لقطتين لنفس العنصر
+     * Compute change between two snapshots of the same item
+     */
+    computeChange(previous, next, fields) {
+        const change = {};
+        let changed = false;
+
+        Object.entries(fields).forEach(([key, field]) => {
+            const diff = next[field] - previous[field];
+            if (Number.isFinite(diff) && diff !== 0) {
+                change[key] = {
+                    diff,
+                    percent: previous[field] ? (diff / previous[field]) * 100 : 0
+                };
+                changed = true;
+            }
+        });
+
+        return changed ? change : null;
+    }
+
+    /**
+     * تحديث البطاقات المتغيرة فقط
+     * Patch only the cards whose values changed
+     */
+    patchGrid(container, previous, next, createCard, fields) {
+        const previousById = new Map(previous.map(item => [String(item.id), item]));
+        const sameItems = previous.length === next.length
+            && next.every(item => previousById.has(String(item.id)));
+
+        // عند إضافة أو حذف عناصر يُعاد رسم الشبكة كاملة
+        if (!sameItems || !container.querySelector('[data-id]')) {
+            container.innerHTML = next.map(item => createCard(item)).join('');
+            return;
+        }
+
+        next.forEach(item => {
+            const change = this.computeChange(previousById.get(String(item.id)), item, fields);
+            const card = container.querySelector(`[data-id="${CSS.escape(String(item.id))}"]`);
+            if (!card) return;
+
+            // بدون تغيير: تُزال أسهم التحديث السابق فقط إن وُجدت
+            if (!change && !card.querySelector('.price-change')) return;
+
+            const template = document.createElement('template');
+            template.innerHTML = createCard(item, change).trim();
+            card.replaceWith(template.content.firstElementChild);
+        });
+    }
+
+    /**
+     * إنشاء مؤشر التغير
+     * Create change indicator
+     */
+    createChangeIndicator(change, decimals) {
+        if (!change) return '';
+
+        const direction = change.diff > 0 ? 'up' : 'down';
+        const arrow = change.diff > 0 ? '▲' : '▼';
+        const sign = change.diff > 0 ? '+' : '';
+
+        return `
+            <span class="price-change ${direction}">
+                ${arrow} ${sign}${I18n.formatNumber(change.diff, decimals)} (${sign}${I18n.formatNumber(change.percent, 2)}%)
+            </span>
+        `;
+    }
+
+    /**
+     * صنف الوميض للقيمة المتغيرة
+     * Flash class for a changed value
+     */
+    getFlashClass(change) {
+        if (!change) return '';
+        return change.diff > 0 ? 'flash-up' : 'flash-down';
     }
 
     /**
@@ -216,29 +606,46 @@ class GoldMarketApp {
         container.innerHTML = this.goldPrices.map(price => this.createGoldPriceCard(price)).join('');
     }
 
+    /**
+     * تحديث أسعار الذهب مقارنة باللقطة السابقة
+     * Update gold prices against the previous snapshot
+     */
+    updateGoldPrices(previous) {
+        const container = document.getElementById('gold-prices-grid');
+        if (!container) return;
+
+        this.patchGrid(container, previous, this.goldPrices,
+            (price, change) => this.createGoldPriceCard(price, change),
+            { buy: 'buyPrice', sell: 'sellPrice' });
+    }
+
     /**
      * إنشاء بطاقة سعر الذهب
      * Create gold price card
      */
-    createGoldPriceCard(price) {
-        const spread = (price.sellPrice - price.buyPrice).toFixed(2);
+    createGoldPriceCard(price, change = null) {
+        const spread = I18n.formatNumber(price.sellPrice - price.buyPrice, 2);
+        const buyChange = change && change.buy;
+        const sellChange = change && change.sell;
         
         return `
-            <div class="card card-price" data-id="${price.id}">
-                <div class="card-title">${price.goldTypeName}</div>
-                <div class="card-value">${price.karat}K</div>
+            <div class="card card-price" data-id="${Html.escape(price.id)}">
+                <div class="card-title">${Html.escape(price.goldTypeName)}</div>
+                <div class="card-value">${Html.escape(price.karat)}K</div>
                 <div class="card-prices">
                     <div class="price-item">
-                        <span class="price-label">سعر الشراء</span>
-                        <span class="price-value price-buy">${price.buyPrice.toLocaleString()}</span>
+                        <span class="price-label">${I18n.t('price.buy')}</span>
+                        <span class="price-value price-buy ${this.getFlashClass(buyChange)}">${I18n.formatNumber(price.buyPrice, 2)}</span>
+                        ${this.createChangeIndicator(buyChange, 2)}
                     </div>
                     <div class="price-item">
-                        <span class="price-label">سعر البيع</span>
-                        <span class="price-value price-sell">${price.sellPrice.toLocaleString()}</span>
+                        <span class="price-label">${I18n.t('price.sell')}</span>
+                        <span class="price-value price-sell ${this.getFlashClass(sellChange)}">${I18n.formatNumber(price.sellPrice, 2)}</span>
+                        ${this.createChangeIndicator(sellChange, 2)}
                     </div>
                 </div>
                 <div class="mt-4 text-sm text-muted">
-                    الفرق: <span class="text-gold">${spread}</span>
+                    ${I18n.t('price.spread')} <span class="text-gold">${spread}</span>
                 </div>
             </div>
         `;
@@ -255,37 +662,177 @@ class GoldMarketApp {
         container.innerHTML = this.currencyRates.map(rate => this.createCurrencyRateCard(rate)).join('');
     }
 
+    /**
+     * تحديث أسعار العملات مقارنة باللقطة السابقة
+     * Update currency rates against the previous snapshot
+     */
+    updateCurrencyRates(previous) {
+        const container = document.getElementById('currency-rates-grid');
+        if (!container) return;
+
+        this.patchGrid(container, previous, this.currencyRates,
+            (rate, change) => this.createCurrencyRateCard(rate, change),
+            { buy: 'buyRate', sell: 'sellRate' });
+    }
+
     /**
      * إنشاء بطاقة سعر العملة
      * Create currency rate card
      */
-    createCurrencyRateCard(rate) {
-        const spread = (rate.sellRate - rate.buyRate).toFixed(4);
+    createCurrencyRateCard(rate, change = null) {
+        const spread = I18n.formatNumber(rate.sellRate - rate.buyRate, 4);
+        const buyChange = change && change.buy;
+        const sellChange = change && change.sell;
         
         return `
-            <div class="card card-price" data-id="${rate.id}">
+            <div class="card card-price" data-id="${Html.escape(rate.id)}">
                 <div class="card-title">
-                    <span class="text-2xl">${rate.flagEmoji || '🏳️'}</span>
-                    ${rate.currencyName}
+                    <span class="text-2xl">${Html.escape(rate.flagEmoji || '🏳️')}</span>
+                    ${Html.escape(rate.currencyName)}
                 </div>
-                <div class="card-value">${rate.currencyCode}</div>
+                <div class="card-value">${Html.escape(rate.currencyCode)}</div>
                 <div class="card-prices">
                     <div class="price-item">
-                        <span class="price-label">سعر الشراء</span>
-                        <span class="price-value price-buy">${rate.buyRate.toFixed(4)}</span>
+                        <span class="price-label">${I18n.t('price.buy')}</span>
+                        <span class="price-value price-buy ${this.getFlashClass(buyChange)}">${I18n.formatNumber(rate.buyRate, 4)}</span>
+                        ${this.createChangeIndicator(buyChange, 4)}
                     </div>
                     <div class="price-item">
-                        <span class="price-label">سعر البيع</span>
-                        <span class="price-value price-sell">${rate.sellRate.toFixed(4)}</span>
+                        <span class="price-label">${I18n.t('price.sell')}</span>
+                        <span class="price-value price-sell ${this.getFlashClass(sellChange)}">${I18n.formatNumber(rate.sellRate, 4)}</span>
+                        ${this.createChangeIndicator(sellChange, 4)}
                     </div>
                 </div>
                 <div class="mt-4 text-sm text-muted">
-                    الفرق: <span class="text-gold">${spread}</span>
+                    ${I18n.t('price.spread')} <span class="text-gold">${spread}</span>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * فتح لوحة تاريخ الأسعار
+     * Open price history panel
+     */
+    openHistoryPanel(kind, id) {
+        const list = kind === 'gold' ? this.goldPrices : this.currencyRates;
+        const item = list.find(entry => String(entry.id) === String(id));
+        if (!item) return;
+
+        this.historyTarget = { kind, item, days: 30 };
+
+        const title = document.getElementById('history-modal-title');
+        if (title) {
+            title.textContent = kind === 'gold'
+                ? `${item.goldTypeName} (${item.karat}K)`
+                : `${item.currencyName} (${item.currencyCode})`;
+        }
+
+        const modal = document.getElementById('history-modal');
+        if (modal) {
+            modal.classList.add('open');
+        }
+
+        this.loadHistory(30);
+    }
+
+    /**
+     * إغلاق لوحة تاريخ الأسعار
+     * Close price history panel
+     */
+    closeHistoryPanel() {
+        const modal = document.getElementById('history-modal');
+        if (modal) {
+            modal.classList.remove('open');
+        }
+
+        if (this.historyController) {
+            this.historyController.abort();
+            this.historyController = null;
+        }
+
+        this.historyTarget = null;
+    }
+
+    /**
+     * جلب تاريخ الأسعار والإحصائيات للفترة المحددة
+     * Load history and statistics for the selected range
+     */
+    async loadHistory(days) {
+        if (!this.historyTarget) return;
+
+        const { kind, item } = this.historyTarget;
+        this.historyTarget.days = days;
+
+        document.querySelectorAll('#history-range .tab').forEach(tab => {
+            tab.classList.toggle('active', Number(tab.dataset.days) === days);
+        });
+
+        const chartContainer = document.getElementById('history-chart');
+        const statsContainer = document.getElementById('history-stats');
+        if (!chartContainer || !statsContainer) return;
+
+        chartContainer.innerHTML = `
+            <div class="loading">
+                <div class="spinner"></div>
+                <span>${I18n.t('common.loadingData')}</span>
+            </div>
+        `;
+        statsContainer.innerHTML = '';
+
+        // إلغاء أي طلب سابق لم يكتمل
+        if (this.historyController) {
+            this.historyController.abort();
+        }
+        this.historyController = new AbortController();
+        const options = { signal: this.historyController.signal };
+
+        try {
+            const [historyResponse, statsResponse] = kind === 'gold'
+                ? await Promise.all([
+                    GoldAPI.getPriceHistory(item.goldTypeId, { days }, options),
+                    GoldAPI.getStatistics(item.goldTypeId, days, options).catch(() => null)
+                ])
+                : await Promise.all([
+                    CurrencyAPI.getRateHistory(item.currencyId, { days }, options),
+                    CurrencyAPI.getStatistics(item.currencyId, days, options).catch(() => null)
+                ]);
+
+            const points = PriceChart.normalizePoints(historyResponse.success ? historyResponse.data : []);
+            const statistics = (statsResponse && statsResponse.success && statsResponse.data)
+                || PriceChart.computeStatistics(points);
+            const decimals = kind === 'gold' ? 2 : 4;
+
+            chartContainer.innerHTML = PriceChart.render(points, { decimals });
+            statsContainer.innerHTML = this.createHistoryStats(statistics, decimals);
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            console.error('Error fetching price history:', error);
+            chartContainer.innerHTML = `<div class="chart-empty text-danger">${I18n.t('history.error')}</div>`;
+        }
+    }
+
+    /**
+     * إنشاء ملخص الإحصائيات
+     * Create statistics summary
+     */
+    createHistoryStats(statistics, decimals) {
+        if (!statistics || !statistics.buy || !statistics.sell) return '';
+
+        const format = value => I18n.formatNumber(value, decimals);
+        const row = (label, stats, className) => `
+            <div class="stats-row">
+                <span class="stats-label ${className}">${label}</span>
+                <span>${I18n.t('stats.min')} <strong>${format(stats.min)}</strong></span>
+                <span>${I18n.t('stats.max')} <strong>${format(stats.max)}</strong></span>
+                <span>${I18n.t('stats.avg')} <strong>${format(stats.avg)}</strong></span>
+            </div>
+        `;
+
+        return row(I18n.t('stats.buy'), statistics.buy, 'text-success')
+            + row(I18n.t('stats.sell'), statistics.sell, 'text-danger');
+    }
+
     /**
      * عرض الصفحة
      * Render page
@@ -293,6 +840,17 @@ class GoldMarketApp {
     render() {
         this.renderGoldPrices();
         this.renderCurrencyRates();
+        this.refreshKioskPage();
+    }
+
+    /**
+     * إعادة تطبيق صفحة العرض على البطاقات الجديدة
+     * Re-apply the current kiosk page to re-rendered or patched cards
+     */
+    refreshKioskPage() {
+        if (this.kiosk) {
+            this.kiosk.showPage(this.kiosk.pageIndex);
+        }
     }
 
     /**
@@ -300,23 +858,106 @@ class GoldMarketApp {
      * Start auto update
      */
     startAutoUpdate() {
+        // الاستطلاع يعمل حتى تصبح القناة الفورية متاحة
+        this.startPolling();
+        this.startRealtime();
+    }
+
+    /**
+     * بدء الاستطلاع الدوري
+     * Start polling
+     */
+    startPolling() {
+        if (this.updateInterval) return;
+
         // تحديث كل 30 ثانية
-        this.updateInterval = setInterval(() => {
-            this.fetchGoldPrices();
-            this.fetchCurrencyRates();
-            this.updateMarketStatus();
-        }, 30000);
+        this.updateInterval = setInterval(() => this.poll(), 30000);
     }
 
     /**
-     * إيقاف التحديثات التلقائية
-     * Stop auto update
+     * إيقاف الاستطلاع الدوري
+     * Stop polling
      */
-    stopAutoUpdate() {
+    stopPolling() {
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
+
+        if (this.pollController) {
+            this.pollController.abort();
+            this.pollController = null;
+        }
+    }
+
+    /**
+     * الاشتراك في التحديثات الفورية من الخادم
+     * Subscribe to server-pushed updates
+     */
+    startRealtime() {
+        this.realtime = new RealtimeChannel();
+
+        this.realtime.on('gold:prices', data => this.applyGoldPrices(data));
+        this.realtime.on('currency:rates', data => this.applyCurrencyRates(data));
+        this.realtime.on('market:status', data => this.applyMarketStatus(data));
+
+        this.realtime.onStatusChange(status => {
+            if (status === 'open') {
+                // مزامنة ما فات أثناء الانقطاع ثم الاعتماد على القناة
+                this.stopPolling();
+                this.poll();
+            } else if (status !== 'connecting') {
+                this.startPolling();
+            }
+        });
+
+        this.realtime.connect();
+    }
+
+    /**
+     * دورة تحديث واحدة (تلغي الدورة السابقة إن لم تنتهِ)
+     * Single poll cycle, cancelling any stale one
+     */
+    poll() {
+        if (this.pollController) {
+            this.pollController.abort();
+        }
+
+        this.pollController = new AbortController();
+        const options = { signal: this.pollController.signal };
+
+        this.fetchGoldPrices(options);
+        this.fetchCurrencyRates(options);
+
+        // إعادة محاولة البيانات التي فشل جلبها سابقاً
+        if (this.staleSources.has('storeInfo')) {
+            this.fetchStoreInfo(options);
+        }
+        if (this.staleSources.has('marketStatus')) {
+            this.fetchMarketStatus(options);
+        }
+        if (!this.marketSchedule) {
+            this.fetchMarketSchedule(options);
+        }
+
+        this.updateMarketStatus();
+    }
+
+    /**
+     * إيقاف التحديثات التلقائية
+     * Stop auto update
+     */
+    stopAutoUpdate() {
+        if (this.realtime) {
+            this.realtime.disconnect();
+            this.realtime = null;
+        }
+
+        this.stopPolling();
+
+        if (this.kiosk) {
+            this.kiosk.stop();
+        }
         
         if (this.clockInterval) {
             clearInterval(this.clockInterval);
@@ -337,6 +978,50 @@ class GoldMarketApp {
             });
         }
 
+        // تبديل اللغة ونوع الأرقام
+        const langBtn = document.getElementById('lang-btn');
+        if (langBtn) {
+            langBtn.addEventListener('click', () => {
+                I18n.setLocale(I18n.locale === 'ar' ? 'en' : 'ar');
+            });
+        }
+
+        const digitsBtn = document.getElementById('digits-btn');
+        if (digitsBtn) {
+            digitsBtn.addEventListener('click', () => {
+                I18n.setDigits(I18n.digits === 'arab' ? 'latn' : 'arab');
+            });
+        }
+
+        // شاشة العرض بدون تفاعل
+        if (this.kiosk) return;
+
+        // فتح تاريخ الأسعار عند النقر على البطاقة
+        document.addEventListener('click', (e) => {
+            const card = e.target.closest('.card-price[data-id]');
+            if (card) {
+                const kind = card.closest('#gold-prices-grid') ? 'gold' : 'currency';
+                this.openHistoryPanel(kind, card.dataset.id);
+                return;
+            }
+
+            const rangeTab = e.target.closest('#history-range .tab');
+            if (rangeTab) {
+                this.loadHistory(Number(rangeTab.dataset.days));
+                return;
+            }
+
+            if (e.target.closest('[data-action="close-history"]') || e.target.id === 'history-modal') {
+                this.closeHistoryPanel();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.historyTarget) {
+                this.closeHistoryPanel();
+            }
+        });
+
         // تأثيرات البطاقات
         document.addEventListener('mouseover', (e) => {
             const card = e.target.closest('.card');
@@ -360,7 +1045,7 @@ class GoldMarketApp {
     showError(message) {
         const container = document.getElementById('error-container');
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = Html.template`
                 <div class="alert alert-danger">
                     <i class="icon">⚠️</i>
                     <span>${message}</span>
@@ -376,7 +1061,7 @@ class GoldMarketApp {
     showSuccess(message) {
         const container = document.getElementById('success-container');
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = Html.template`
                 <div class="alert alert-success">
                     <i class="icon">✓</i>
                     <span>${message}</span>
@@ -0,0 +1,87 @@
+/**
+ * =====================================================
+   التخزين المحلي للأسعار
+   Local Price Cache
+ * =====================================================
+ * الملف: frontend/js/cache.js
+ * الغرض: حفظ آخر بيانات ناجحة لعرضها عند انقطاع الاتصال
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات التخزين
+// Cache Configuration
+// =====================================================
+const CACHE_CONFIG = {
+    KEY_PREFIX: 'elamra:',
+    VERSION: 1
+};
+
+const PriceCache = {
+    /**
+     * بناء مفتاح التخزين
+     * Build storage key
+     */
+    buildKey(key) {
+        return `${CACHE_CONFIG.KEY_PREFIX}${key}`;
+    },
+
+    /**
+     * حفظ البيانات
+     * Save data
+     */
+    save(key, data) {
+        try {
+            const entry = {
+                version: CACHE_CONFIG.VERSION,
+                savedAt: Date.now(),
+                data
+            };
+            localStorage.setItem(this.buildKey(key), JSON.stringify(entry));
+            return true;
+        } catch (error) {
+            // التخزين ممتلئ أو غير متاح (وضع التصفح الخاص)
+            console.warn(`Unable to cache ${key}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * قراءة البيانات
+     * Load data ({ data, savedAt } أو null)
+     */
+    load(key) {
+        try {
+            const raw = localStorage.getItem(this.buildKey(key));
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            if (!entry || entry.version !== CACHE_CONFIG.VERSION) return null;
+
+            return { data: entry.data, savedAt: entry.savedAt };
+        } catch (error) {
+            console.warn(`Unable to read cached ${key}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * حذف البيانات
+     * Remove data
+     */
+    remove(key) {
+        try {
+            localStorage.removeItem(this.buildKey(key));
+        } catch (error) {
+            console.warn(`Unable to remove cached ${key}:`, error);
+        }
+    }
+};
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceCache, CACHE_CONFIG };
+}
@@ -0,0 +1,231 @@
+/**
+ * =====================================================
+   حاسبة الذهب
+   Gold Calculator
+ * =====================================================
+ * الملف: frontend/js/calculator.js
+ * الغرض: حساب قيمة قطعة الذهب حسب الوزن والعيار والمصنعية
+ * =====================================================
+ */
+
+// =====================================================
+// فئة حاسبة الذهب
+// Gold Calculator Class
+// =====================================================
+class GoldCalculator {
+    constructor(app) {
+        this.app = app;
+        this.goldTypes = [];
+        this.result = null;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.form = document.getElementById('calculator-form');
+        if (!this.form) return;
+
+        this.attachEventListeners();
+        await this.fetchGoldTypes();
+    }
+
+    /**
+     * جلب أنواع الذهب
+     * Fetch gold types
+     */
+    async fetchGoldTypes() {
+        try {
+            const response = await GoldAPI.getGoldTypes();
+            if (response.success) {
+                this.goldTypes = response.data;
+            }
+        } catch (error) {
+            console.error('Error fetching gold types:', error);
+        }
+
+        this.renderKaratOptions();
+    }
+
+    /**
+     * عرض خيارات العيار
+     * Render karat options (من الأسعار الحالية إن تعذر جلب الأنواع)
+     */
+    renderKaratOptions() {
+        const select = this.form.elements.goldTypeId;
+        const selected = select.value;
+
+        const types = this.goldTypes.length > 0
+            ? this.goldTypes
+            : this.app.goldPrices.map(price => ({
+                id: price.goldTypeId,
+                name: price.goldTypeName,
+                karat: price.karat
+            }));
+
+        select.innerHTML = `<option value="">${I18n.t('calculator.chooseKarat')}</option>` + types.map(type => `
+            <option value="${Html.escape(type.id)}">${Html.escape(type.name)} (${Html.escape(type.karat)}K)</option>
+        `).join('');
+
+        if (selected) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * تحديث الحساب عند تغير الأسعار
+     * Refresh when prices change
+     */
+    refresh() {
+        if (!this.form) return;
+
+        if (this.goldTypes.length === 0) {
+            this.renderKaratOptions();
+        }
+
+        this.calculate();
+    }
+
+    /**
+     * تنسيق المبلغ
+     * Format amount
+     */
+    formatAmount(value) {
+        return I18n.formatNumber(value, 2);
+    }
+
+    /**
+     * حساب القيمة
+     * Calculate value
+     */
+    calculate() {
+        const elements = this.form.elements;
+        const mode = elements.mode.value;
+        const weight = parseFloat(elements.weight.value);
+        const goldTypeId = elements.goldTypeId.value;
+        const makingCharge = parseFloat(elements.makingCharge.value) || 0;
+        const vatRate = parseFloat(elements.vatRate.value) || 0;
+
+        // المصنعية والضريبة تنطبق فقط عند البيع للعميل
+        const isSale = mode === 'sell';
+        elements.makingCharge.disabled = !isSale;
+        elements.vatRate.disabled = !isSale;
+
+        const price = this.app.goldPrices.find(p => String(p.goldTypeId) === String(goldTypeId));
+
+        if (!price || !Number.isFinite(weight) || weight <= 0) {
+            this.result = null;
+            this.renderResult();
+            return;
+        }
+
+        const pricePerGram = isSale ? price.sellPrice : price.buyPrice;
+        const goldValue = weight * pricePerGram;
+        const making = isSale ? weight * makingCharge : 0;
+        const subtotal = goldValue + making;
+        const vat = isSale ? subtotal * (vatRate / 100) : 0;
+
+        this.result = {
+            mode,
+            weight,
+            karat: price.karat,
+            goldTypeName: price.goldTypeName,
+            pricePerGram,
+            goldValue,
+            makingCharge: isSale ? makingCharge : 0,
+            making,
+            subtotal,
+            vatRate: isSale ? vatRate : 0,
+            vat,
+            total: subtotal + vat
+        };
+
+        this.renderResult();
+    }
+
+    /**
+     * عرض نتيجة الحساب
+     * Render calculation breakdown
+     */
+    renderResult() {
+        const container = document.getElementById('calculator-result');
+        const printBtn = document.getElementById('calculator-print-btn');
+        if (!container) return;
+
+        if (printBtn) {
+            printBtn.disabled = !this.result;
+        }
+
+        if (!this.result) {
+            container.innerHTML = `<div class="text-muted text-center">${I18n.t('calculator.empty')}</div>`;
+            return;
+        }
+
+        const r = this.result;
+        const rows = [
+            [I18n.t('calculator.mode'), I18n.t(r.mode === 'sell' ? 'calculator.modeSell' : 'calculator.modeBuy')],
+            [I18n.t('calculator.karat'), `${Html.escape(r.goldTypeName)} (${Html.escape(r.karat)}K)`],
+            [I18n.t('calculator.weight'), I18n.t('calculator.weightValue', { weight: I18n.formatNumber(r.weight, 2) })],
+            [I18n.t('calculator.pricePerGram'), this.formatAmount(r.pricePerGram)],
+            [I18n.t('calculator.goldValue'), this.formatAmount(r.goldValue)]
+        ];
+
+        if (r.mode === 'sell') {
+            rows.push([I18n.t('calculator.makingTotal'), `${this.formatAmount(r.making)} (${this.formatAmount(r.makingCharge)} × ${I18n.formatNumber(r.weight, 2)})`]);
+            rows.push([I18n.t('calculator.subtotal'), this.formatAmount(r.subtotal)]);
+            rows.push([I18n.t('calculator.vatRow', { rate: I18n.formatNumber(r.vatRate, 2) }), this.formatAmount(r.vat)]);
+        }
+
+        container.innerHTML = `
+            <table class="calculator-breakdown">
+                <tbody>
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <th>${label}</th>
+                            <td>${value}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th>${I18n.t(r.mode === 'sell' ? 'calculator.totalSell' : 'calculator.totalBuy')}</th>
+                        <td class="text-gold">${this.formatAmount(r.total)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * طباعة تفاصيل الحساب
+     * Print breakdown
+     */
+    print() {
+        if (!this.result) return;
+
+        document.body.classList.add('print-calculator');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('print-calculator');
+        }, { once: true });
+
+        window.print();
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('input', () => this.calculate());
+        this.form.addEventListener('change', () => this.calculate());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        const printBtn = document.getElementById('calculator-print-btn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => this.print());
+        }
+    }
+}
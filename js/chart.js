@@ -0,0 +1,129 @@
+/**
+ * =====================================================
+   المخطط البياني
+   Price Chart
+ * =====================================================
+ * الملف: frontend/js/chart.js
+ * الغرض: رسم مخطط خطي SVG لتاريخ الأسعار بدون مكتبات خارجية
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات المخطط
+// Chart Configuration
+// =====================================================
+const CHART_CONFIG = {
+    WIDTH: 600,
+    HEIGHT: 260,
+    PADDING: { top: 20, right: 16, bottom: 32, left: 64 },
+    GRID_LINES: 4
+};
+
+const PriceChart = {
+    /**
+     * توحيد نقاط تاريخ الأسعار (ذهب أو عملات)
+     * Normalize history entries into { date, buy, sell }
+     */
+    normalizePoints(history) {
+        return (history || [])
+            .map(entry => ({
+                date: new Date(entry.recordedAt || entry.createdAt || entry.date),
+                buy: Number(entry.buyPrice ?? entry.buyRate),
+                sell: Number(entry.sellPrice ?? entry.sellRate)
+            }))
+            .filter(point => !isNaN(point.date) && Number.isFinite(point.buy) && Number.isFinite(point.sell))
+            .sort((a, b) => a.date - b.date);
+    },
+
+    /**
+     * حساب الإحصائيات محلياً
+     * Compute min/max/avg from points
+     */
+    computeStatistics(points) {
+        const summarize = values => ({
+            min: Math.min(...values),
+            max: Math.max(...values),
+            avg: values.reduce((sum, value) => sum + value, 0) / values.length
+        });
+
+        if (points.length === 0) return null;
+
+        return {
+            buy: summarize(points.map(p => p.buy)),
+            sell: summarize(points.map(p => p.sell))
+        };
+    },
+
+    /**
+     * إنشاء مسار الخط
+     * Build polyline points attribute
+     */
+    buildLine(points, key, scaleX, scaleY) {
+        return points
+            .map((point, index) => `${scaleX(index).toFixed(1)},${scaleY(point[key]).toFixed(1)}`)
+            .join(' ');
+    },
+
+    /**
+     * رسم المخطط
+     * Render chart as SVG markup
+     */
+    render(points, options = {}) {
+        if (points.length < 2) {
+            return `<div class="chart-empty text-muted">${I18n.t('history.empty')}</div>`;
+        }
+
+        const { WIDTH, HEIGHT, PADDING, GRID_LINES } = CHART_CONFIG;
+        const decimals = options.decimals ?? 2;
+        const plotWidth = WIDTH - PADDING.left - PADDING.right;
+        const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+        const values = points.flatMap(p => [p.buy, p.sell]);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+
+        // تجنب القسمة على صفر عند ثبات السعر
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+
+        const scaleX = index => PADDING.left + (index / (points.length - 1)) * plotWidth;
+        const scaleY = value => PADDING.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+        const gridLines = Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+            const value = min + ((max - min) * i) / GRID_LINES;
+            const y = scaleY(value).toFixed(1);
+            return `
+                <line class="chart-grid" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y}" y2="${y}"></line>
+                <text class="chart-label" x="${PADDING.left - 8}" y="${y}" text-anchor="end" dominant-baseline="middle">${I18n.formatNumber(value, decimals)}</text>
+            `;
+        }).join('');
+
+        const formatDate = date => I18n.formatDate(date, { day: 'numeric', month: 'short' });
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        return `
+            <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${Html.escape(options.label)}">
+                ${gridLines}
+                <text class="chart-label" x="${PADDING.left}" y="${HEIGHT - 8}" text-anchor="start">${formatDate(first.date)}</text>
+                <text class="chart-label" x="${WIDTH - PADDING.right}" y="${HEIGHT - 8}" text-anchor="end">${formatDate(last.date)}</text>
+                <polyline class="chart-line chart-line-buy" points="${this.buildLine(points, 'buy', scaleX, scaleY)}"></polyline>
+                <polyline class="chart-line chart-line-sell" points="${this.buildLine(points, 'sell', scaleX, scaleY)}"></polyline>
+            </svg>
+            <div class="chart-legend">
+                <span class="chart-legend-item chart-legend-buy">${I18n.t('price.buy')}</span>
+                <span class="chart-legend-item chart-legend-sell">${I18n.t('price.sell')}</span>
+            </div>
+        `;
+    }
+};
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceChart, CHART_CONFIG };
+}
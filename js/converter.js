@@ -0,0 +1,255 @@
+/**
+ * =====================================================
+   محول العملات
+   Currency Converter
+ * =====================================================
+ * الملف: frontend/js/converter.js
+ * الغرض: تحويل المبالغ بين العملات عبر الخادم أو محلياً عند تعذر الاتصال
+ * =====================================================
+ */
+
+// =====================================================
+// العملة الأساسية (الأسعار محسوبة مقابلها)
+// Base currency
+// =====================================================
+const BASE_CURRENCY = {
+    code: 'SAR',
+    name: 'ريال سعودي',
+    flagEmoji: '🇸🇦'
+};
+
+// =====================================================
+// فئة محول العملات
+// Currency Converter Class
+// =====================================================
+class CurrencyConverter {
+    constructor(app) {
+        this.app = app;
+        this.currencies = [];
+        this.debounceTimer = null;
+        this.controller = null;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    async init() {
+        this.form = document.getElementById('converter-form');
+        if (!this.form) return;
+
+        this.attachEventListeners();
+        await this.fetchCurrencies();
+    }
+
+    /**
+     * جلب العملات
+     * Fetch currencies
+     */
+    async fetchCurrencies() {
+        try {
+            const response = await CurrencyAPI.getCurrencies();
+            if (response.success) {
+                this.currencies = response.data;
+            }
+        } catch (error) {
+            console.error('Error fetching currencies:', error);
+        }
+
+        this.renderCurrencyOptions();
+    }
+
+    /**
+     * قائمة العملات المتاحة للتحويل
+     * Available currencies (من الأسعار الحالية إن تعذر جلب العملات)
+     */
+    getAvailableCurrencies() {
+        const currencies = this.currencies.length > 0
+            ? this.currencies
+            : this.app.currencyRates.map(rate => ({
+                code: rate.currencyCode,
+                name: rate.currencyName,
+                flagEmoji: rate.flagEmoji
+            }));
+
+        const hasBase = currencies.some(currency => currency.code === BASE_CURRENCY.code);
+        return hasBase ? currencies : [BASE_CURRENCY, ...currencies];
+    }
+
+    /**
+     * عرض خيارات العملات
+     * Render currency options
+     */
+    renderCurrencyOptions() {
+        const { from, to } = this.form.elements;
+        const previousFrom = from.value;
+        const previousTo = to.value;
+
+        const options = this.getAvailableCurrencies().map(currency => `
+            <option value="${Html.escape(currency.code)}">${Html.escape(currency.flagEmoji || '🏳️')} ${Html.escape(currency.name)} (${Html.escape(currency.code)})</option>
+        `).join('');
+
+        from.innerHTML = options;
+        to.innerHTML = options;
+
+        from.value = previousFrom || 'USD';
+        to.value = previousTo || BASE_CURRENCY.code;
+
+        // في حال عدم توفر العملة الافتراضية
+        if (!from.value) from.selectedIndex = 0;
+        if (!to.value) to.selectedIndex = 0;
+
+        this.scheduleConvert();
+    }
+
+    /**
+     * تحديث عند تغير الأسعار
+     * Refresh when rates change
+     */
+    refresh() {
+        if (!this.form) return;
+
+        if (this.currencies.length === 0) {
+            this.renderCurrencyOptions();
+        } else {
+            this.scheduleConvert();
+        }
+    }
+
+    /**
+     * تبديل العملتين
+     * Swap currencies
+     */
+    swap() {
+        const { from, to } = this.form.elements;
+        [from.value, to.value] = [to.value, from.value];
+        this.convert();
+    }
+
+    /**
+     * جدولة التحويل بعد توقف الكتابة
+     * Debounce conversion
+     */
+    scheduleConvert() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.convert(), 300);
+    }
+
+    /**
+     * الحصول على سعر العملة مقابل العملة الأساسية
+     * Get rate against base currency
+     */
+    getLocalRate(code, type) {
+        if (code === BASE_CURRENCY.code) return 1;
+
+        const rate = this.app.currencyRates.find(r => r.currencyCode === code);
+        if (!rate) return null;
+
+        return type === 'sell' ? rate.sellRate : rate.buyRate;
+    }
+
+    /**
+     * التحويل محلياً من الأسعار الحالية
+     * Convert locally from current rates
+     */
+    convertLocally(amount, from, to, type) {
+        const fromRate = this.getLocalRate(from, type);
+        const toRate = this.getLocalRate(to, type);
+        if (!fromRate || !toRate) return null;
+
+        return (amount * fromRate) / toRate;
+    }
+
+    /**
+     * تنفيذ التحويل
+     * Convert
+     */
+    async convert() {
+        clearTimeout(this.debounceTimer);
+
+        const elements = this.form.elements;
+        const amount = parseFloat(elements.amount.value);
+        const from = elements.from.value;
+        const to = elements.to.value;
+        const type = elements.type.value;
+
+        if (!Number.isFinite(amount) || amount <= 0 || !from || !to) {
+            this.renderResult(null);
+            return;
+        }
+
+        if (from === to) {
+            this.renderResult({ amount, from, to, result: amount, local: false });
+            return;
+        }
+
+        // إلغاء الطلب السابق إن لم يكتمل
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.controller = new AbortController();
+
+        try {
+            const response = await CurrencyAPI.convert(amount, from, to, type, { signal: this.controller.signal });
+            const data = response.success ? response.data : null;
+            const result = data && Number(data.result ?? data.convertedAmount);
+
+            if (!Number.isFinite(result)) {
+                throw new Error('Invalid conversion response');
+            }
+
+            this.renderResult({ amount, from, to, result, local: false });
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            console.warn('Server conversion failed, using local rates:', error);
+
+            const result = this.convertLocally(amount, from, to, type);
+            this.renderResult(result === null ? null : { amount, from, to, result, local: true });
+        }
+    }
+
+    /**
+     * عرض نتيجة التحويل
+     * Render conversion result
+     */
+    renderResult(conversion) {
+        const container = document.getElementById('converter-result');
+        if (!container) return;
+
+        if (!conversion) {
+            container.innerHTML = `<div class="text-muted">${I18n.t('converter.empty')}</div>`;
+            return;
+        }
+
+        const format = value => I18n.formatNumber(value, 0, { maximumFractionDigits: 4 });
+
+        // رموز العملات من الخادم
+        container.innerHTML = Html.template`
+            <div class="converter-amount">
+                ${format(conversion.amount)} ${conversion.from} =
+                <span class="text-gold">${format(conversion.result)} ${conversion.to}</span>
+            </div>
+            ${Html.raw(conversion.local ? `<div class="text-sm text-warning mt-2">${I18n.t('converter.local')}</div>` : '')}
+        `;
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.form.addEventListener('input', () => this.scheduleConvert());
+        this.form.addEventListener('change', () => this.scheduleConvert());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.convert();
+        });
+
+        const swapBtn = document.getElementById('converter-swap-btn');
+        if (swapBtn) {
+            swapBtn.addEventListener('click', () => this.swap());
+        }
+    }
+}
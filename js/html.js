@@ -0,0 +1,141 @@
+/**
+ * =====================================================
+   الحماية عند العرض
+   HTML Escaping & URL Sanitization
+ * =====================================================
+ * الملف: frontend/js/html.js
+ * الغرض: تهريب بيانات الخادم قبل إدراجها في innerHTML والتحقق من الروابط الخارجية
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات الحماية
+// Sanitization Configuration
+// =====================================================
+const HTML_CONFIG = {
+    SAFE_PROTOCOLS: ['https:', 'http:'],
+    SOCIAL_HOSTS: {
+        whatsapp: ['wa.me', 'api.whatsapp.com'],
+        instagram: ['instagram.com', 'www.instagram.com'],
+        facebook: ['facebook.com', 'www.facebook.com', 'm.facebook.com']
+    }
+};
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// =====================================================
+// خدمة الحماية
+// Html Service
+// =====================================================
+class Html {
+    /**
+     * تهريب قيمة لعرضها كنص أو داخل سمة
+     * Escape a value for text or attribute context
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * قالب يهرّب كل القيم المدرجة
+     * Tagged template escaping every interpolation (استخدم Html.raw للمحتوى الموثوق)
+     */
+    static template(strings, ...values) {
+        return strings.reduce((result, string, index) => {
+            if (index === 0) return string;
+
+            const value = values[index - 1];
+            const rendered = value instanceof SafeHtml ? value.html : Html.escape(value);
+            return result + rendered + string;
+        }, '');
+    }
+
+    /**
+     * تعليم HTML موثوق لتجاوز التهريب في Html.template
+     * Mark trusted markup
+     */
+    static raw(html) {
+        return new SafeHtml(html);
+    }
+
+    /**
+     * التحقق من رابط خارجي
+     * Return a normalized URL when the scheme (and host, if given) is allowed, else null
+     */
+    static safeUrl(value, allowedHosts = null) {
+        if (!value) return null;
+
+        let url;
+        try {
+            url = new URL(String(value).trim());
+        } catch (error) {
+            return null;
+        }
+
+        if (!HTML_CONFIG.SAFE_PROTOCOLS.includes(url.protocol)) return null;
+        if (allowedHosts && !allowedHosts.includes(url.hostname.toLowerCase())) return null;
+
+        return url.href;
+    }
+
+    /**
+     * بناء رابط حساب تواصل اجتماعي من رقم أو معرف أو رابط كامل
+     * Build social profile URL from a handle, number or full URL
+     */
+    static socialUrl(network, value) {
+        const hosts = HTML_CONFIG.SOCIAL_HOSTS[network];
+        if (!hosts || !value) return null;
+
+        const input = String(value).trim();
+        if (/^https?:\/\//i.test(input)) {
+            return Html.safeUrl(input, hosts);
+        }
+
+        switch (network) {
+            case 'whatsapp': {
+                if (!/^\+?[\d\s()-]{6,20}$/.test(input)) return null;
+                return `https://wa.me/${input.replace(/\D/g, '')}`;
+            }
+            case 'instagram': {
+                const handle = input.replace(/^@/, '');
+                return /^[A-Za-z0-9._]{1,30}$/.test(handle) ? `https://instagram.com/${handle}` : null;
+            }
+            case 'facebook': {
+                const handle = input.replace(/^@/, '');
+                return /^[A-Za-z0-9.-]{1,50}$/.test(handle) ? `https://facebook.com/${handle}` : null;
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * غلاف لمحتوى HTML موثوق
+ * Wrapper for trusted markup
+ */
+class SafeHtml {
+    constructor(html) {
+        this.html = String(html);
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Html, SafeHtml, HTML_CONFIG };
+}
@@ -0,0 +1,409 @@
+/**
+ * =====================================================
+   الترجمة وتنسيق الأرقام
+   Internationalization
+ * =====================================================
+ * الملف: frontend/js/i18n.js
+ * الغرض: نصوص الواجهة بالعربية والإنجليزية وتنسيق الأرقام والتواريخ عبر Intl
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات اللغة
+// I18n Configuration
+// =====================================================
+const I18N_CONFIG = {
+    STORAGE_KEY: 'elamra:i18n',
+    DEFAULT_LOCALE: 'ar',
+    DEFAULT_DIGITS: 'latn',
+    LOCALES: {
+        ar: { tag: 'ar-SA', dir: 'rtl' },
+        en: { tag: 'en-US', dir: 'ltr' }
+    },
+    DIGITS: ['latn', 'arab']
+};
+
+// =====================================================
+// النصوص
+// Message catalogs
+// =====================================================
+const MESSAGES = {
+    ar: {
+        'lang.switch': 'English',
+        'header.admin': 'إدارة النظام',
+        'hero.title': 'سوق الذهب والعملات',
+        'hero.subtitle': 'أسعار الذهب والعملات المحدثة لحظياً من مصنوعات الأميرة<br>متخصصون في تداول الذهب والعملات الأجنبية',
+        'common.loading': 'جاري التحميل...',
+        'common.loadingPrices': 'جاري تحميل الأسعار...',
+        'common.loadingData': 'جاري تحميل البيانات...',
+        'market.open': 'السوق مفتوح',
+        'market.closed': 'السوق مغلق',
+        'market.opensIn': 'يفتح خلال {time}',
+        'market.closesIn': 'يغلق خلال {time}',
+        'market.closedNotice': '🔒 السوق مغلق حالياً - الأسعار المعروضة استرشادية وقد تتغير عند الفتح',
+        'countdown.days': '{days} يوم {hours} ساعة',
+        'countdown.hours': '{hours} ساعة {minutes} دقيقة',
+        'stale.since': '⚠️ الأسعار المعروضة غير محدثة - آخر تحديث: {time}',
+        'stale.offline': '⚠️ تعذر الاتصال بالخادم، جاري إعادة المحاولة...',
+        'gold.title': 'أسعار <span>الذهب</span>',
+        'gold.subtitle': 'أسعار الذهب المحدثة لحظياً بالريال السعودي',
+        'currency.title': 'أسعار <span>العملات</span>',
+        'currency.subtitle': 'أسعار العملات الأجنبية المحدثة لحظياً',
+        'price.buy': 'سعر الشراء',
+        'price.sell': 'سعر البيع',
+        'price.spread': 'الفرق:',
+        'history.title': 'تاريخ الأسعار',
+        'history.range': '{days} يوم',
+        'history.error': 'تعذر تحميل تاريخ الأسعار',
+        'history.empty': 'لا توجد بيانات كافية لرسم المخطط',
+        'stats.buy': 'الشراء',
+        'stats.sell': 'البيع',
+        'stats.min': 'الأدنى:',
+        'stats.max': 'الأعلى:',
+        'stats.avg': 'المتوسط:',
+        'converter.title': 'محول <span>العملات</span>',
+        'converter.subtitle': 'حوّل المبالغ بين العملات بأسعار الشراء أو البيع الحالية',
+        'converter.amount': 'المبلغ',
+        'converter.from': 'من',
+        'converter.to': 'إلى',
+        'converter.swap': 'تبديل',
+        'converter.rate': 'السعر',
+        'converter.buy': 'شراء',
+        'converter.sell': 'بيع',
+        'converter.empty': 'أدخل المبلغ لعرض النتيجة',
+        'converter.local': 'تم الحساب محلياً من آخر أسعار متاحة',
+        'calculator.title': 'حاسبة <span>الذهب</span>',
+        'calculator.subtitle': 'احسب قيمة قطعتك حسب الوزن والعيار وأسعار اليوم',
+        'calculator.mode': 'نوع العملية',
+        'calculator.modeBuy': 'بيع للمتجر',
+        'calculator.modeSell': 'شراء من المتجر',
+        'calculator.karat': 'العيار',
+        'calculator.chooseKarat': 'اختر العيار',
+        'calculator.weight': 'الوزن (جرام)',
+        'calculator.weightValue': '{weight} جرام',
+        'calculator.making': 'المصنعية لكل جرام',
+        'calculator.vat': 'ضريبة القيمة المضافة (%)',
+        'calculator.vatRow': 'ضريبة القيمة المضافة ({rate}%)',
+        'calculator.pricePerGram': 'سعر الجرام',
+        'calculator.goldValue': 'قيمة الذهب',
+        'calculator.makingTotal': 'المصنعية',
+        'calculator.subtotal': 'المجموع قبل الضريبة',
+        'calculator.totalSell': 'المبلغ المستحق على العميل',
+        'calculator.totalBuy': 'المبلغ المدفوع للعميل',
+        'calculator.empty': 'أدخل الوزن واختر العيار لعرض القيمة',
+        'calculator.print': '🖨️ طباعة التفاصيل',
+        'alerts.title': 'تنبيهات <span>الأسعار</span>',
+        'alerts.subtitle': 'احصل على تنبيه عندما يصل السعر إلى المستوى الذي تريده',
+        'alerts.item': 'الصنف',
+        'alerts.chooseItem': 'اختر الصنف',
+        'alerts.gold': 'الذهب',
+        'alerts.currency': 'العملات',
+        'alerts.side': 'السعر',
+        'alerts.direction': 'الشرط',
+        'alerts.above': 'أعلى من أو يساوي',
+        'alerts.below': 'أقل من أو يساوي',
+        'alerts.target': 'السعر المستهدف',
+        'alerts.add': 'إضافة تنبيه',
+        'alerts.invalid': 'اختر الصنف وأدخل سعراً مستهدفاً صحيحاً',
+        'alerts.empty': 'لا توجد تنبيهات',
+        'alerts.active': 'نشط',
+        'alerts.triggered': 'تم التنبيه',
+        'alerts.reset': 'إعادة تفعيل',
+        'alerts.delete': 'حذف',
+        'alerts.rule': '{item}: {side} {direction} {target}',
+        'alerts.fired': '🔔 {rule} - السعر الآن {value}',
+        'alerts.notificationTitle': 'تنبيه سعر',
+        'sheet.print': '🖨️ طباعة النشرة',
+        'sheet.share': '📤 مشاركة كصورة',
+        'sheet.title': 'نشرة أسعار الذهب والعملات',
+        'sheet.updatedAt': 'آخر تحديث: {time}',
+        'sheet.gold': 'أسعار الذهب (ريال/جرام)',
+        'sheet.currencies': 'أسعار العملات (ريال)',
+        'sheet.shareFailed': 'تعذر إنشاء صورة الأسعار',
+        'sheet.downloaded': 'تم تنزيل صورة الأسعار، يمكنك إرفاقها في واتساب',
+        'footer.links': 'روابط سريعة',
+        'footer.home': 'الصفحة الرئيسية',
+        'footer.admin': 'لوحة التحكم',
+        'footer.contact': 'تواصل معنا',
+        'footer.rights': 'جميع الحقوق محفوظة.'
+    },
+    en: {
+        'lang.switch': 'العربية',
+        'header.admin': 'Admin',
+        'hero.title': 'Gold & Currency Market',
+        'hero.subtitle': 'Live gold and currency prices from Al-Amira Jewelry<br>Specialists in gold and foreign currency trading',
+        'common.loading': 'Loading...',
+        'common.loadingPrices': 'Loading prices...',
+        'common.loadingData': 'Loading data...',
+        'market.open': 'Market open',
+        'market.closed': 'Market closed',
+        'market.opensIn': 'Opens in {time}',
+        'market.closesIn': 'Closes in {time}',
+        'market.closedNotice': '🔒 The market is closed - prices shown are indicative and may change at opening',
+        'countdown.days': '{days}d {hours}h',
+        'countdown.hours': '{hours}h {minutes}m',
+        'stale.since': '⚠️ Prices are not up to date - last update: {time}',
+        'stale.offline': '⚠️ Cannot reach the server, retrying...',
+        'gold.title': 'Gold <span>Prices</span>',
+        'gold.subtitle': 'Live gold prices in Saudi Riyal',
+        'currency.title': 'Currency <span>Rates</span>',
+        'currency.subtitle': 'Live foreign currency rates',
+        'price.buy': 'Buy',
+        'price.sell': 'Sell',
+        'price.spread': 'Spread:',
+        'history.title': 'Price history',
+        'history.range': '{days} days',
+        'history.error': 'Could not load price history',
+        'history.empty': 'Not enough data to draw the chart',
+        'stats.buy': 'Buy',
+        'stats.sell': 'Sell',
+        'stats.min': 'Min:',
+        'stats.max': 'Max:',
+        'stats.avg': 'Avg:',
+        'converter.title': 'Currency <span>Converter</span>',
+        'converter.subtitle': 'Convert amounts between currencies at current buy or sell rates',
+        'converter.amount': 'Amount',
+        'converter.from': 'From',
+        'converter.to': 'To',
+        'converter.swap': 'Swap',
+        'converter.rate': 'Rate',
+        'converter.buy': 'Buy',
+        'converter.sell': 'Sell',
+        'converter.empty': 'Enter an amount to see the result',
+        'converter.local': 'Calculated locally from the latest available rates',
+        'calculator.title': 'Gold <span>Calculator</span>',
+        'calculator.subtitle': 'Value your piece by weight, karat and today\'s prices',
+        'calculator.mode': 'Transaction',
+        'calculator.modeBuy': 'Sell to the store',
+        'calculator.modeSell': 'Buy from the store',
+        'calculator.karat': 'Karat',
+        'calculator.chooseKarat': 'Choose karat',
+        'calculator.weight': 'Weight (grams)',
+        'calculator.weightValue': '{weight} g',
+        'calculator.making': 'Making charge per gram',
+        'calculator.vat': 'VAT (%)',
+        'calculator.vatRow': 'VAT ({rate}%)',
+        'calculator.pricePerGram': 'Price per gram',
+        'calculator.goldValue': 'Gold value',
+        'calculator.makingTotal': 'Making charge',
+        'calculator.subtotal': 'Subtotal before VAT',
+        'calculator.totalSell': 'Amount due from customer',
+        'calculator.totalBuy': 'Amount paid to customer',
+        'calculator.empty': 'Enter a weight and choose a karat to see the value',
+        'calculator.print': '🖨️ Print details',
+        'alerts.title': 'Price <span>Alerts</span>',
+        'alerts.subtitle': 'Get notified when a price reaches your level',
+        'alerts.item': 'Item',
+        'alerts.chooseItem': 'Choose item',
+        'alerts.gold': 'Gold',
+        'alerts.currency': 'Currencies',
+        'alerts.side': 'Price',
+        'alerts.direction': 'Condition',
+        'alerts.above': 'at or above',
+        'alerts.below': 'at or below',
+        'alerts.target': 'Target price',
+        'alerts.add': 'Add alert',
+        'alerts.invalid': 'Choose an item and enter a valid target price',
+        'alerts.empty': 'No alerts yet',
+        'alerts.active': 'Active',
+        'alerts.triggered': 'Triggered',
+        'alerts.reset': 'Re-arm',
+        'alerts.delete': 'Delete',
+        'alerts.rule': '{item}: {side} {direction} {target}',
+        'alerts.fired': '🔔 {rule} - now {value}',
+        'alerts.notificationTitle': 'Price alert',
+        'sheet.print': '🖨️ Print sheet',
+        'sheet.share': '📤 Share as image',
+        'sheet.title': 'Gold & Currency Price Sheet',
+        'sheet.updatedAt': 'Last update: {time}',
+        'sheet.gold': 'Gold prices (SAR/gram)',
+        'sheet.currencies': 'Currency rates (SAR)',
+        'sheet.shareFailed': 'Could not create the price image',
+        'sheet.downloaded': 'Price image downloaded, you can attach it in WhatsApp',
+        'footer.links': 'Quick links',
+        'footer.home': 'Home',
+        'footer.admin': 'Dashboard',
+        'footer.contact': 'Contact us',
+        'footer.rights': 'All rights reserved.'
+    }
+};
+
+// =====================================================
+// خدمة الترجمة
+// I18n Service
+// =====================================================
+class I18n {
+    static locale = I18N_CONFIG.DEFAULT_LOCALE;
+    static digits = I18N_CONFIG.DEFAULT_DIGITS;
+    static listeners = new Set();
+
+    /**
+     * تحميل الاختيار المحفوظ وتطبيقه
+     * Load persisted preferences and apply them
+     */
+    static init() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(I18N_CONFIG.STORAGE_KEY) || '{}');
+            if (I18N_CONFIG.LOCALES[saved.locale]) {
+                this.locale = saved.locale;
+            }
+            if (I18N_CONFIG.DIGITS.includes(saved.digits)) {
+                this.digits = saved.digits;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved language preference:', error);
+        }
+
+        this.applyToDocument();
+    }
+
+    /**
+     * حفظ الاختيار
+     * Persist preferences
+     */
+    static persist() {
+        try {
+            localStorage.setItem(I18N_CONFIG.STORAGE_KEY, JSON.stringify({
+                locale: this.locale,
+                digits: this.digits
+            }));
+        } catch (error) {
+            console.warn('Could not save language preference:', error);
+        }
+    }
+
+    /**
+     * تغيير اللغة
+     * Switch locale
+     */
+    static setLocale(locale) {
+        if (!I18N_CONFIG.LOCALES[locale] || locale === this.locale) return;
+
+        this.locale = locale;
+        this.persist();
+        this.applyToDocument();
+        this.notify();
+    }
+
+    /**
+     * تغيير نوع الأرقام (عربية هندية أو لاتينية)
+     * Switch digits between Arabic-Indic and Latin
+     */
+    static setDigits(digits) {
+        if (!I18N_CONFIG.DIGITS.includes(digits) || digits === this.digits) return;
+
+        this.digits = digits;
+        this.persist();
+        this.applyToDocument();
+        this.notify();
+    }
+
+    /**
+     * الاشتراك في تغيير اللغة
+     * Subscribe to changes
+     */
+    static onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    static notify() {
+        this.listeners.forEach(callback => callback(this.locale));
+    }
+
+    /**
+     * ترجمة مفتاح مع استبدال المتغيرات
+     * Translate key with {param} interpolation
+     */
+    static t(key, params = {}) {
+        const catalog = MESSAGES[this.locale] || MESSAGES[I18N_CONFIG.DEFAULT_LOCALE];
+        const template = catalog[key] ?? MESSAGES[I18N_CONFIG.DEFAULT_LOCALE][key] ?? key;
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            name in params ? params[name] : match
+        ));
+    }
+
+    /**
+     * وسم اللغة لـ Intl مع التقويم ونوع الأرقام
+     * BCP 47 tag including calendar and numbering system
+     */
+    static getLocaleTag() {
+        // ar-SA يستخدم التقويم الهجري افتراضيًا، والأسعار تُؤرَّخ بالميلادي
+        return `${I18N_CONFIG.LOCALES[this.locale].tag}-u-ca-gregory-nu-${this.digits}`;
+    }
+
+    /**
+     * تنسيق رقم بعدد خانات عشرية ثابت
+     * Format number with fixed decimals
+     */
+    static formatNumber(value, decimals = 2, options = {}) {
+        return new Intl.NumberFormat(this.getLocaleTag(), {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+            ...options
+        }).format(Number(value));
+    }
+
+    /**
+     * تنسيق تاريخ
+     * Format date
+     */
+    static formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.getLocaleTag(), options).format(new Date(date));
+    }
+
+    /**
+     * تنسيق الوقت بنظام 24 ساعة
+     * Format 24h time
+     */
+    static formatTime(date) {
+        return this.formatDate(date, {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * تطبيق اللغة على الصفحة
+     * Apply lang/dir and translate data-i18n elements
+     */
+    static applyToDocument() {
+        const root = document.documentElement;
+        root.lang = this.locale;
+        root.dir = I18N_CONFIG.LOCALES[this.locale].dir;
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        // نصوص الكتالوج فقط (موثوقة) تُدرج كـ HTML
+        document.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+
+        const langBtn = document.getElementById('lang-btn');
+        if (langBtn) {
+            langBtn.textContent = this.t('lang.switch');
+        }
+
+        const digitsBtn = document.getElementById('digits-btn');
+        if (digitsBtn) {
+            digitsBtn.textContent = this.digits === 'arab' ? '123' : '١٢٣';
+        }
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, MESSAGES, I18N_CONFIG };
+}
@@ -0,0 +1,179 @@
+/**
+ * =====================================================
+   وضع شاشة العرض
+   Kiosk / TV Display Mode
+ * =====================================================
+ * الملف: frontend/js/kiosk.js
+ * الغرض: عرض الأسعار على شاشة المتجر بخط كبير وتقليب تلقائي (index.html?display=tv)
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات وضع العرض
+// Kiosk Configuration
+// =====================================================
+const KIOSK_CONFIG = {
+    PARAM: 'display',
+    VALUE: 'tv',
+    PAGE_INTERVAL: 15000,
+    CARDS_PER_PAGE: 8,
+    MAX_FAILURES: 10,
+    GRIDS: ['gold-prices-grid', 'currency-rates-grid']
+};
+
+// =====================================================
+// فئة وضع العرض
+// Kiosk Mode Class
+// =====================================================
+class KioskMode {
+    constructor(app) {
+        this.app = app;
+        this.pageIndex = 0;
+        this.pageTimer = null;
+        this.wakeLock = null;
+        this.failures = 0;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * هل طُلب وضع العرض في الرابط
+     * Whether kiosk mode is requested via ?display=tv
+     */
+    static isRequested() {
+        return new URLSearchParams(window.location.search).get(KIOSK_CONFIG.PARAM) === KIOSK_CONFIG.VALUE;
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    init() {
+        document.body.classList.add('kiosk');
+
+        this.requestWakeLock();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.showPage(0);
+        this.pageTimer = setInterval(() => this.showPage(this.pageIndex + 1), KIOSK_CONFIG.PAGE_INTERVAL);
+    }
+
+    /**
+     * إبقاء الشاشة مضاءة
+     * Keep the screen awake
+     */
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator)) return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            console.warn('Wake lock unavailable:', error);
+        }
+    }
+
+    /**
+     * إعادة طلب القفل عند عودة الصفحة للظهور
+     * Wake locks are released when the page is hidden
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && !this.wakeLock) {
+            this.requestWakeLock();
+        }
+    }
+
+    /**
+     * تقسيم البطاقات إلى صفحات
+     * Build pages from the current grids
+     */
+    getPages() {
+        const pages = [];
+
+        KIOSK_CONFIG.GRIDS.forEach(id => {
+            const grid = document.getElementById(id);
+            if (!grid) return;
+
+            const cards = [...grid.querySelectorAll('.card-price[data-id]')];
+            if (cards.length === 0) {
+                pages.push({ grid, cards: null });
+                return;
+            }
+
+            for (let i = 0; i < cards.length; i += KIOSK_CONFIG.CARDS_PER_PAGE) {
+                pages.push({ grid, cards: cards.slice(i, i + KIOSK_CONFIG.CARDS_PER_PAGE) });
+            }
+        });
+
+        return pages;
+    }
+
+    /**
+     * عرض صفحة معينة وإخفاء الباقي
+     * Show a single page
+     */
+    showPage(index) {
+        const pages = this.getPages();
+        if (pages.length === 0) return;
+
+        this.pageIndex = index % pages.length;
+        const page = pages[this.pageIndex];
+
+        KIOSK_CONFIG.GRIDS.forEach(id => {
+            const grid = document.getElementById(id);
+            if (!grid) return;
+
+            grid.closest('.prices-section').classList.toggle('kiosk-hidden', grid !== page.grid);
+            grid.querySelectorAll('.card-price').forEach(card => {
+                card.classList.toggle('kiosk-hidden', Boolean(page.cards) && !page.cards.includes(card));
+            });
+        });
+    }
+
+    /**
+     * تسجيل نتيجة جلب البيانات
+     * Track consecutive fetch failures and reload when stuck
+     */
+    recordResult(success) {
+        if (success) {
+            this.failures = 0;
+            return;
+        }
+
+        this.failures++;
+
+        // لا فائدة من إعادة التحميل بدون اتصال، ستعرض الصفحة خطأ المتصفح
+        if (this.failures >= KIOSK_CONFIG.MAX_FAILURES && navigator.onLine) {
+            console.warn('Too many failed fetches, reloading display');
+            window.location.reload();
+        }
+    }
+
+    /**
+     * إيقاف وضع العرض
+     * Stop kiosk mode
+     */
+    stop() {
+        clearInterval(this.pageTimer);
+        this.pageTimer = null;
+
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.wakeLock) {
+            this.wakeLock.release();
+            this.wakeLock = null;
+        }
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KioskMode, KIOSK_CONFIG };
+}
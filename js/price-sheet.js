@@ -0,0 +1,377 @@
+/**
+ * =====================================================
+   نشرة الأسعار اليومية
+   Daily Price Sheet
+ * =====================================================
+ * الملف: frontend/js/price-sheet.js
+ * الغرض: طباعة نشرة أسعار A4 ومشاركتها كصورة PNG
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات النشرة
+// Price Sheet Configuration
+// =====================================================
+const SHEET_CONFIG = {
+    IMAGE_WIDTH: 1080,
+    PADDING: 64,
+    ROW_HEIGHT: 72,
+    HEADER_HEIGHT: 260,
+    SECTION_GAP: 48,
+    FONT: "'Cairo', 'Tajawal', sans-serif",
+    COLORS: {
+        background: '#000000',
+        card: '#1A1A1A',
+        gold: '#D4AF37',
+        text: '#FFFFFF',
+        muted: '#8A8A8A',
+        buy: '#22C55E',
+        sell: '#EF4444'
+    }
+};
+
+// =====================================================
+// فئة نشرة الأسعار
+// Price Sheet Class
+// =====================================================
+class PriceSheet {
+    constructor(app) {
+        this.app = app;
+
+        this.init();
+    }
+
+    /**
+     * التهيئة
+     * Initialize
+     */
+    init() {
+        this.container = document.getElementById('price-sheet');
+        if (!this.container) return;
+
+        this.attachEventListeners();
+    }
+
+    /**
+     * وقت آخر تحديث للأسعار المعروضة
+     * Timestamp of the prices shown
+     */
+    getTimestamp() {
+        const times = [this.app.cacheTimes.goldPrices, this.app.cacheTimes.currencyRates].filter(Boolean);
+        return times.length ? Math.max(...times) : Date.now();
+    }
+
+    /**
+     * صفوف النشرة
+     * Sheet rows for gold and currencies
+     */
+    getSections() {
+        return [
+            {
+                title: I18n.t('sheet.gold'),
+                decimals: 2,
+                rows: this.app.goldPrices.map(price => ({
+                    label: `${price.goldTypeName} (${price.karat}K)`,
+                    buy: price.buyPrice,
+                    sell: price.sellPrice
+                }))
+            },
+            {
+                title: I18n.t('sheet.currencies'),
+                decimals: 4,
+                rows: this.app.currencyRates.map(rate => ({
+                    label: `${rate.flagEmoji || ''} ${rate.currencyName} (${rate.currencyCode})`.trim(),
+                    buy: rate.buyRate,
+                    sell: rate.sellRate
+                }))
+            }
+        ].filter(section => section.rows.length > 0);
+    }
+
+    /**
+     * بناء نشرة الطباعة
+     * Render printable sheet markup
+     */
+    render() {
+        const store = this.app.storeInfo || {};
+
+        this.container.innerHTML = Html.template`
+            <header class="sheet-header">
+                <h1>${store.name || ''}</h1>
+                <p>${store.address || ''}</p>
+                <p dir="ltr">${store.phone || ''}</p>
+                <h2>${I18n.t('sheet.title')}</h2>
+                <p class="sheet-time">${I18n.t('sheet.updatedAt', { time: I18n.formatDate(this.getTimestamp()) })}</p>
+            </header>
+            ${Html.raw(this.getSections().map(section => Html.template`
+                <table class="sheet-table">
+                    <caption>${section.title}</caption>
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${I18n.t('price.buy')}</th>
+                            <th>${I18n.t('price.sell')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Html.raw(section.rows.map(row => Html.template`
+                            <tr>
+                                <td>${row.label}</td>
+                                <td>${I18n.formatNumber(row.buy, section.decimals)}</td>
+                                <td>${I18n.formatNumber(row.sell, section.decimals)}</td>
+                            </tr>
+                        `).join(''))}
+                    </tbody>
+                </table>
+            `).join(''))}
+        `;
+    }
+
+    /**
+     * طباعة النشرة
+     * Print A4 sheet
+     */
+    print() {
+        this.render();
+
+        document.body.classList.add('print-sheet');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('print-sheet');
+        }, { once: true });
+
+        window.print();
+    }
+
+    /**
+     * رسم النشرة على canvas
+     * Draw sheet on a canvas
+     */
+    drawImage() {
+        const { IMAGE_WIDTH, PADDING, ROW_HEIGHT, HEADER_HEIGHT, SECTION_GAP, FONT, COLORS } = SHEET_CONFIG;
+        const sections = this.getSections();
+        const store = this.app.storeInfo || {};
+        const rtl = I18N_CONFIG.LOCALES[I18n.locale].dir === 'rtl';
+
+        const rowsCount = sections.reduce((sum, section) => sum + section.rows.length + 2, 0);
+        const height = HEADER_HEIGHT + rowsCount * ROW_HEIGHT + sections.length * SECTION_GAP + PADDING * 2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = IMAGE_WIDTH;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.direction = rtl ? 'rtl' : 'ltr';
+        ctx.textBaseline = 'middle';
+
+        // مواضع الأعمدة حسب اتجاه اللغة
+        const start = rtl ? IMAGE_WIDTH - PADDING : PADDING;
+        const buyX = rtl ? PADDING + 420 : IMAGE_WIDTH - PADDING - 420;
+        const sellX = rtl ? PADDING + 160 : IMAGE_WIDTH - PADDING - 160;
+
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, IMAGE_WIDTH, height);
+
+        // الترويسة
+        ctx.textAlign = 'center';
+        ctx.fillStyle = COLORS.gold;
+        ctx.font = `800 56px ${FONT}`;
+        ctx.fillText(store.name || '', IMAGE_WIDTH / 2, PADDING + 32);
+
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = `400 28px ${FONT}`;
+        ctx.fillText([store.address, store.phone].filter(Boolean).join(' - '), IMAGE_WIDTH / 2, PADDING + 100);
+
+        ctx.fillStyle = COLORS.text;
+        ctx.font = `700 40px ${FONT}`;
+        ctx.fillText(I18n.t('sheet.title'), IMAGE_WIDTH / 2, PADDING + 160);
+
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = `400 26px ${FONT}`;
+        ctx.fillText(I18n.t('sheet.updatedAt', { time: I18n.formatDate(this.getTimestamp()) }), IMAGE_WIDTH / 2, PADDING + 210);
+
+        let y = PADDING + HEADER_HEIGHT;
+
+        sections.forEach(section => {
+            ctx.fillStyle = COLORS.card;
+            ctx.fillRect(PADDING / 2, y - ROW_HEIGHT / 2, IMAGE_WIDTH - PADDING, (section.rows.length + 2) * ROW_HEIGHT);
+
+            ctx.textAlign = 'start';
+            ctx.fillStyle = COLORS.gold;
+            ctx.font = `700 36px ${FONT}`;
+            ctx.fillText(section.title, start, y);
+
+            ctx.textAlign = 'center';
+            ctx.fillStyle = COLORS.muted;
+            ctx.font = `600 28px ${FONT}`;
+            ctx.fillText(I18n.t('price.buy'), buyX, y + ROW_HEIGHT);
+            ctx.fillText(I18n.t('price.sell'), sellX, y + ROW_HEIGHT);
+            y += ROW_HEIGHT * 2;
+
+            section.rows.forEach(row => {
+                ctx.textAlign = 'start';
+                ctx.fillStyle = COLORS.text;
+                ctx.font = `500 30px ${FONT}`;
+                ctx.fillText(row.label, start, y);
+
+                ctx.textAlign = 'center';
+                ctx.font = `700 32px ${FONT}`;
+                ctx.fillStyle = COLORS.buy;
+                ctx.fillText(I18n.formatNumber(row.buy, section.decimals), buyX, y);
+                ctx.fillStyle = COLORS.sell;
+                ctx.fillText(I18n.formatNumber(row.sell, section.decimals), sellX, y);
+
+                y += ROW_HEIGHT;
+            });
+
+            y += SECTION_GAP;
+        });
+
+        return canvas;
+    }
+
+    /**
+     * إنشاء صورة PNG
+     * Create PNG file from canvas
+     */
+    async createImageFile() {
+        // انتظار تحميل الخطوط قبل الرسم
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+
+        const canvas = this.drawImage();
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('Canvas export failed');
+
+        const date = new Date(this.getTimestamp()).toISOString().slice(0, 10);
+        return new File([blob], `prices-${date}.png`, { type: 'image/png' });
+    }
+
+    /**
+     * نص مختصر للأسعار
+     * Plain text summary for share text and WhatsApp
+     */
+    buildText() {
+        const lines = [
+            `${(this.app.storeInfo || {}).name || ''} - ${I18n.t('sheet.title')}`,
+            I18n.t('sheet.updatedAt', { time: I18n.formatDate(this.getTimestamp()) })
+        ];
+
+        this.getSections().forEach(section => {
+            lines.push('', section.title);
+            section.rows.forEach(row => {
+                lines.push(`${row.label}: ${I18n.t('price.buy')} ${I18n.formatNumber(row.buy, section.decimals)} / ${I18n.t('price.sell')} ${I18n.formatNumber(row.sell, section.decimals)}`);
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * هل يدعم المتصفح مشاركة الملفات
+     * Whether Web Share accepts PNG files (checked before building the image)
+     */
+    canShareFiles() {
+        if (!navigator.canShare) return false;
+
+        const probe = new File([], 'prices.png', { type: 'image/png' });
+        return navigator.canShare({ files: [probe] });
+    }
+
+    /**
+     * رابط واتساب المتجر
+     * The footer WhatsApp link set by updateStoreInfo() after validation
+     */
+    getWhatsAppUrl() {
+        const footerLink = document.getElementById('footer-whatsapp');
+        return footerLink && Html.safeUrl(footerLink.href, HTML_CONFIG.SOCIAL_HOSTS.whatsapp);
+    }
+
+    /**
+     * مشاركة الصورة
+     * Share via Web Share API, falling back to download + WhatsApp link
+     */
+    async share() {
+        const button = document.getElementById('sheet-share-btn');
+        if (button) button.disabled = true;
+
+        // تُفتح نافذة واتساب قبل أي انتظار حتى لا يحجبها مانع النوافذ المنبثقة
+        const useWebShare = this.canShareFiles();
+        const popup = useWebShare ? null : this.openWhatsAppWindow();
+
+        try {
+            const file = await this.createImageFile();
+            const text = this.buildText();
+
+            if (useWebShare) {
+                await navigator.share({ files: [file], title: I18n.t('sheet.title'), text });
+                return;
+            }
+
+            this.shareFallback(file, text, popup);
+        } catch (error) {
+            if (popup) popup.close();
+
+            // إلغاء المستخدم لنافذة المشاركة ليس خطأ
+            if (error.name === 'AbortError') return;
+
+            console.error('Error sharing price sheet:', error);
+            this.app.showError(I18n.t('sheet.shareFailed'));
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * فتح نافذة فارغة لواتساب أثناء النقر
+     * Open a blank window during the click, filled once the image is ready
+     */
+    openWhatsAppWindow() {
+        if (!this.getWhatsAppUrl()) return null;
+
+        // بدون noopener لأن النافذة تُوجَّه لاحقًا، لذا يُقطع opener يدويًا
+        const popup = window.open('', '_blank');
+        if (popup) popup.opener = null;
+        return popup;
+    }
+
+    /**
+     * بديل المشاركة: تنزيل الصورة وتوجيه نافذة واتساب إلى نص الأسعار
+     * Fallback: download PNG and point the WhatsApp window at the price text
+     */
+    shareFallback(file, text, popup = null) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        const whatsapp = this.getWhatsAppUrl();
+        if (popup && whatsapp) {
+            const target = new URL(whatsapp);
+            target.searchParams.set('text', text);
+            popup.location.href = target.href;
+        }
+
+        this.app.showSuccess(I18n.t('sheet.downloaded'));
+    }
+
+    /**
+     * إضافة مستمعي الأحداث
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        const printBtn = document.getElementById('sheet-print-btn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => this.print());
+        }
+
+        const shareBtn = document.getElementById('sheet-share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.share());
+        }
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * =====================================================
+   تطبيق الويب القابل للتثبيت
+   Progressive Web App
+ * =====================================================
+ * الملف: frontend/js/pwa.js
+ * الغرض: تسجيل عامل الخدمة وتفعيل تحديث الأسعار في الخلفية عند التثبيت
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات التطبيق
+// PWA Configuration
+// =====================================================
+const PWA_CONFIG = {
+    SW_URL: 'sw.js',
+    SYNC_TAG: 'elamra-prices',
+    SYNC_INTERVAL: 15 * 60 * 1000
+};
+
+// =====================================================
+// خدمة التطبيق
+// PWA Service
+// =====================================================
+class PWA {
+    /**
+     * تسجيل عامل الخدمة
+     * Register service worker
+     */
+    static async register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+
+        try {
+            const registration = await navigator.serviceWorker.register(PWA_CONFIG.SW_URL);
+
+            if (this.isInstalled()) {
+                await this.registerBackgroundRefresh(registration);
+            }
+
+            return registration;
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * هل يعمل التطبيق مثبتاً؟
+     * Is the app running installed (standalone)
+     */
+    static isInstalled() {
+        return window.matchMedia('(display-mode: standalone)').matches
+            || window.navigator.standalone === true;
+    }
+
+    /**
+     * تحديث الأسعار المخزنة دورياً في الخلفية
+     * Register periodic background sync (Chromium only, requires installation)
+     */
+    static async registerBackgroundRefresh(registration) {
+        if (!('periodicSync' in registration)) return;
+
+        try {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state !== 'granted') return;
+
+            await registration.periodicSync.register(PWA_CONFIG.SYNC_TAG, {
+                minInterval: PWA_CONFIG.SYNC_INTERVAL
+            });
+        } catch (error) {
+            console.warn('Periodic background sync unavailable:', error);
+        }
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PWA, PWA_CONFIG };
+}
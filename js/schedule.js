@@ -0,0 +1,229 @@
+/**
+ * =====================================================
+   جدول مواعيد السوق
+   Market Schedule
+ * =====================================================
+ * الملف: frontend/js/schedule.js
+ * الغرض: حساب حالة السوق والعد التنازلي من مواعيد العمل والعطلات
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات الجدول
+// Schedule Configuration
+// =====================================================
+const SCHEDULE_CONFIG = {
+    DEFAULT_WORKING_DAYS: [0, 1, 2, 3, 4, 6],
+    // المواعيد بتوقيت المتجر وليس توقيت جهاز الزائر
+    DEFAULT_TIME_ZONE: 'Asia/Riyadh',
+    MAX_LOOKAHEAD_DAYS: 366
+};
+
+// =====================================================
+// فئة جدول السوق
+// Market Schedule Class
+// =====================================================
+class MarketSchedule {
+    /**
+     * @param {Object} settings - ناتج getMarketSettings (openTime, closeTime, workingDays, holidays, timeZone)
+     */
+    constructor(settings = {}) {
+        this.openMinutes = MarketSchedule.parseTime(settings.openTime);
+        this.closeMinutes = MarketSchedule.parseTime(settings.closeTime);
+        this.workingDays = Array.isArray(settings.workingDays)
+            ? settings.workingDays.map(Number)
+            : SCHEDULE_CONFIG.DEFAULT_WORKING_DAYS;
+        this.holidays = new Set(Array.isArray(settings.holidays) ? settings.holidays : []);
+        this.formatter = MarketSchedule.createFormatter(settings.timeZone);
+        this.timeZone = this.formatter.resolvedOptions().timeZone;
+    }
+
+    /**
+     * منسق التاريخ بتوقيت المتجر، مع الرجوع للتوقيت الافتراضي عند توقيت غير صالح
+     * Date parts formatter for the store time zone, falling back to the default
+     */
+    static createFormatter(timeZone) {
+        const options = {
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        };
+
+        try {
+            return new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || SCHEDULE_CONFIG.DEFAULT_TIME_ZONE });
+        } catch (error) {
+            return new Intl.DateTimeFormat('en-US', { ...options, timeZone: SCHEDULE_CONFIG.DEFAULT_TIME_ZONE });
+        }
+    }
+
+    /**
+     * تحويل HH:MM إلى دقائق منذ منتصف الليل
+     * Parse HH:MM into minutes since midnight
+     */
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * تاريخ اليوم بصيغة YYYY-MM-DD
+     * Date key of a calendar day
+     */
+    static dateKey({ year, month, day }) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * التاريخ والوقت بتوقيت المتجر
+     * Wall-clock parts of an instant in the store time zone
+     */
+    partsAt(date) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            minutes: parts.hour * 60 + parts.minute,
+            seconds: parts.second
+        };
+    }
+
+    /**
+     * يوم تقويمي بعد عدد من الأيام
+     * Calendar day shifted by a number of days
+     */
+    static addDays({ year, month, day }, count) {
+        const date = new Date(Date.UTC(year, month - 1, day + count));
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    /**
+     * فرق توقيت المتجر عن UTC بالمللي ثانية في لحظة معينة
+     * Store time zone offset at an instant
+     */
+    offsetAt(time) {
+        const wholeSeconds = Math.floor(time / 1000) * 1000;
+        const parts = this.partsAt(new Date(wholeSeconds));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds) - wholeSeconds;
+    }
+
+    /**
+     * هل الجدول صالح للاستخدام
+     * Whether the schedule has usable hours
+     */
+    isValid() {
+        return this.openMinutes !== null
+            && this.closeMinutes !== null
+            && this.closeMinutes > this.openMinutes;
+    }
+
+    /**
+     * هل اليوم التقويمي يوم عمل
+     * Whether a store calendar day is a working day
+     */
+    isWorkingDate(day) {
+        const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+        return this.workingDays.includes(weekday)
+            && !this.holidays.has(MarketSchedule.dateKey(day));
+    }
+
+    /**
+     * هل اليوم يوم عمل
+     * Whether the given date is a working day
+     */
+    isWorkingDay(date) {
+        return this.isWorkingDate(this.partsAt(date));
+    }
+
+    /**
+     * لحظة وقت محدد من يوم تقويمي بتوقيت المتجر
+     * Instant of given minutes on a store calendar day
+     */
+    at(day, minutes) {
+        const wallTime = Date.UTC(day.year, day.month - 1, day.day, 0, minutes);
+
+        // إعادة الحساب مرة ثانية تصحح الأيام التي يتغير فيها فرق التوقيت
+        let time = wallTime - this.offsetAt(wallTime);
+        time = wallTime - this.offsetAt(time);
+
+        return new Date(time);
+    }
+
+    /**
+     * حالة السوق في لحظة معينة
+     * Market state at a point in time
+     */
+    isOpenAt(date = new Date()) {
+        if (!this.isValid()) return false;
+
+        const parts = this.partsAt(date);
+        if (!this.isWorkingDate(parts)) return false;
+
+        return parts.minutes >= this.openMinutes && parts.minutes < this.closeMinutes;
+    }
+
+    /**
+     * الحالة الحالية وموعد التغيير القادم
+     * Current state and next transition
+     * @returns {{isOpen: boolean, nextChange: Date|null}}
+     */
+    getState(date = new Date()) {
+        if (!this.isValid()) {
+            return { isOpen: false, nextChange: null };
+        }
+
+        const today = this.partsAt(date);
+
+        if (this.isOpenAt(date)) {
+            return { isOpen: true, nextChange: this.at(today, this.closeMinutes) };
+        }
+
+        for (let i = 0; i <= SCHEDULE_CONFIG.MAX_LOOKAHEAD_DAYS; i++) {
+            const day = MarketSchedule.addDays(today, i);
+            if (this.isWorkingDate(day)) {
+                const opening = this.at(day, this.openMinutes);
+                if (opening > date) {
+                    return { isOpen: false, nextChange: opening };
+                }
+            }
+        }
+
+        return { isOpen: false, nextChange: null };
+    }
+
+    /**
+     * تنسيق المدة المتبقية
+     * Format remaining duration
+     */
+    static formatCountdown(ms) {
+        const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        const format = value => I18n.formatNumber(value, 0);
+
+        if (days > 0) return I18n.t('countdown.days', { days: format(days), hours: format(hours) });
+        if (hours > 0) return I18n.t('countdown.hours', { hours: format(hours), minutes: format(minutes) });
+        return `${format(minutes)}:${I18n.formatNumber(seconds, 0, { minimumIntegerDigits: 2 })}`;
+    }
+}
+
+// =====================================================
+// تصدير الخدمات
+// Export services
+// =====================================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarketSchedule, SCHEDULE_CONFIG };
+}
@@ -0,0 +1,220 @@
+/**
+ * =====================================================
+   إدارة الجلسة
+   Session Manager
+ * =====================================================
+ * الملف: frontend/js/session.js
+ * الغرض: تجديد الجلسة قبل انتهائها وتسجيل الخروج عند عدم النشاط
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات الجلسة
+// Session Configuration
+// =====================================================
+const SESSION_CONFIG = {
+    LOGIN_PAGE: 'login.html',
+    DEFAULT_PAGE: 'admin.html',
+    REFRESH_MARGIN: 60 * 1000,
+    // أقل مهلة بين محاولتي تجديد حتى لا تتكرر المحاولات عند قرب الانتهاء
+    MIN_REFRESH_DELAY: 30 * 1000,
+    DEFAULT_REFRESH_INTERVAL: 10 * 60 * 1000,
+    DEFAULT_IDLE_MINUTES: 15,
+    ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'],
+    ACTIVITY_THROTTLE: 5000
+};
+
+// =====================================================
+// فئة إدارة الجلسة
+// Session Manager Class
+// =====================================================
+class SessionManager {
+    constructor() {
+        this.session = null;
+        this.idleTimeout = SESSION_CONFIG.DEFAULT_IDLE_MINUTES * 60 * 1000;
+        this.refreshTimer = null;
+        this.idleTimer = null;
+        this.lastActivity = 0;
+        this.redirecting = false;
+
+        this.handleActivity = this.handleActivity.bind(this);
+    }
+
+    /**
+     * بدء إدارة الجلسة
+     * Start managing the session returned by checkSession()
+     */
+    async start(session) {
+        this.session = session || {};
+
+        // أي استجابة 401 تعني انتهاء الجلسة
+        API.setUnauthorizedHandler(() => this.expire());
+
+        await this.loadSecuritySettings();
+
+        SESSION_CONFIG.ACTIVITY_EVENTS.forEach(event => {
+            document.addEventListener(event, this.handleActivity, { passive: true });
+        });
+
+        this.scheduleRefresh();
+        this.resetIdleTimer();
+    }
+
+    /**
+     * إيقاف إدارة الجلسة
+     * Stop managing the session
+     */
+    stop() {
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.idleTimer);
+        this.refreshTimer = null;
+        this.idleTimer = null;
+
+        SESSION_CONFIG.ACTIVITY_EVENTS.forEach(event => {
+            document.removeEventListener(event, this.handleActivity);
+        });
+
+        API.setUnauthorizedHandler(null);
+    }
+
+    /**
+     * جلب مهلة عدم النشاط من إعدادات الأمان
+     * Load idle timeout (بالدقائق) from security settings
+     */
+    async loadSecuritySettings() {
+        try {
+            const response = await SettingsAPI.getSecuritySettings();
+            const minutes = response.success && Number(response.data.idleTimeout);
+            if (minutes > 0) {
+                this.idleTimeout = minutes * 60 * 1000;
+            }
+        } catch (error) {
+            console.warn('Using default idle timeout:', error);
+        }
+    }
+
+    /**
+     * جدولة تجديد الجلسة قبل انتهائها
+     * Schedule refresh ahead of expiry
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+
+        const expiresAt = this.session.expiresAt ? new Date(this.session.expiresAt).getTime() : NaN;
+        const delay = Number.isFinite(expiresAt)
+            ? Math.max(expiresAt - Date.now() - SESSION_CONFIG.REFRESH_MARGIN, SESSION_CONFIG.MIN_REFRESH_DELAY)
+            : SESSION_CONFIG.DEFAULT_REFRESH_INTERVAL;
+
+        this.refreshTimer = setTimeout(() => this.refresh(), delay);
+    }
+
+    /**
+     * تجديد الجلسة
+     * Refresh session; a failed refresh is not retried
+     */
+    async refresh() {
+        try {
+            const response = await AuthAPI.refreshSession();
+            if (!response.success) {
+                console.error('Session refresh failed:', response.message);
+                return;
+            }
+
+            this.session = { ...this.session, ...response.data };
+        } catch (error) {
+            // 401 يعالجها API.setUnauthorizedHandler
+            // وبعد أي خطأ آخر يتولى أول طلب مرفوض بـ 401 إنهاء الجلسة
+            if (error.status !== 401) {
+                console.error('Session refresh failed:', error);
+            }
+            return;
+        }
+
+        if (!this.redirecting) {
+            this.scheduleRefresh();
+        }
+    }
+
+    /**
+     * تسجيل نشاط المستخدم
+     * Record user activity (throttled)
+     */
+    handleActivity() {
+        const now = Date.now();
+        if (now - this.lastActivity < SESSION_CONFIG.ACTIVITY_THROTTLE) return;
+
+        this.resetIdleTimer();
+    }
+
+    /**
+     * إعادة ضبط مؤقت عدم النشاط
+     * Reset idle timer
+     */
+    resetIdleTimer() {
+        this.lastActivity = Date.now();
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.logoutForIdle(), this.idleTimeout);
+    }
+
+    /**
+     * تسجيل الخروج بسبب عدم النشاط
+     * Logout after idle period
+     */
+    async logoutForIdle() {
+        if (this.redirecting) return;
+
+        this.redirecting = true;
+        this.stop();
+
+        try {
+            await AuthAPI.logout();
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
+        SessionManager.redirectToLogin('idle');
+    }
+
+    /**
+     * انتهاء الجلسة
+     * Session expired
+     */
+    expire() {
+        if (this.redirecting) return;
+
+        this.redirecting = true;
+        this.stop();
+        SessionManager.redirectToLogin('expired');
+    }
+
+    /**
+     * التوجيه لصفحة الدخول مع رابط العودة
+     * Redirect to login with return URL
+     */
+    static redirectToLogin(reason = null) {
+        const params = new URLSearchParams();
+        params.set('returnUrl', window.location.pathname + window.location.search + window.location.hash);
+        if (reason) {
+            params.set('reason', reason);
+        }
+
+        window.location.href = `${SESSION_CONFIG.LOGIN_PAGE}?${params.toString()}`;
+    }
+
+    /**
+     * قراءة رابط العودة بعد الدخول (نفس الموقع فقط)
+     * Read safe same-origin return URL
+     */
+    static getReturnUrl() {
+        const returnUrl = new URLSearchParams(window.location.search).get('returnUrl');
+        if (!returnUrl) return SESSION_CONFIG.DEFAULT_PAGE;
+
+        try {
+            const url = new URL(returnUrl, window.location.origin);
+            if (url.origin !== window.location.origin) return SESSION_CONFIG.DEFAULT_PAGE;
+            return url.pathname + url.search + url.hash;
+        } catch (error) {
+            return SESSION_CONFIG.DEFAULT_PAGE;
+        }
+    }
+}
@@ -0,0 +1,665 @@
+/**
+ * =====================================================
+   خادم API تجريبي
+   Mock API Server
+ * =====================================================
+ * الملف: mock/api-server.js
+ * الغرض: خادم محلي بدون اعتماديات يحاكي مسارات api.js ببيانات في الذاكرة
+ *
+ * التشغيل: node mock/api-server.js [port]
+ * الاستخدام: افتح http://localhost:4000/ (يخدم ملفات الواجهة أيضاً ويملأ وسم
+ *            api-base-url بعنوانه لتكون الكوكيز من نفس الموقع)
+ * التحديثات الفورية: /api/realtime (SSE) يبث الأسعار بعد كل تعديل ناجح
+ * الدخول: admin / admin123
+ * =====================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createFixtures } = require('./fixtures');
+
+const PORT = Number(process.argv[2]) || 4000;
+const ROOT = path.resolve(__dirname, '..');
+const SESSION_TTL = 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const db = createFixtures();
+const sessions = new Map();
+const auditLog = [];
+const realtimeClients = new Set();
+
+// =====================================================
+// أدوات مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * خطأ HTTP بحالة ورمز
+ * HTTP error with status and code
+ */
+function httpError(status, message, code = 'MOCK_ERROR') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function nextId(list) {
+    return list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+}
+
+function findById(list, id) {
+    const item = list.find(entry => String(entry.id) === String(id));
+    if (!item) throw httpError(404, 'Not found', 'NOT_FOUND');
+    return item;
+}
+
+function removeById(list, id) {
+    const index = list.findIndex(entry => String(entry.id) === String(id));
+    if (index === -1) throw httpError(404, 'Not found', 'NOT_FOUND');
+    list.splice(index, 1);
+}
+
+function snapshot(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';')
+        .map(part => part.trim().split('='))
+        .filter(([key]) => key)
+        .map(([key, ...value]) => [key, decodeURIComponent(value.join('='))]));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(httpError(400, 'Invalid JSON body', 'INVALID_JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * تاريخ أسعار وهمي حول السعر الحالي
+ * Synthetic history around the current price
+ */
+function buildHistory(item, days, buyKey, sellKey) {
+    return Array.from({ length: days }, (_, index) => {
+        const drift = Math.sin(index / 3) * item[buyKey] * 0.01;
+        return {
+            date: new Date(Date.now() - (days - index - 1) * 86400000).toISOString(),
+            [buyKey]: Math.round((item[buyKey] + drift) * 10000) / 10000,
+            [sellKey]: Math.round((item[sellKey] + drift) * 10000) / 10000
+        };
+    });
+}
+
+function summarize(history, buyKey, sellKey) {
+    const stats = key => {
+        const values = history.map(entry => entry[key]);
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            avg: values.reduce((sum, value) => sum + value, 0) / values.length
+        };
+    };
+    return { buy: stats(buyKey), sell: stats(sellKey) };
+}
+
+function isMarketOpen(now = new Date()) {
+    const { openTime, closeTime, workingDays, holidays } = db.settings.market;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const toMinutes = value => Number(value.slice(0, 2)) * 60 + Number(value.slice(3, 5));
+    const today = now.toISOString().slice(0, 10);
+
+    return workingDays.includes(now.getDay())
+        && !holidays.includes(today)
+        && minutes >= toMinutes(openTime)
+        && minutes < toMinutes(closeTime);
+}
+
+function applyGoldAutoUpdate(basePrice24k) {
+    const { goldBuyMargin, goldSellMargin } = db.settings.margins;
+
+    db.goldPrices.forEach(price => {
+        const base = basePrice24k * (price.karat / 24);
+        price.buyPrice = Math.round(base * (1 - goldBuyMargin / 100) * 100) / 100;
+        price.sellPrice = Math.round(base * (1 + goldSellMargin / 100) * 100) / 100;
+    });
+}
+
+// =====================================================
+// التحديثات الفورية
+// Realtime (SSE)
+// =====================================================
+// الحدث المبثوث بعد نجاح طلب معدل حسب المورد
+const REALTIME_EVENTS = {
+    '/gold': () => ['gold:prices', db.goldPrices],
+    '/currency': () => ['currency:rates', db.currencyRates],
+    '/settings': () => ['market:status', { isOpen: isMarketOpen() }]
+};
+
+/**
+ * بث حدث لجميع المشتركين
+ * Broadcast message to all subscribers
+ */
+function broadcast(type, data) {
+    const payload = `data: ${JSON.stringify({ type, data })}\n\n`;
+    realtimeClients.forEach(res => res.write(payload));
+}
+
+/**
+ * فتح قناة SSE مع لقطة أولية من الأسعار وحالة السوق
+ * Open SSE stream with an initial snapshot
+ */
+function serveRealtime(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    realtimeClients.add(res);
+    res.write(`data: ${JSON.stringify({ type: 'gold:prices', data: db.goldPrices })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'market:status', data: { isOpen: isMarketOpen() } })}\n\n`);
+
+    req.on('close', () => realtimeClients.delete(res));
+}
+
+// =====================================================
+// المسارات
+// Routes
+// =====================================================
+// كل مسار: [method, pattern, handler(ctx), options]
+// options.auth: يتطلب جلسة، options.csrf: يتطلب X-CSRF-Token (الافتراضي للطلبات المعدلة)
+const routes = [
+    // ---------- auth ----------
+    ['GET', '/auth/csrf', ctx => ({ csrfToken: ctx.issueCsrf() })],
+    ['POST', '/auth/login', ctx => {
+        const { username, password } = ctx.body;
+        const user = db.users.find(entry => entry.username === username && entry.password === password);
+        if (!user) throw httpError(401, 'خطأ في اسم المستخدم أو كلمة المرور', 'INVALID_CREDENTIALS');
+        if (!user.isActive) throw httpError(403, 'الحساب معطل', 'ACCOUNT_DISABLED');
+        return ctx.startSession(user);
+    }, { csrf: false }],
+    ['POST', '/auth/logout', ctx => {
+        ctx.endSession();
+        return null;
+    }, { csrf: false }],
+    ['GET', '/auth/session', ctx => ({ ...publicUser(ctx.user), expiresAt: new Date(ctx.session.expiresAt).toISOString() }), { auth: true }],
+    ['POST', '/auth/refresh', ctx => ctx.startSession(ctx.user), { auth: true }],
+    ['POST', '/auth/change-password', ctx => {
+        if (ctx.body.currentPassword !== ctx.user.password) throw httpError(400, 'كلمة المرور الحالية غير صحيحة', 'INVALID_PASSWORD');
+        ctx.user.password = ctx.body.newPassword;
+        return null;
+    }, { auth: true }],
+
+    // ---------- gold ----------
+    ['GET', '/gold/prices', () => db.goldPrices],
+    ['GET', '/gold/types', () => db.goldTypes],
+    ['GET', '/gold/compare', () => db.goldPrices],
+    ['GET', /^\/gold\/prices\/(\w+)$/, ctx => findById(db.goldPrices, ctx.params[0])],
+    ['GET', /^\/gold\/current\/(\w+)$/, ctx => db.goldPrices.find(price => String(price.goldTypeId) === ctx.params[0]) || null],
+    ['GET', /^\/gold\/history\/(\w+)$/, ctx => {
+        const price = db.goldPrices.find(entry => String(entry.goldTypeId) === ctx.params[0]);
+        if (!price) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return buildHistory(price, Number(ctx.query.get('days')) || 30, 'buyPrice', 'sellPrice');
+    }],
+    ['GET', /^\/gold\/statistics\/(\w+)$/, ctx => {
+        const price = db.goldPrices.find(entry => String(entry.goldTypeId) === ctx.params[0]);
+        if (!price) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return summarize(buildHistory(price, Number(ctx.query.get('days')) || 30, 'buyPrice', 'sellPrice'), 'buyPrice', 'sellPrice');
+    }],
+    ['POST', '/gold/prices', ctx => {
+        const type = findById(db.goldTypes, ctx.body.goldTypeId);
+        const price = {
+            id: nextId(db.goldPrices),
+            goldTypeId: type.id,
+            goldTypeName: type.name,
+            karat: type.karat,
+            buyPrice: Number(ctx.body.buyPrice),
+            sellPrice: Number(ctx.body.sellPrice)
+        };
+        db.goldPrices.push(price);
+        ctx.audit('gold-price', price.id, null, price);
+        return price;
+    }, { auth: true }],
+    ['PUT', /^\/gold\/prices\/(\w+)$/, ctx => {
+        const price = findById(db.goldPrices, ctx.params[0]);
+        const before = snapshot(price);
+        Object.assign(price, {
+            buyPrice: Number(ctx.body.buyPrice ?? price.buyPrice),
+            sellPrice: Number(ctx.body.sellPrice ?? price.sellPrice)
+        });
+        ctx.audit('gold-price', price.id, before, price);
+        return price;
+    }, { auth: true }],
+    ['DELETE', /^\/gold\/prices\/(\w+)$/, ctx => {
+        const before = snapshot(findById(db.goldPrices, ctx.params[0]));
+        removeById(db.goldPrices, ctx.params[0]);
+        ctx.audit('gold-price', before.id, before, null);
+        return null;
+    }, { auth: true }],
+    ['POST', '/gold/auto-update', ctx => {
+        const base = Number(ctx.body.basePrice24k);
+        if (!(base > 0)) throw httpError(400, 'سعر عيار 24 غير صالح', 'VALIDATION_ERROR');
+        const before = snapshot(db.goldPrices);
+        applyGoldAutoUpdate(base);
+        db.goldPrices.forEach((price, index) => ctx.audit('gold-price', price.id, before[index], price));
+        return db.goldPrices;
+    }, { auth: true }],
+
+    // ---------- currency ----------
+    ['GET', '/currency/rates', () => db.currencyRates],
+    ['GET', '/currency/currencies', () => db.currencies],
+    ['GET', '/currency/compare', () => db.currencyRates],
+    ['GET', /^\/currency\/rates\/(\w+)$/, ctx => findById(db.currencyRates, ctx.params[0])],
+    ['GET', /^\/currency\/current\/(\w+)$/, ctx => db.currencyRates.find(rate => String(rate.currencyId) === ctx.params[0]) || null],
+    ['GET', /^\/currency\/code\/(\w+)$/, ctx => {
+        const currency = db.currencies.find(entry => entry.code === ctx.params[0].toUpperCase());
+        if (!currency) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return currency;
+    }],
+    ['GET', /^\/currency\/history\/(\w+)$/, ctx => {
+        const rate = db.currencyRates.find(entry => String(entry.currencyId) === ctx.params[0]);
+        if (!rate) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return buildHistory(rate, Number(ctx.query.get('days')) || 30, 'buyRate', 'sellRate');
+    }],
+    ['GET', /^\/currency\/statistics\/(\w+)$/, ctx => {
+        const rate = db.currencyRates.find(entry => String(entry.currencyId) === ctx.params[0]);
+        if (!rate) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return summarize(buildHistory(rate, Number(ctx.query.get('days')) || 30, 'buyRate', 'sellRate'), 'buyRate', 'sellRate');
+    }],
+    ['POST', '/currency/convert', ctx => {
+        const { amount, from, to, type = 'buy' } = ctx.body;
+        const key = type === 'sell' ? 'sellRate' : 'buyRate';
+        const toSar = code => {
+            if (code === 'SAR') return 1;
+            const rate = db.currencyRates.find(entry => entry.currencyCode === code);
+            if (!rate) throw httpError(404, `Unknown currency ${code}`, 'NOT_FOUND');
+            return rate[key];
+        };
+        return { amount, from, to, type, result: Math.round(amount * toSar(from) / toSar(to) * 10000) / 10000 };
+    }, { csrf: false }],
+    ['POST', '/currency/rates', ctx => {
+        const currency = findById(db.currencies, ctx.body.currencyId);
+        const rate = {
+            id: nextId(db.currencyRates),
+            currencyId: currency.id,
+            currencyCode: currency.code,
+            currencyName: currency.name,
+            flagEmoji: currency.flagEmoji,
+            buyRate: Number(ctx.body.buyRate),
+            sellRate: Number(ctx.body.sellRate)
+        };
+        db.currencyRates.push(rate);
+        ctx.audit('currency-rate', rate.id, null, rate);
+        return rate;
+    }, { auth: true }],
+    ['PUT', /^\/currency\/rates\/(\w+)$/, ctx => {
+        const rate = findById(db.currencyRates, ctx.params[0]);
+        const before = snapshot(rate);
+        Object.assign(rate, {
+            buyRate: Number(ctx.body.buyRate ?? rate.buyRate),
+            sellRate: Number(ctx.body.sellRate ?? rate.sellRate)
+        });
+        ctx.audit('currency-rate', rate.id, before, rate);
+        return rate;
+    }, { auth: true }],
+    ['DELETE', /^\/currency\/rates\/(\w+)$/, ctx => {
+        const before = snapshot(findById(db.currencyRates, ctx.params[0]));
+        removeById(db.currencyRates, ctx.params[0]);
+        ctx.audit('currency-rate', before.id, before, null);
+        return null;
+    }, { auth: true }],
+    ['POST', '/currency/bulk-update', ctx => {
+        (ctx.body.rates || []).forEach(entry => {
+            const existing = db.currencyRates.find(rate => String(rate.currencyId) === String(entry.currencyId));
+            if (existing) {
+                const before = snapshot(existing);
+                existing.buyRate = Number(entry.buyRate);
+                existing.sellRate = Number(entry.sellRate);
+                ctx.audit('currency-rate', existing.id, before, existing);
+                return;
+            }
+            const currency = findById(db.currencies, entry.currencyId);
+            db.currencyRates.push({
+                id: nextId(db.currencyRates),
+                currencyId: currency.id,
+                currencyCode: currency.code,
+                currencyName: currency.name,
+                flagEmoji: currency.flagEmoji,
+                buyRate: Number(entry.buyRate),
+                sellRate: Number(entry.sellRate)
+            });
+            const created = db.currencyRates[db.currencyRates.length - 1];
+            ctx.audit('currency-rate', created.id, null, created);
+        });
+        return db.currencyRates;
+    }, { auth: true }],
+
+    // ---------- users ----------
+    ['GET', '/users/profile', ctx => publicUser(ctx.user), { auth: true }],
+    ['PUT', '/users/profile', ctx => {
+        ['email', 'fullName'].forEach(key => {
+            if (key in ctx.body) ctx.user[key] = ctx.body[key];
+        });
+        return publicUser(ctx.user);
+    }, { auth: true }],
+    ['GET', '/users/statistics', () => ({
+        total: db.users.length,
+        active: db.users.filter(user => user.isActive).length,
+        inactive: db.users.filter(user => !user.isActive).length,
+        admins: db.users.filter(user => user.role === 'admin').length
+    }), { auth: true }],
+    ['GET', '/users', ctx => {
+        const search = (ctx.query.get('search') || '').toLowerCase();
+        const page = Number(ctx.query.get('page')) || 1;
+        const limit = Number(ctx.query.get('limit')) || 10;
+        const matches = db.users.filter(user => !search
+            || [user.username, user.email, user.fullName].some(value => String(value || '').toLowerCase().includes(search)));
+
+        ctx.pagination = { page, limit, total: matches.length, totalPages: Math.max(Math.ceil(matches.length / limit), 1) };
+        return matches.slice((page - 1) * limit, page * limit).map(publicUser);
+    }, { auth: true }],
+    ['GET', /^\/users\/(\w+)$/, ctx => publicUser(findById(db.users, ctx.params[0])), { auth: true }],
+    ['POST', '/users', ctx => {
+        if (db.users.some(user => user.username === ctx.body.username)) {
+            throw httpError(409, 'اسم المستخدم مستخدم بالفعل', 'DUPLICATE_USERNAME');
+        }
+        const user = { isActive: true, role: 'viewer', ...ctx.body, id: nextId(db.users) };
+        db.users.push(user);
+        return publicUser(user);
+    }, { auth: true }],
+    ['PUT', /^\/users\/(\w+)\/status$/, ctx => {
+        const user = findById(db.users, ctx.params[0]);
+        user.isActive = Boolean(ctx.body.isActive);
+        return publicUser(user);
+    }, { auth: true }],
+    ['PUT', /^\/users\/(\w+)$/, ctx => {
+        const user = findById(db.users, ctx.params[0]);
+        const { password, id, ...changes } = ctx.body;
+        Object.assign(user, changes);
+        return publicUser(user);
+    }, { auth: true }],
+    ['POST', /^\/users\/(\w+)\/change-password$/, ctx => {
+        findById(db.users, ctx.params[0]).password = ctx.body.newPassword;
+        return null;
+    }, { auth: true }],
+    ['DELETE', /^\/users\/(\w+)$/, ctx => {
+        if (String(ctx.user.id) === ctx.params[0]) throw httpError(400, 'لا يمكن حذف حسابك', 'SELF_DELETE');
+        removeById(db.users, ctx.params[0]);
+        return null;
+    }, { auth: true }],
+
+    // ---------- settings ----------
+    ['GET', '/settings/market/status', () => ({ isOpen: isMarketOpen() })],
+    ['GET', '/settings', () => db.settings, { auth: true }],
+    ['POST', '/settings/reset', ctx => {
+        const before = snapshot(db.settings);
+        db.settings = createFixtures().settings;
+        ctx.audit('settings', 'all', before, db.settings);
+        return db.settings;
+    }, { auth: true }],
+    ['GET', /^\/settings\/(store|market)$/, ctx => db.settings[ctx.params[0]]],
+    ['GET', /^\/settings\/(margins|security)$/, ctx => db.settings[ctx.params[0]], { auth: true }],
+    ['PUT', /^\/settings\/(store|market|margins|security)$/, ctx => {
+        const before = snapshot(db.settings[ctx.params[0]]);
+        db.settings[ctx.params[0]] = { ...db.settings[ctx.params[0]], ...ctx.body };
+        ctx.audit('settings', ctx.params[0], before, db.settings[ctx.params[0]]);
+        return db.settings[ctx.params[0]];
+    }, { auth: true }],
+    ['GET', /^\/settings\/(\w+)$/, ctx => {
+        if (!(ctx.params[0] in db.settings)) throw httpError(404, 'Not found', 'NOT_FOUND');
+        return db.settings[ctx.params[0]];
+    }, { auth: true }],
+    ['PUT', /^\/settings\/(\w+)$/, ctx => {
+        const before = snapshot(db.settings[ctx.params[0]]);
+        db.settings[ctx.params[0]] = ctx.body.value;
+        ctx.audit('settings', ctx.params[0], { value: before }, { value: db.settings[ctx.params[0]] });
+        return db.settings[ctx.params[0]];
+    }, { auth: true }],
+    ['DELETE', /^\/settings\/(\w+)$/, ctx => {
+        ctx.audit('settings', ctx.params[0], { value: snapshot(db.settings[ctx.params[0]]) }, null);
+        delete db.settings[ctx.params[0]];
+        return null;
+    }, { auth: true }],
+
+    // ---------- audit ----------
+    ['GET', '/audit', ctx => {
+        const user = (ctx.query.get('user') || '').toLowerCase();
+        const entity = ctx.query.get('entity');
+        const from = ctx.query.get('from');
+        const to = ctx.query.get('to');
+        const page = Number(ctx.query.get('page')) || 1;
+        const limit = Number(ctx.query.get('limit')) || 20;
+        const matches = auditLog.filter(entry => (!user || entry.username.toLowerCase().includes(user))
+            && (!entity || entry.entity === entity)
+            && (!from || entry.timestamp >= from)
+            && (!to || entry.timestamp <= to));
+
+        ctx.pagination = { page, limit, total: matches.length, totalPages: Math.max(Math.ceil(matches.length / limit), 1) };
+        return matches.slice((page - 1) * limit, page * limit);
+    }, { auth: true }],
+    ['GET', /^\/audit\/(\w+)$/, ctx => findById(auditLog, ctx.params[0]), { auth: true }]
+];
+
+/**
+ * إيجاد المسار المطابق
+ * Match route by method and path
+ */
+function matchRoute(method, pathname) {
+    for (const [routeMethod, pattern, handler, options = {}] of routes) {
+        if (routeMethod !== method) continue;
+
+        if (typeof pattern === 'string') {
+            if (pattern === pathname) return { handler, options, params: [] };
+            continue;
+        }
+
+        const match = pattern.exec(pathname);
+        if (match) return { handler, options, params: match.slice(1) };
+    }
+    return null;
+}
+
+// =====================================================
+// معالجة الطلبات
+// Request handling
+// =====================================================
+async function handleApi(req, res, url) {
+    const cookies = parseCookies(req.headers.cookie);
+    const setCookies = [];
+    const pathname = url.pathname.replace(/^\/api/, '') || '/';
+    const route = matchRoute(req.method, pathname);
+
+    const send = (status, payload) => {
+        if (setCookies.length) res.setHeader('Set-Cookie', setCookies);
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    };
+
+    if (!route) {
+        send(404, { success: false, message: 'Not found', code: 'NOT_FOUND' });
+        return;
+    }
+
+    const session = sessions.get(cookies.sid);
+    const activeSession = session && session.expiresAt > Date.now() ? session : null;
+
+    const ctx = {
+        params: route.params,
+        query: url.searchParams,
+        body: {},
+        session: activeSession,
+        user: activeSession ? db.users.find(user => user.id === activeSession.userId) : null,
+        pagination: null,
+        reason: '',
+        // الأحدث أولاً
+        audit(entity, entityId, before, after) {
+            auditLog.unshift({
+                id: auditLog.length + 1,
+                timestamp: new Date().toISOString(),
+                userId: this.user.id,
+                username: this.user.username,
+                entity,
+                entityId,
+                action: req.method,
+                reason: this.reason,
+                before: snapshot(before),
+                after: snapshot(after)
+            });
+        },
+        issueCsrf() {
+            const token = crypto.randomBytes(16).toString('hex');
+            setCookies.push(`csrf_token=${token}; Path=/; SameSite=Lax`);
+            return token;
+        },
+        startSession(user) {
+            const sid = crypto.randomBytes(16).toString('hex');
+            const expiresAt = Date.now() + SESSION_TTL;
+            sessions.set(sid, { userId: user.id, expiresAt });
+            setCookies.push(`sid=${sid}; Path=/; HttpOnly; SameSite=Lax`);
+            this.issueCsrf();
+            return { user: publicUser(user), expiresAt: new Date(expiresAt).toISOString() };
+        },
+        endSession() {
+            sessions.delete(cookies.sid);
+            setCookies.push('sid=; Path=/; Max-Age=0');
+        }
+    };
+
+    try {
+        if (route.options.auth && !ctx.user) {
+            throw httpError(401, 'الجلسة منتهية', 'UNAUTHORIZED');
+        }
+
+        const mutating = req.method !== 'GET';
+        const csrfValid = cookies.csrf_token && req.headers['x-csrf-token'] === cookies.csrf_token;
+        if (mutating && route.options.csrf !== false && !csrfValid) {
+            throw httpError(403, 'رمز CSRF غير صالح', 'CSRF_INVALID');
+        }
+
+        if (mutating) {
+            ctx.body = await readBody(req);
+
+            // سبب التغيير يصل في الجسم ولا يُحفظ مع البيانات
+            if (ctx.body && typeof ctx.body === 'object' && 'changeReason' in ctx.body) {
+                ctx.reason = String(ctx.body.changeReason);
+                delete ctx.body.changeReason;
+            }
+        }
+
+        const data = await route.handler(ctx);
+
+        const realtimeEvent = mutating && route.options.auth && REALTIME_EVENTS[`/${pathname.split('/')[1]}`];
+        if (realtimeEvent) {
+            broadcast(...realtimeEvent());
+        }
+
+        const payload = ctx.pagination ? { success: true, data, pagination: ctx.pagination } : { success: true, data };
+
+        // ETag لاختبار If-None-Match في طبقة API
+        if (req.method === 'GET') {
+            const etag = `"${crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex')}"`;
+            res.setHeader('ETag', etag);
+
+            if (req.headers['if-none-match'] === etag) {
+                if (setCookies.length) res.setHeader('Set-Cookie', setCookies);
+                res.writeHead(304);
+                res.end();
+                return;
+            }
+        }
+
+        send(200, payload);
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) console.error(error);
+        send(status, { success: false, message: error.message, code: error.code || 'SERVER_ERROR' });
+    }
+}
+
+/**
+ * خدمة ملفات الواجهة
+ * Serve frontend files from the repository root
+ */
+function serveStatic(res, url, origin) {
+    const pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.join(ROOT, path.normalize(pathname));
+
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        const extension = path.extname(filePath);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream' });
+
+        // توجيه الواجهة لهذا الخادم عبر وسوم meta
+        if (extension === '.html') {
+            res.end(content.toString()
+                .replace('<meta name="api-base-url" content="">', `<meta name="api-base-url" content="${origin}">`)
+                .replace('<meta name="api-env" content="">', '<meta name="api-env" content="mock">'));
+            return;
+        }
+
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === '/api/realtime') {
+        serveRealtime(req, res);
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url);
+        return;
+    }
+
+    serveStatic(res, url, url.origin);
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock API listening on http://localhost:${PORT}/`);
+    });
+}
+
+module.exports = { server, routes, db, auditLog, broadcast };
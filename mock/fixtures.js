@@ -0,0 +1,83 @@
+/**
+ * =====================================================
+   بيانات الخادم التجريبي
+   Mock Backend Fixtures
+ * =====================================================
+ * الملف: mock/fixtures.js
+ * الغرض: بيانات أولية للخادم التجريبي (تُنسخ عند كل تشغيل، لا تُحفظ التعديلات)
+ * =====================================================
+ */
+
+const goldTypes = [
+    { id: 1, name: 'ذهب عيار 24', karat: 24 },
+    { id: 2, name: 'ذهب عيار 22', karat: 22 },
+    { id: 3, name: 'ذهب عيار 21', karat: 21 },
+    { id: 4, name: 'ذهب عيار 18', karat: 18 }
+];
+
+const goldPrices = [
+    { id: 1, goldTypeId: 1, goldTypeName: 'ذهب عيار 24', karat: 24, buyPrice: 320.5, sellPrice: 325.0 },
+    { id: 2, goldTypeId: 2, goldTypeName: 'ذهب عيار 22', karat: 22, buyPrice: 293.8, sellPrice: 298.0 },
+    { id: 3, goldTypeId: 3, goldTypeName: 'ذهب عيار 21', karat: 21, buyPrice: 280.4, sellPrice: 285.0 },
+    { id: 4, goldTypeId: 4, goldTypeName: 'ذهب عيار 18', karat: 18, buyPrice: 240.3, sellPrice: 245.0 }
+];
+
+const currencies = [
+    { id: 1, code: 'USD', name: 'دولار أمريكي', flagEmoji: '🇺🇸' },
+    { id: 2, code: 'EUR', name: 'يورو', flagEmoji: '🇪🇺' },
+    { id: 3, code: 'GBP', name: 'جنيه إسترليني', flagEmoji: '🇬🇧' },
+    { id: 4, code: 'AED', name: 'درهم إماراتي', flagEmoji: '🇦🇪' }
+];
+
+const currencyRates = [
+    { id: 1, currencyId: 1, currencyCode: 'USD', currencyName: 'دولار أمريكي', flagEmoji: '🇺🇸', buyRate: 3.745, sellRate: 3.755 },
+    { id: 2, currencyId: 2, currencyCode: 'EUR', currencyName: 'يورو', flagEmoji: '🇪🇺', buyRate: 4.05, sellRate: 4.12 },
+    { id: 3, currencyId: 3, currencyCode: 'GBP', currencyName: 'جنيه إسترليني', flagEmoji: '🇬🇧', buyRate: 4.72, sellRate: 4.81 }
+];
+
+const users = [
+    { id: 1, username: 'admin', password: 'admin123', email: 'admin@example.com', fullName: 'مدير النظام', role: 'admin', isActive: true },
+    { id: 2, username: 'editor', password: 'editor123', email: 'editor@example.com', fullName: 'محرر الأسعار', role: 'editor', isActive: true },
+    { id: 3, username: 'viewer', password: 'viewer123', email: 'viewer@example.com', fullName: 'مستخدم عرض', role: 'viewer', isActive: false }
+];
+
+const settings = {
+    store: {
+        name: 'مصنوعات الأميرة',
+        address: 'الرياض، المملكة العربية السعودية',
+        phone: '+966500000000',
+        whatsapp: '+966500000000',
+        email: 'info@example.com',
+        website: 'https://example.com',
+        instagram: 'elamra',
+        facebook: 'elamra'
+    },
+    market: {
+        openTime: '09:00',
+        closeTime: '22:00',
+        workingDays: [0, 1, 2, 3, 4, 6],
+        holidays: []
+    },
+    margins: {
+        goldBuyMargin: 1,
+        goldSellMargin: 1.5,
+        currencyBuyMargin: 0.5,
+        currencySellMargin: 0.5
+    },
+    security: {
+        idleTimeout: 15,
+        maxLoginAttempts: 5,
+        lockoutDuration: 30,
+        passwordMinLength: 8
+    }
+};
+
+/**
+ * نسخة جديدة من البيانات
+ * Fresh deep copy of all fixtures
+ */
+function createFixtures() {
+    return JSON.parse(JSON.stringify({ goldTypes, goldPrices, currencies, currencyRates, users, settings }));
+}
+
+module.exports = { createFixtures };
@@ -0,0 +1,83 @@
+/**
+ * =====================================================
+   خادم تجريبي للتحديثات الفورية
+   Mock Realtime Server
+ * =====================================================
+ * الملف: mock/realtime-server.js
+ * الغرض: بث أحداث أسعار وهمية عبر SSE لاختبار RealtimeChannel محلياً
+ *
+ * التشغيل: node mock/realtime-server.js [port]
+ * الاستخدام: new RealtimeChannel({ url: 'http://localhost:4001/api/realtime' })
+ * ملاحظة: mock/api-server.js يخدم /api/realtime أيضاً ويبث التعديلات الفعلية،
+ *         هذا الخادم للأسعار العشوائية فقط ومنفذه مختلف ليعمل الاثنان معاً
+ * =====================================================
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 4001;
+const PUSH_INTERVAL = 5000;
+
+// =====================================================
+// بيانات وهمية
+// Fixture data
+// =====================================================
+const goldPrices = [
+    { id: 1, goldTypeId: 1, goldTypeName: 'ذهب عيار 24', karat: 24, buyPrice: 320.5, sellPrice: 325.0 },
+    { id: 2, goldTypeId: 2, goldTypeName: 'ذهب عيار 21', karat: 21, buyPrice: 280.4, sellPrice: 285.0 }
+];
+
+const clients = new Set();
+
+/**
+ * إرسال رسالة لجميع المشتركين
+ * Broadcast message to all subscribers
+ */
+function broadcast(type, data) {
+    const payload = `data: ${JSON.stringify({ type, data })}\n\n`;
+    clients.forEach(res => res.write(payload));
+}
+
+/**
+ * تحريك الأسعار عشوائياً
+ * Random walk prices
+ */
+function tick() {
+    const price = goldPrices[Math.floor(Math.random() * goldPrices.length)];
+    const delta = Math.round((Math.random() - 0.5) * 200) / 100;
+
+    price.buyPrice = Math.round((price.buyPrice + delta) * 100) / 100;
+    price.sellPrice = Math.round((price.sellPrice + delta) * 100) / 100;
+
+    broadcast('gold:prices', price);
+}
+
+const server = http.createServer((req, res) => {
+    const origin = req.headers.origin || '*';
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    if (req.url !== '/api/realtime') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, message: 'Not found' }));
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    clients.add(res);
+    res.write(`data: ${JSON.stringify({ type: 'gold:prices', data: goldPrices })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'market:status', data: { isOpen: true } })}\n\n`);
+
+    req.on('close', () => clients.delete(res));
+});
+
+setInterval(tick, PUSH_INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Mock realtime server listening on http://localhost:${PORT}/api/realtime`);
+});
@@ -0,0 +1,267 @@
+/**
+ * =====================================================
+   عامل الخدمة
+   Service Worker
+ * =====================================================
+ * الملف: frontend/sw.js
+ * الغرض: تخزين واجهة التطبيق مسبقاً، والأسعار بالشبكة أولاً مع الرجوع للنسخة المخزنة
+ * =====================================================
+ */
+
+// =====================================================
+// إعدادات عامل الخدمة
+// Service Worker Configuration
+// =====================================================
+const SW_CONFIG = {
+    VERSION: 'v3',
+    SHELL_CACHE: 'elamra-shell',
+    DATA_CACHE: 'elamra-data',
+    NETWORK_TIMEOUT: 8000,
+    SYNC_TAG: 'elamra-prices',
+    // مسارات الأسعار (نهاية المسار بعد بادئة API)
+    DATA_PATHS: ['/gold/prices', '/currency/rates'],
+    SHELL_FILES: [
+        './',
+        'index.html',
+        'login.html',
+        'admin.html',
+        'manifest.webmanifest',
+        'assets/icons/icon.svg',
+        'css/variables.css',
+        'css/base.css',
+        'css/components.css',
+        'css/layout.css',
+        'js/api.js',
+        'js/html.js',
+        'js/i18n.js',
+        'js/cache.js',
+        'js/schedule.js',
+        'js/chart.js',
+        'js/calculator.js',
+        'js/converter.js',
+        'js/alerts.js',
+        'js/price-sheet.js',
+        'js/kiosk.js',
+        'js/pwa.js',
+        'js/app.js',
+        // لوحة التحكم وصفحة الدخول
+        'js/session.js',
+        'js/admin-quick-update.js',
+        'js/admin-import-export.js',
+        'js/admin-users.js',
+        'js/admin-settings.js',
+        'js/admin-audit.js',
+        'js/admin.js'
+    ],
+    // ترويسات تخبر عميل API أن الاستجابة من الذاكرة
+    HEADER_SOURCE: 'X-SW-Cache',
+    HEADER_CACHED_AT: 'X-SW-Cached-At'
+};
+
+const shellCacheName = `${SW_CONFIG.SHELL_CACHE}-${SW_CONFIG.VERSION}`;
+const dataCacheName = `${SW_CONFIG.DATA_CACHE}-${SW_CONFIG.VERSION}`;
+const shellUrls = SW_CONFIG.SHELL_FILES.map(file => new URL(file, self.registration.scope).href);
+
+// =====================================================
+// دورة الحياة
+// Lifecycle
+// =====================================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(shellCacheName)
+            .then(cache => cache.addAll(shellUrls))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [shellCacheName, dataCacheName];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('elamra-') && !current.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// =====================================================
+// اعتراض الطلبات
+// Fetch routing
+// =====================================================
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    const page = request.mode === 'navigate' && url.origin === self.location.origin && shellPageFor(url);
+    if (page) {
+        event.respondWith(staleWhileRevalidate(new Request(page)));
+        return;
+    }
+
+    if (shellUrls.includes(url.origin + url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * هل الطلب لمسار أسعار؟
+ * Is this a price endpoint request
+ */
+function isDataRequest(url) {
+    return SW_CONFIG.DATA_PATHS.some(path => url.pathname.endsWith(path));
+}
+
+/**
+ * الصفحة المخزنة المقابلة للتنقل
+ * Cached page for a navigation (scope root maps to index.html, query ignored)
+ */
+function shellPageFor(url) {
+    const path = url.origin + url.pathname;
+    if (path === shellUrls[0]) return shellUrls[1];
+    return path.endsWith('.html') && shellUrls.includes(path) ? path : null;
+}
+
+/**
+ * الشبكة أولاً ثم النسخة المخزنة
+ * Network-first with cache fallback for prices
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetchWithTimeout(request);
+
+        if (response.status === 200) {
+            await storeData(request.url, response.clone());
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request.url, { cacheName: dataCacheName });
+        if (!cached) throw error;
+
+        return markFromCache(cached);
+    }
+}
+
+/**
+ * جلب مع مهلة زمنية
+ * Fetch with timeout (الشبكة البطيئة تُعامل كانقطاع)
+ */
+async function fetchWithTimeout(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SW_CONFIG.NETWORK_TIMEOUT);
+
+    // الإلغاء من الصفحة يُلغي الطلب أيضاً
+    const onAbort = () => controller.abort();
+    if (request.signal) {
+        request.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        return await fetch(request, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+        if (request.signal) {
+            request.signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+/**
+ * تخزين استجابة أسعار مع وقت التخزين
+ * Store price response with its cache time
+ */
+async function storeData(url, response) {
+    const headers = new Headers(response.headers);
+    headers.set(SW_CONFIG.HEADER_CACHED_AT, new Date().toISOString());
+
+    const body = await response.blob();
+    const cache = await caches.open(dataCacheName);
+    await cache.put(url, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+/**
+ * وسم الاستجابة بأنها من الذاكرة
+ * Mark a cached response so the API client can tell it apart
+ */
+async function markFromCache(response) {
+    const headers = new Headers(response.headers);
+    headers.set(SW_CONFIG.HEADER_SOURCE, 'hit');
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * النسخة المخزنة فوراً مع تحديثها في الخلفية
+ * Stale-while-revalidate for app shell files
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(shellCacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    return cached || network;
+}
+
+// =====================================================
+// التحديث في الخلفية
+// Background refresh
+// =====================================================
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === SW_CONFIG.SYNC_TAG) {
+        event.waitUntil(refreshData());
+    }
+});
+
+/**
+ * إعادة جلب كل مسارات الأسعار المخزنة
+ * Refetch every cached price URL
+ */
+async function refreshData() {
+    const cache = await caches.open(dataCacheName);
+    const requests = await cache.keys();
+
+    await Promise.all(requests.map(async (request) => {
+        try {
+            const response = await fetchWithTimeout(new Request(request.url, {
+                mode: 'cors',
+                credentials: 'include'
+            }));
+
+            if (response.status === 200) {
+                await storeData(request.url, response);
+            }
+        } catch (error) {
+            console.warn('Background price refresh failed:', request.url, error);
+        }
+    }));
+}
@@ -0,0 +1,61 @@
+/**
+ * =====================================================
+   اختبارات سجل التغييرات
+   Audit Log Tests
+ * =====================================================
+ * الملف: test/admin-audit.test.js
+ * الغرض: عرض صفوف السجل بالتاريخ الميلادي وسبب التغيير، وحساب الفرق بين النسختين
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('AuditLog', () => {
+    let baseUrl;
+    let page;
+    let AuditLog;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        AuditLog = page.global('AuditLog');
+        await page.global('AuthAPI').login('admin', 'admin123');
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    it('lists changes with a Gregorian date and the change reason', async () => {
+        await page.global('GoldAPI').updatePrice(1, { buyPrice: 331 }, { reason: 'تصحيح السعر' });
+
+        const admin = { showMessage: message => assert.fail(message) };
+        new AuditLog(admin);
+        await waitFor(() => page.document.querySelector('#audit-table [data-action="audit-diff"]'));
+
+        const cells = [...page.document.querySelector('#audit-table tr').cells].map(cell => cell.textContent.trim());
+        assert.ok(cells[0].includes(String(new Date().getFullYear())), cells[0]);
+        assert.equal(cells[4], 'تصحيح السعر');
+    });
+
+    it('diffs nested fields and ignores unchanged ones', () => {
+        const changes = AuditLog.diff(
+            { buyPrice: 320.5, sellPrice: 325, meta: { source: 'manual' } },
+            { buyPrice: 331, sellPrice: 325, meta: { source: 'auto' } }
+        );
+
+        assert.deepEqual(JSON.parse(JSON.stringify(changes)), [
+            { field: 'buyPrice', before: 320.5, after: 331 },
+            { field: 'meta.source', before: 'manual', after: 'auto' }
+        ]);
+    });
+});
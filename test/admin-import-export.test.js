@@ -0,0 +1,62 @@
+/**
+ * =====================================================
+   اختبارات استيراد وتصدير الأسعار
+   Price Import & Export Tests
+ * =====================================================
+ * الملف: test/admin-import-export.test.js
+ * الغرض: تصدير تاريخ الأسعار بأي حقل تاريخ يعيده الخادم
+ * =====================================================
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('PriceImportExport', () => {
+    let baseUrl;
+    let page;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('exportHistory', () => {
+        it('exports dates from recordedAt, createdAt or date, oldest first', async () => {
+            page = loadPage('admin.html', baseUrl, { start: false });
+            const downloads = [];
+
+            page.global('GoldAPI').getPriceHistory = async () => ({
+                success: true,
+                data: [
+                    { recordedAt: '2026-10-03T08:00:00.000Z', buyPrice: 303, sellPrice: 308 },
+                    { createdAt: '2026-10-02T08:00:00.000Z', buyPrice: 302, sellPrice: 307 },
+                    { date: '2026-10-01T08:00:00.000Z', buyPrice: 301, sellPrice: 306 }
+                ]
+            });
+            page.global('CSV').download = (filename, rows) => downloads.push(rows);
+
+            const exporter = Object.create(page.global('PriceImportExport').prototype);
+            Object.assign(exporter, {
+                admin: { showMessage: () => {} },
+                form: { elements: { kind: { value: 'gold' }, historyItem: { value: '1' }, historyDays: { value: '3' } } }
+            });
+
+            await exporter.exportHistory();
+
+            // المصفوفات من سياق الصفحة
+            assert.deepEqual(JSON.parse(JSON.stringify(downloads[0].slice(1))), [
+                ['2026-10-01T08:00:00.000Z', 301, 306],
+                ['2026-10-02T08:00:00.000Z', 302, 307],
+                ['2026-10-03T08:00:00.000Z', 303, 308]
+            ]);
+        });
+    });
+});
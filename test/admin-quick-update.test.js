@@ -0,0 +1,138 @@
+/**
+ * =====================================================
+   اختبارات التحديث السريع للأسعار
+   Quick Price Update Tests
+ * =====================================================
+ * الملف: test/admin-quick-update.test.js
+ * الغرض: اشتقاق أسعار العيارات من عيار 24 والهوامش، المعاينة، والتطبيق مع سبب التغيير
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('QuickPriceUpdate', () => {
+    let baseUrl;
+    let page;
+    let QuickPriceUpdate;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        QuickPriceUpdate = page.global('QuickPriceUpdate');
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    // المصفوفات من سياق الصفحة
+    const plain = value => JSON.parse(JSON.stringify(value));
+
+    describe('derivePrices', () => {
+        it('scales the 24K price by purity and applies buy and sell margins', () => {
+            assert.deepEqual(plain(QuickPriceUpdate.derivePrices(300, [24, 21], { goldBuyMargin: 1, goldSellMargin: 1.5 })), [
+                { karat: 24, buyPrice: 297, sellPrice: 304.5 },
+                { karat: 21, buyPrice: 259.88, sellPrice: 266.44 }
+            ]);
+        });
+
+        it('uses the pure karat price without margins', () => {
+            assert.deepEqual(plain(QuickPriceUpdate.derivePrices(240, [18])), [{ karat: 18, buyPrice: 180, sellPrice: 180 }]);
+            assert.deepEqual(plain(QuickPriceUpdate.derivePrices(240, [22], { goldBuyMargin: 'x' })), [{ karat: 22, buyPrice: 220, sellPrice: 220 }]);
+        });
+
+        it('rounds to two decimals', () => {
+            const [row] = QuickPriceUpdate.derivePrices(333.33, [22], { goldBuyMargin: 0.7, goldSellMargin: 0.3 });
+
+            assert.equal(row.buyPrice, 303.41);
+            assert.equal(row.sellPrice, 306.47);
+        });
+    });
+
+    describe('preview and apply', () => {
+        let admin;
+        let quickUpdate;
+
+        beforeEach(async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+
+            admin = Object.create(page.global('AdminDashboard').prototype);
+            Object.assign(admin, {
+                pendingReason: null,
+                goldTypes: mock.db.goldTypes,
+                goldPrices: mock.db.goldPrices,
+                fetchGoldPrices: async () => {}
+            });
+            admin.attachEventListeners();
+
+            quickUpdate = new QuickPriceUpdate(admin);
+            await waitFor(() => quickUpdate.margins);
+        });
+
+        const previewRows = () => [...page.document.querySelectorAll('#quick-update-preview tr')]
+            .map(row => [...row.cells].map(cell => cell.textContent.trim()));
+
+        it('previews every karat from highest to lowest against current prices', () => {
+            quickUpdate.form.elements.basePrice24k.value = '320';
+            quickUpdate.updatePreview();
+
+            const rows = previewRows();
+            assert.deepEqual(rows.map(row => row[0]), ['24K', '22K', '21K', '18K']);
+            assert.ok(rows[0][2].startsWith('316.8'), rows[0][2]);
+            assert.ok(rows[0][2].includes('(-3.70)'), rows[0][2]);
+            assert.equal(page.document.getElementById('quick-update-apply-btn').disabled, false);
+        });
+
+        it('falls back to the default karats without gold types', () => {
+            admin.goldTypes = [];
+            quickUpdate.form.elements.basePrice24k.value = '100';
+            quickUpdate.updatePreview();
+
+            assert.deepEqual(previewRows().map(row => row[0]), ['24K', '22K', '21K', '18K']);
+        });
+
+        it('disables apply for an empty or invalid base price', () => {
+            quickUpdate.form.elements.basePrice24k.value = '-5';
+            quickUpdate.updatePreview();
+
+            assert.deepEqual(plain(quickUpdate.preview), []);
+            assert.equal(page.document.getElementById('quick-update-apply-btn').disabled, true);
+        });
+
+        it('applies through auto-update with the change reason', async () => {
+            quickUpdate.form.elements.basePrice24k.value = '360';
+            quickUpdate.updatePreview();
+
+            const applying = quickUpdate.apply();
+            const form = page.document.getElementById('reason-form');
+            form.elements.reason.value = 'سعر البورصة';
+            form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+            await applying;
+
+            const request = page.requests.find(entry => entry.url.endsWith('/gold/auto-update'));
+            assert.deepEqual(JSON.parse(request.body), { basePrice24k: 360, changeReason: 'سعر البورصة' });
+            assert.equal(mock.auditLog[0].reason, 'سعر البورصة');
+            assert.equal(quickUpdate.form.elements.basePrice24k.value, '');
+        });
+
+        it('does nothing when the reason is cancelled', async () => {
+            quickUpdate.form.elements.basePrice24k.value = '360';
+            quickUpdate.updatePreview();
+
+            const applying = quickUpdate.apply();
+            admin.closeModal('reason-modal');
+            await applying;
+
+            assert.equal(page.requests.some(entry => entry.url.endsWith('/gold/auto-update')), false);
+        });
+    });
+});
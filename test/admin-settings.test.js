@@ -0,0 +1,106 @@
+/**
+ * =====================================================
+   اختبارات محرر الإعدادات
+   Settings Editor Tests
+ * =====================================================
+ * الملف: test/admin-settings.test.js
+ * الغرض: التحقق من حقول التواصل بنفس قاعدة الصفحة العامة، وتحذير التعديلات غير المحفوظة
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('SettingsEditor', () => {
+    let baseUrl;
+    let page;
+    let settings;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        settings = Object.create(page.global('SettingsEditor').prototype);
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('social fields', () => {
+        const field = network => page.global('SETTINGS_GROUPS').store.fields.find(entry => entry.name === network);
+
+        it('accepts exactly what the public footer renders', () => {
+            const Html = page.global('Html');
+            const values = {
+                whatsapp: ['+966 50 000 0000', 'https://wa.me/966500000000', 'https://evil.com/x', 'javascript:alert(1)'],
+                instagram: ['@elamra', 'https://www.instagram.com/elamra', 'https://facebook.com/elamra', 'elamra/../x'],
+                facebook: ['elamra-gold', 'https://m.facebook.com/elamra', 'https://facebook.com.evil.com/x', 'elamra"><b>']
+            };
+
+            Object.entries(values).forEach(([network, inputs]) => {
+                inputs.forEach(value => {
+                    const accepted = settings.validateField(field(network), value) === null;
+                    assert.equal(accepted, Html.socialUrl(network, value) !== null, `${network}: ${value}`);
+                });
+            });
+        });
+
+        it('accepts full profile URLs', () => {
+            assert.equal(settings.validateField(field('instagram'), 'https://instagram.com/elamra'), null);
+            assert.equal(settings.validateField(field('facebook'), 'https://www.facebook.com/elamra'), null);
+        });
+
+        it('leaves empty optional fields valid', () => {
+            assert.equal(settings.validateField(field('instagram'), ''), null);
+        });
+    });
+
+    describe('unsaved changes guard', () => {
+        const unload = () => {
+            const event = new page.window.Event('beforeunload', { cancelable: true });
+            page.window.dispatchEvent(event);
+            return event.defaultPrevented;
+        };
+
+        beforeEach(() => {
+            const session = new (page.global('SessionManager'))();
+            Object.assign(settings, {
+                admin: { session },
+                section: page.document.getElementById('settings-section'),
+                hasUnsavedChanges: () => true
+            });
+            settings.attachEventListeners();
+        });
+
+        it('warns before leaving with unsaved changes', () => {
+            assert.equal(unload(), true);
+        });
+
+        it('does not block the idle-timeout logout redirect', async () => {
+            const { session } = settings.admin;
+            page.global('SessionManager').redirectToLogin = () => {};
+
+            await session.logoutForIdle();
+
+            assert.equal(session.redirecting, true);
+            assert.equal(unload(), false);
+        });
+
+        it('does not block the expired-session redirect', () => {
+            const { session } = settings.admin;
+            page.global('SessionManager').redirectToLogin = () => {};
+
+            session.expire();
+
+            assert.equal(unload(), false);
+        });
+    });
+});
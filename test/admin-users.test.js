@@ -0,0 +1,161 @@
+/**
+ * =====================================================
+   اختبارات إدارة المستخدمين
+   User Management Tests
+ * =====================================================
+ * الملف: test/admin-users.test.js
+ * الغرض: عرض المستخدمين والإحصائيات، التحقق من النموذج، الإنشاء والتفعيل والبحث
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('UserManagement', () => {
+    let baseUrl;
+    let page;
+    let users;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        await page.global('AuthAPI').login('admin', 'admin123');
+
+        const admin = Object.create(page.global('AdminDashboard').prototype);
+        Object.assign(admin, { user: { id: 1 }, pendingReason: null });
+
+        users = new (page.global('UserManagement'))(admin);
+        await waitFor(() => page.document.querySelectorAll('#users-table tr[data-id]').length > 0);
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const rows = () => [...page.document.querySelectorAll('#users-table tr[data-id]')];
+    const row = id => page.document.querySelector(`#users-table tr[data-id="${id}"]`);
+
+    /**
+     * تعبئة نموذج المستخدم
+     * Fill the user form
+     */
+    const fillUserForm = (values) => {
+        const form = page.document.getElementById('user-form');
+        Object.entries(values).forEach(([name, value]) => {
+            form.elements[name].value = value;
+        });
+        return form;
+    };
+
+    describe('list', () => {
+        it('renders every user with statistics and pagination', async () => {
+            await waitFor(() => page.document.querySelector('#users-stats .stat-value'));
+
+            assert.equal(rows().length, mock.db.users.length);
+            assert.equal(page.document.querySelector('#users-stats .stat-value').textContent, String(mock.db.users.length));
+            assert.ok(page.document.getElementById('users-pagination').textContent.includes('صفحة 1 من 1'));
+        });
+
+        it('hides toggle and delete for the signed-in user', () => {
+            assert.equal(row(1).querySelector('[data-action="user-delete"]'), null);
+            assert.ok(row(2).querySelector('[data-action="user-delete"]'));
+            assert.ok(row(3).querySelector('[data-action="user-toggle"]').textContent.includes('تفعيل'));
+        });
+
+        it('filters by the search term', async () => {
+            users.search = 'editor';
+            await users.fetchUsers();
+
+            assert.deepEqual(rows().map(element => element.dataset.id), ['2']);
+            assert.ok(page.requests.some(request => request.url.includes('search=editor')));
+        });
+
+        it('drops the response of a superseded search', async () => {
+            const UserAPI = page.global('UserAPI');
+            const getAllUsers = UserAPI.getAllUsers;
+            let release;
+            const gate = new Promise(resolve => {
+                release = resolve;
+            });
+
+            // البحث الأول يتأخر حتى ينتهي الثاني
+            UserAPI.getAllUsers = async (query, options) => {
+                if (query.search === 'viewer') await gate;
+                return getAllUsers.call(UserAPI, query, options);
+            };
+            users.admin.showMessage = message => assert.fail(message);
+
+            users.search = 'viewer';
+            const first = users.fetchUsers();
+            users.search = 'editor';
+            await users.fetchUsers();
+            release();
+            await first;
+
+            assert.deepEqual(rows().map(element => element.dataset.id), ['2']);
+        });
+    });
+
+    describe('validateUserForm', () => {
+        it('rejects an invalid username, email and a short password', () => {
+            users.openUserForm();
+            const form = fillUserForm({ username: 'a b', email: 'not-an-email', role: 'editor', password: 'short' });
+
+            assert.equal(users.validateUserForm(form), null);
+            assert.deepEqual(
+                [...form.querySelectorAll('.form-group.error')].map(group => group.querySelector('[name]').name).sort(),
+                ['email', 'password', 'username']
+            );
+        });
+
+        it('sends username and password only when creating', () => {
+            users.openUserForm(users.findUser(2));
+            const form = fillUserForm({ fullName: 'محرر', email: 'editor@example.com', role: 'editor' });
+
+            assert.deepEqual({ ...users.validateUserForm(form) }, { fullName: 'محرر', email: 'editor@example.com', role: 'editor' });
+            assert.equal(form.elements.username.disabled, true);
+        });
+    });
+
+    describe('actions', () => {
+        it('creates a user and refreshes the list', async () => {
+            users.openUserForm();
+            const form = fillUserForm({ username: 'cashier', fullName: 'أمين الصندوق', email: 'cashier@example.com', role: 'viewer', password: 'cashier123' });
+
+            await users.handleUserSubmit(form);
+
+            assert.ok(mock.db.users.some(user => user.username === 'cashier'));
+            assert.ok(rows().some(element => element.textContent.includes('cashier')));
+            assert.ok(!page.document.getElementById('user-modal').classList.contains('open'));
+        });
+
+        it('toggles a user after confirmation', async () => {
+            page.window.confirm = () => true;
+            const before = mock.db.users.find(user => user.id === 2).isActive;
+
+            await users.toggleStatus(users.findUser(2));
+
+            assert.equal(mock.db.users.find(user => user.id === 2).isActive, !before);
+        });
+
+        it('requires matching passwords before changing one', async () => {
+            users.openPasswordForm(users.findUser(2));
+            const form = page.document.getElementById('password-form');
+            form.elements.newPassword.value = 'newpassword1';
+            form.elements.confirmPassword.value = 'newpassword2';
+
+            await users.handlePasswordSubmit(form);
+
+            assert.ok(form.querySelector('.form-group.error [name="confirmPassword"]'));
+            assert.equal(page.requests.some(request => request.url.includes('change-password')), false);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * =====================================================
+   اختبارات لوحة التحكم
+   Admin Dashboard Tests
+ * =====================================================
+ * الملف: test/admin.test.js
+ * الغرض: طلب سبب التغيير عبر النافذة المنبثقة، وتأكيد الحذف بنفس النافذة
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('AdminDashboard', () => {
+    let baseUrl;
+    let page;
+    let admin;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        admin = Object.create(page.global('AdminDashboard').prototype);
+        Object.assign(admin, { pendingReason: null, goldPrices: [], currencyRates: [], showMessage: () => {} });
+        admin.attachEventListeners();
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const modal = () => page.document.getElementById('reason-modal');
+    const form = () => page.document.getElementById('reason-form');
+
+    const submit = reason => {
+        form().elements.reason.value = reason;
+        form().dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    };
+
+    describe('askReason', () => {
+        it('opens the reason modal and resolves with the trimmed reason', async () => {
+            const pending = admin.askReason('حذف سعر عيار 21');
+
+            assert.ok(modal().classList.contains('open'));
+            assert.equal(page.document.getElementById('reason-modal-action').textContent, 'حذف سعر عيار 21');
+
+            submit('  تصحيح خطأ إدخال  ');
+
+            assert.equal(await pending, 'تصحيح خطأ إدخال');
+            assert.ok(!modal().classList.contains('open'));
+        });
+
+        it('keeps the modal open with a field error for an empty reason', async () => {
+            const pending = admin.askReason('تحديث الأسعار');
+
+            submit('   ');
+            assert.ok(modal().classList.contains('open'));
+            assert.ok(form().querySelector('.form-group.error .form-error'));
+
+            submit('تحديث الصباح');
+            assert.equal(await pending, 'تحديث الصباح');
+        });
+
+        it('resolves null when cancelled with the close button or Escape', async () => {
+            const cancelled = admin.askReason('تحديث الأسعار');
+            form().querySelector('[data-action="close-modal"]').click();
+            assert.equal(await cancelled, null);
+
+            const escaped = admin.askReason('تحديث الأسعار');
+            page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+            assert.equal(await escaped, null);
+        });
+
+        it('closes only the reason modal on Escape when stacked over a form', async () => {
+            admin.openModal('gold-modal');
+            const pending = admin.askReason('تعديل سعر الذهب');
+
+            page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+
+            assert.equal(await pending, null);
+            assert.ok(page.document.getElementById('gold-modal').classList.contains('open'));
+        });
+    });
+
+    describe('delete', () => {
+        it('confirms once through the reason modal, without a native dialog', async () => {
+            page.window.confirm = () => assert.fail('window.confirm should not be used');
+            admin.goldPrices = [{ id: 1, goldTypeName: 'ذهب', karat: 21 }];
+
+            const deleting = admin.deleteGoldPrice(1);
+
+            assert.ok(modal().classList.contains('open'));
+            assert.ok(page.document.getElementById('reason-modal-action').textContent.includes('حذف سعر ذهب (21K)'));
+
+            form().querySelector('[data-action="close-modal"]').click();
+            await deleting;
+            assert.equal(page.requests.filter(request => request.method === 'DELETE').length, 0);
+        });
+
+        it('deletes with the given reason once confirmed', async () => {
+            const deleted = [];
+            page.global('CurrencyAPI').deleteRate = async (id, options) => deleted.push([id, options.reason]);
+            admin.fetchCurrencyData = async () => {};
+
+            const deleting = admin.deleteCurrencyRate(1);
+            submit('عملة متوقفة');
+            await deleting;
+
+            assert.deepEqual(JSON.parse(JSON.stringify(deleted)), [[1, 'عملة متوقفة']]);
+        });
+    });
+});
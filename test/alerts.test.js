@@ -0,0 +1,174 @@
+/**
+ * =====================================================
+   اختبارات تنبيهات الأسعار
+   Price Alerts Tests
+ * =====================================================
+ * الملف: test/alerts.test.js
+ * الغرض: إضافة التنبيهات وحفظها، إطلاقها مرة واحدة عند بلوغ السعر، وإعادة تفعيلها وحذفها
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('PriceAlerts', () => {
+    let baseUrl;
+    let page;
+    let app;
+    let alerts;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+        app = page.window.app;
+        alerts = app.alerts;
+    });
+
+    afterEach(() => {
+        app.stopAutoUpdate();
+        page.close();
+    });
+
+    const toasts = () => [...page.document.querySelectorAll('#toast-container .toast')].map(toast => toast.textContent);
+    const rules = () => [...page.document.querySelectorAll('#alerts-list .alert-rule')];
+
+    /**
+     * إضافة تنبيه من النموذج
+     * Submit the alert form
+     */
+    const addAlert = ({ itemKey, side = 'buy', direction = 'above', target }) => {
+        const { elements } = alerts.form;
+        elements.itemKey.value = itemKey;
+        elements.side.value = side;
+        elements.direction.value = direction;
+        elements.target.value = String(target);
+        alerts.form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    };
+
+    /**
+     * تحديث سعر ذهب كما يفعل الاستطلاع
+     * Push a new gold price through the app
+     */
+    const pushGold = (goldTypeId, changes) => {
+        const price = app.goldPrices.find(entry => entry.goldTypeId === goldTypeId);
+        app.applyGoldPrices({ ...price, ...changes });
+    };
+
+    it('lists gold types and currencies as alert targets', () => {
+        const values = [...alerts.form.elements.itemKey.options].map(option => option.value).filter(Boolean);
+
+        assert.ok(values.includes('gold:1'));
+        assert.ok(values.includes('currency:1'));
+    });
+
+    it('keeps the target select untouched when only prices change', () => {
+        const select = alerts.form.elements.itemKey;
+        select.value = 'gold:2';
+        select.focus();
+        const option = select.selectedOptions[0];
+
+        pushGold(2, { buyPrice: 300 });
+
+        assert.equal(select.selectedOptions[0], option);
+        assert.equal(select.value, 'gold:2');
+        assert.equal(page.document.activeElement, select);
+    });
+
+    it('rebuilds the target select when the items or language change', () => {
+        const select = alerts.form.elements.itemKey;
+        select.value = 'currency:2';
+        const option = select.selectedOptions[0];
+
+        page.global('I18n').setLocale('en');
+
+        assert.notEqual(select.selectedOptions[0], option);
+        assert.equal(select.value, 'currency:2');
+        assert.equal(select.options[0].textContent, page.global('I18n').t('alerts.chooseItem'));
+
+        app.currencyRates = app.currencyRates.filter(rate => rate.currencyId !== 2);
+        alerts.refresh();
+
+        assert.equal([...select.options].some(entry => entry.value === 'currency:2'), false);
+    });
+
+    it('rejects a missing target or non-positive price', () => {
+        addAlert({ itemKey: '', target: 100 });
+        addAlert({ itemKey: 'gold:1', target: 0 });
+
+        assert.equal(alerts.alerts.length, 0);
+        assert.ok(!page.document.getElementById('alerts-error').classList.contains('hidden'));
+    });
+
+    it('fires once when the price crosses the target and stays until reset', () => {
+        addAlert({ itemKey: 'gold:1', direction: 'above', target: 330 });
+        assert.equal(alerts.alerts[0].triggered, false);
+
+        pushGold(1, { buyPrice: 331 });
+        pushGold(1, { buyPrice: 335 });
+
+        assert.equal(toasts().length, 1);
+        assert.equal(alerts.alerts[0].triggered, true);
+        assert.ok(rules()[0].classList.contains('triggered'));
+
+        rules()[0].querySelector('[data-action="alert-reset"]').click();
+        assert.equal(alerts.alerts[0].triggered, false);
+
+        pushGold(1, { buyPrice: 336 });
+        assert.equal(toasts().length, 2);
+    });
+
+    it('fires immediately when the condition already holds', () => {
+        addAlert({ itemKey: 'currency:1', side: 'sell', direction: 'below', target: 4 });
+
+        assert.equal(alerts.alerts[0].triggered, true);
+        assert.equal(toasts().length, 1);
+    });
+
+    it('compares the chosen side of the price', () => {
+        // سعر البيع 325 وسعر الشراء 320.5
+        addAlert({ itemKey: 'gold:1', side: 'buy', direction: 'above', target: 322 });
+        assert.equal(alerts.alerts[0].triggered, false);
+
+        addAlert({ itemKey: 'gold:1', side: 'sell', direction: 'above', target: 322 });
+        assert.equal(alerts.alerts[1].triggered, true);
+    });
+
+    it('uses a system notification when permitted and the page is hidden', () => {
+        const notifications = [];
+        page.window.Notification = class {
+            static permission = 'granted';
+
+            constructor(title, options) {
+                notifications.push(options.body);
+            }
+        };
+        Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+
+        addAlert({ itemKey: 'gold:1', direction: 'below', target: 400 });
+
+        assert.equal(notifications.length, 1);
+        assert.equal(toasts().length, 0);
+    });
+
+    it('persists alerts and removes them', () => {
+        addAlert({ itemKey: 'gold:3', direction: 'below', target: 200 });
+
+        const saved = page.global('PriceCache').load('alerts');
+        assert.equal(saved.data.length, 1);
+        assert.equal(saved.data[0].itemKey, 'gold:3');
+
+        rules()[0].querySelector('[data-action="alert-delete"]').click();
+
+        assert.equal(alerts.alerts.length, 0);
+        assert.equal(page.global('PriceCache').load('alerts').data.length, 0);
+    });
+});
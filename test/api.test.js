@@ -0,0 +1,221 @@
+/**
+ * =====================================================
+   اختبارات عميل API
+   API Client Tests
+ * =====================================================
+ * الملف: test/api.test.js
+ * الغرض: تحويل أخطاء الاستجابة، نسخ الاستجابات المخزنة، وإرسال رمز CSRF مع الطلبات المعدلة
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock, startMockServer, stopMockServer, loadPage } = require('./helpers');
+const { createFixtures } = require('../mock/fixtures');
+
+describe('API client', () => {
+    let baseUrl;
+    let page;
+    let API;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('login.html', baseUrl);
+        API = page.global('API');
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('handleResponse', () => {
+        const respond = (status, body) => new Response(
+            typeof body === 'string' ? body : JSON.stringify(body),
+            { status, headers: { 'Content-Type': 'application/json' } }
+        );
+
+        it('returns the parsed body for successful responses', async () => {
+            const data = await API.handleResponse(respond(200, { success: true, data: [1, 2] }));
+            assert.deepEqual(data, { success: true, data: [1, 2] });
+        });
+
+        it('maps server message, code and status onto the thrown error', async () => {
+            await assert.rejects(
+                API.handleResponse(respond(409, { success: false, message: 'exists', code: 'DUPLICATE_USERNAME' })),
+                error => {
+                    assert.equal(error.message, 'exists');
+                    assert.equal(error.status, 409);
+                    assert.equal(error.code, 'DUPLICATE_USERNAME');
+                    assert.equal(error.data.success, false);
+                    return true;
+                }
+            );
+        });
+
+        it('falls back to HTTP status and UNKNOWN_ERROR for non-JSON bodies', async () => {
+            await assert.rejects(API.handleResponse(respond(502, '<html>Bad gateway</html>')), error => {
+                assert.equal(error.message, 'HTTP 502');
+                assert.equal(error.code, 'UNKNOWN_ERROR');
+                assert.equal(error.data, null);
+                return true;
+            });
+        });
+
+        it('calls the unauthorized handler on 401 only', async () => {
+            const calls = [];
+            API.setUnauthorizedHandler(error => calls.push(error.status));
+
+            await assert.rejects(API.handleResponse(respond(401, { message: 'expired' })));
+            await assert.rejects(API.handleResponse(respond(403, { message: 'forbidden' })));
+
+            assert.deepEqual(calls, [401]);
+        });
+    });
+
+    describe('requests against the mock backend', () => {
+        it('loads fixture prices', async () => {
+            const response = await page.global('GoldAPI').getAllPrices();
+            assert.deepEqual(response.data, createFixtures().goldPrices);
+        });
+
+        it('surfaces backend error codes', async () => {
+            await assert.rejects(page.global('AuthAPI').login('admin', 'wrong'), error => {
+                assert.equal(error.status, 401);
+                assert.equal(error.code, 'INVALID_CREDENTIALS');
+                return true;
+            });
+        });
+
+        it('returns a separate copy to every caller of a cached or shared GET', async () => {
+            const GoldAPI = page.global('GoldAPI');
+
+            const [first, shared] = await Promise.all([GoldAPI.getAllPrices(), GoldAPI.getAllPrices()]);
+            first.data.sort((a, b) => a.karat - b.karat);
+            shared.data[0].buyPrice = -1;
+
+            const cached = await GoldAPI.getAllPrices();
+            cached.data.pop();
+
+            assert.equal(page.global('API').getResponseInfo('/gold/prices').source, 'memory');
+            assert.deepEqual((await GoldAPI.getAllPrices()).data, createFixtures().goldPrices);
+        });
+
+        it('does not retry client errors', async () => {
+            await assert.rejects(page.global('GoldAPI').getPriceById(999));
+            assert.equal(page.requests.filter(request => request.url.endsWith('/gold/prices/999')).length, 1);
+        });
+    });
+
+    describe('response cache', () => {
+        /**
+         * انتهاء صلاحية النسخ المخزنة دون انتظار TTL
+         * Expire cached entries without waiting for their TTL
+         */
+        const expireCache = () => {
+            page.global('API').responseCache.forEach(entry => {
+                entry.expiresAt = 0;
+            });
+        };
+
+        const priceRequests = () => page.requests.filter(request => request.url.endsWith('/gold/prices'));
+
+        it('revalidates an expired entry with If-None-Match', async () => {
+            const GoldAPI = page.global('GoldAPI');
+            await GoldAPI.getAllPrices();
+            expireCache();
+
+            const response = await GoldAPI.getAllPrices();
+
+            assert.match(priceRequests()[1].headers['If-None-Match'], /^"[0-9a-f]+"$/);
+            assert.equal(page.global('API').getResponseInfo('/gold/prices').source, 'revalidated');
+            assert.deepEqual(response.data, createFixtures().goldPrices);
+        });
+
+        it('falls back to TTL-only caching when the ETag is not exposed', async () => {
+            // عبر CORS بدون Access-Control-Expose-Headers يقرأ المتصفح ETag كـ null
+            const fetch = page.window.fetch;
+            page.window.fetch = async (...args) => {
+                const response = await fetch(...args);
+                const headers = new Headers(response.headers);
+                headers.delete('ETag');
+                return new Response(await response.text(), { status: response.status, headers });
+            };
+
+            const GoldAPI = page.global('GoldAPI');
+            await GoldAPI.getAllPrices();
+            await GoldAPI.getAllPrices();
+            assert.equal(priceRequests().length, 1);
+
+            expireCache();
+            await GoldAPI.getAllPrices();
+
+            assert.equal(priceRequests().length, 2);
+            assert.equal(priceRequests()[1].headers['If-None-Match'], undefined);
+            assert.equal(page.global('API').getResponseInfo('/gold/prices').source, 'network');
+        });
+    });
+
+    describe('change reasons', () => {
+        it('sends the reason in the body without a custom header', async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+            const response = await page.global('GoldAPI').updatePrice(1, { buyPrice: 331 }, { reason: 'تصحيح السعر' });
+
+            const update = page.requests.find(request => request.method === 'PUT');
+            assert.equal(Object.keys(update.headers).some(name => /reason/i.test(name)), false);
+            assert.equal(JSON.parse(update.body).changeReason, 'تصحيح السعر');
+
+            assert.equal(response.data.changeReason, undefined);
+            assert.equal(mock.auditLog[0].reason, 'تصحيح السعر');
+        });
+
+        it('sends the reason as the only body of a delete', async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+            await page.global('CurrencyAPI').deleteRate(1, { reason: 'عملة متوقفة' });
+
+            const remove = page.requests.find(request => request.method === 'DELETE');
+            assert.deepEqual(JSON.parse(remove.body), { changeReason: 'عملة متوقفة' });
+            assert.equal(mock.auditLog[0].reason, 'عملة متوقفة');
+        });
+    });
+
+    describe('CSRF', () => {
+        it('sends the csrf_token cookie as X-CSRF-Token on mutations only', async () => {
+            await page.global('AuthAPI').getCSRFToken();
+            const token = page.document.cookie.match(/csrf_token=([^;]+)/)[1];
+
+            await page.global('AuthAPI').login('admin', 'admin123');
+            await page.global('GoldAPI').getAllPrices({ cache: false });
+
+            const login = page.requests.find(request => request.url.endsWith('/auth/login'));
+            const prices = page.requests.find(request => request.url.endsWith('/gold/prices'));
+
+            assert.equal(login.headers['X-CSRF-Token'], token);
+            assert.equal(prices.headers['X-CSRF-Token'], undefined);
+        });
+
+        it('is accepted by the backend for authenticated mutations', async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+            const response = await page.global('GoldAPI').updatePrice(1, { buyPrice: 330, sellPrice: 335 });
+
+            assert.equal(response.data.buyPrice, 330);
+        });
+
+        it('is rejected by the backend when missing', async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+            page.document.cookie = 'csrf_token=; Max-Age=0; Path=/';
+
+            await assert.rejects(page.global('GoldAPI').updatePrice(1, { buyPrice: 1 }), error => {
+                assert.equal(error.status, 403);
+                assert.equal(error.code, 'CSRF_INVALID');
+                return true;
+            });
+        });
+    });
+});
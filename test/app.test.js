@@ -0,0 +1,223 @@
+/**
+ * =====================================================
+   اختبارات التطبيق الرئيسي
+   GoldMarketApp Tests
+ * =====================================================
+ * الملف: test/app.test.js
+ * الغرض: عرض الشبكات عند التهيئة ودورة التحديث التلقائي
+ * =====================================================
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+const { createFixtures } = require('../mock/fixtures');
+
+describe('GoldMarketApp', () => {
+    let baseUrl;
+    let page;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    afterEach(() => {
+        if (page.window.app) page.window.app.stopAutoUpdate();
+        page.close();
+    });
+
+    /**
+     * تحميل الصفحة مع تسجيل مؤقتات setInterval
+     * Load index.html recording setInterval calls so the poll loop can be driven by hand
+     */
+    async function loadApp(options = {}) {
+        const intervals = [];
+
+        page = loadPage('index.html', baseUrl, {
+            ...options,
+            beforeScripts: window => {
+                const setInterval = window.setInterval.bind(window);
+                window.setInterval = (handler, ms) => {
+                    intervals.push({ handler, ms });
+                    return setInterval(handler, ms);
+                };
+                if (options.beforeScripts) options.beforeScripts(window);
+            }
+        });
+
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+        return intervals;
+    }
+
+    const cards = id => [...page.document.querySelectorAll(`#${id} .card-price`)];
+
+    describe('init', () => {
+        it('renders a card per fixture gold price and currency rate', async () => {
+            await loadApp();
+            const fixtures = createFixtures();
+
+            assert.equal(cards('gold-prices-grid').length, fixtures.goldPrices.length);
+            assert.equal(cards('currency-rates-grid').length, fixtures.currencyRates.length);
+            assert.deepEqual(
+                cards('gold-prices-grid').map(card => card.querySelector('.card-title').textContent),
+                fixtures.goldPrices.map(price => price.goldTypeName)
+            );
+        });
+
+        it('shows store info and market status from the backend', async () => {
+            await loadApp();
+
+            assert.equal(page.document.getElementById('footer-store-name').textContent, createFixtures().settings.store.name);
+            assert.ok(page.document.querySelector('.status-indicator').classList.contains(
+                page.window.app.marketStatus.isOpen ? 'open' : 'closed'
+            ));
+        });
+
+        it('caches the last prices for the next offline load', async () => {
+            await loadApp();
+
+            const saved = page.global('PriceCache').load('goldPrices');
+            assert.equal(saved.data.length, createFixtures().goldPrices.length);
+        });
+    });
+
+    describe('auto-update', () => {
+        it('polls every 30 seconds when no realtime channel is available', async () => {
+            const intervals = await loadApp();
+
+            assert.equal(page.window.app.realtime.status, 'unavailable');
+            assert.ok(intervals.some(interval => interval.ms === 30000));
+        });
+
+        it('patches changed cards with a change indicator on each poll', async () => {
+            const intervals = await loadApp();
+            const poll = intervals.find(interval => interval.ms === 30000).handler;
+
+            mock.db.goldPrices[0].buyPrice += 5;
+            // مرور 30 ثانية يتجاوز مدة صلاحية النسخة المخزنة
+            page.global('API').responseCache.clear();
+            poll();
+
+            const card = await waitFor(() => page.document.querySelector(
+                `#gold-prices-grid [data-id="${mock.db.goldPrices[0].id}"] .price-change.up`
+            ));
+            assert.ok(card.textContent.includes('5'));
+            assert.equal(page.document.querySelectorAll('#gold-prices-grid .price-change').length, 1);
+        });
+
+        it('clears the change indicator when a later poll leaves the price unchanged', async () => {
+            const intervals = await loadApp();
+            const poll = intervals.find(interval => interval.ms === 30000).handler;
+            const grid = page.document.getElementById('gold-prices-grid');
+
+            mock.db.goldPrices[0].buyPrice += 5;
+            page.global('API').responseCache.clear();
+            poll();
+            await waitFor(() => grid.querySelector('.price-change'));
+
+            page.global('API').responseCache.clear();
+            poll();
+            await waitFor(() => !grid.querySelector('.price-change, .flash-up, .flash-down'));
+        });
+
+        it('patches cards whose server id contains quotes', async () => {
+            const id = 'a"] , [data-id="b';
+            mock.db.goldPrices[0].id = id;
+
+            try {
+                const intervals = await loadApp();
+                const poll = intervals.find(interval => interval.ms === 30000).handler;
+
+                mock.db.goldPrices[0].sellPrice -= 2;
+                page.global('API').responseCache.clear();
+                poll();
+
+                const card = await waitFor(() => [...page.document.querySelectorAll('#gold-prices-grid .card-price')]
+                    .find(element => element.dataset.id === id && element.querySelector('.price-change.down')));
+                assert.ok(card);
+            } finally {
+                mock.db.goldPrices[0].id = 1;
+            }
+        });
+
+        it('marks prices stale when the backend is unreachable', async () => {
+            const intervals = await loadApp();
+            const poll = intervals.find(interval => interval.ms === 30000).handler;
+
+            page.window.fetch = () => Promise.reject(new page.window.TypeError('Failed to fetch'));
+            page.global('API_CONFIG').RETRY_ATTEMPTS = 1;
+            page.global('API').responseCache.clear();
+            poll();
+
+            const badge = page.document.getElementById('stale-badge');
+            await waitFor(() => !badge.classList.contains('hidden'));
+            assert.equal(cards('gold-prices-grid').length, mock.db.goldPrices.length);
+        });
+
+        it('stops polling on stopAutoUpdate', async () => {
+            await loadApp();
+
+            page.window.app.stopAutoUpdate();
+            assert.equal(page.window.app.updateInterval, null);
+            assert.equal(page.window.app.realtime, null);
+        });
+    });
+
+    describe('kiosk mode', () => {
+        const visibleIds = () => cards('gold-prices-grid')
+            .filter(card => !card.classList.contains('kiosk-hidden'))
+            .map(card => card.dataset.id);
+
+        it('keeps patched and re-rendered cards on the current page', async () => {
+            const intervals = await loadApp({ query: '?display=tv' });
+            const poll = intervals.find(interval => interval.ms === 30000).handler;
+            const { app } = page.window;
+
+            page.global('KIOSK_CONFIG').CARDS_PER_PAGE = 2;
+            app.kiosk.showPage(0);
+            assert.deepEqual(visibleIds(), ['1', '2']);
+
+            // بطاقة في الصفحة الثانية تُستبدل بعد تغير سعرها
+            mock.db.goldPrices[3].buyPrice += 1;
+            page.global('API').responseCache.clear();
+            poll();
+            await waitFor(() => page.document.querySelector('#gold-prices-grid [data-id="4"] .price-change'));
+            assert.deepEqual(visibleIds(), ['1', '2']);
+
+            app.render();
+            assert.deepEqual(visibleIds(), ['1', '2']);
+        });
+
+        it('counts service worker copies as failures without re-caching them', async () => {
+            const intervals = await loadApp({ query: '?display=tv' });
+            const poll = intervals.find(interval => interval.ms === 30000).handler;
+            const { app } = page.window;
+            const savedAt = page.global('PriceCache').load('goldPrices').savedAt;
+            const cachedAt = '2026-10-01T08:00:00.000Z';
+
+            // عامل الخدمة يرد بنسخته المخزنة أثناء انقطاع الشبكة
+            const fetch = page.window.fetch;
+            page.window.fetch = async (...args) => {
+                const response = await fetch(...args);
+                const headers = new Headers(response.headers);
+                headers.set('X-SW-Cache', 'hit');
+                headers.set('X-SW-Cached-At', cachedAt);
+                return new Response(await response.text(), { status: response.status, headers });
+            };
+
+            for (const expected of [2, 4]) {
+                page.global('API').responseCache.clear();
+                poll();
+                await waitFor(() => app.kiosk.failures === expected);
+            }
+
+            assert.equal(page.global('PriceCache').load('goldPrices').savedAt, savedAt);
+            assert.equal(app.cacheTimes.goldPrices, Date.parse(cachedAt));
+            assert.ok(!page.document.getElementById('stale-badge').classList.contains('hidden'));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * =====================================================
+   اختبارات حاسبة الذهب
+   Gold Calculator Tests
+ * =====================================================
+ * الملف: test/calculator.test.js
+ * الغرض: قيمة القطعة عند البيع والشراء، المصنعية والضريبة، وتحديث النتيجة مع الأسعار
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('GoldCalculator', () => {
+    let baseUrl;
+    let page;
+    let calculator;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+        calculator = page.window.app.calculator;
+        await waitFor(() => calculator.form.elements.goldTypeId.options.length > 1);
+    });
+
+    afterEach(() => {
+        page.window.app.stopAutoUpdate();
+        page.close();
+    });
+
+    /**
+     * تعبئة النموذج ثم الحساب
+     * Fill the form and recalculate
+     */
+    const fill = (values) => {
+        Object.entries(values).forEach(([name, value]) => {
+            calculator.form.elements[name].value = String(value);
+        });
+        calculator.calculate();
+        return calculator.result;
+    };
+
+    it('values gold bought by the store at the buy price without charges', () => {
+        const result = fill({ mode: 'buy', goldTypeId: 3, weight: 10, makingCharge: 50, vatRate: 15 });
+
+        assert.equal(result.pricePerGram, 280.4);
+        assert.equal(result.goldValue, 2804);
+        assert.equal(result.making, 0);
+        assert.equal(result.vat, 0);
+        assert.equal(result.total, 2804);
+        assert.equal(calculator.form.elements.makingCharge.disabled, true);
+    });
+
+    it('adds making charge per gram and VAT on the subtotal when selling', () => {
+        const result = fill({ mode: 'sell', goldTypeId: 3, weight: 10, makingCharge: 20, vatRate: 15 });
+
+        assert.equal(result.pricePerGram, 285);
+        assert.equal(result.goldValue, 2850);
+        assert.equal(result.making, 200);
+        assert.equal(result.subtotal, 3050);
+        assert.ok(Math.abs(result.vat - 457.5) < 1e-9);
+        assert.ok(Math.abs(result.total - 3507.5) < 1e-9);
+        assert.equal(calculator.form.elements.vatRate.disabled, false);
+    });
+
+    it('treats empty making charge and VAT as zero', () => {
+        const result = fill({ mode: 'sell', goldTypeId: 1, weight: 2, makingCharge: '', vatRate: '' });
+
+        assert.equal(result.total, 650);
+    });
+
+    it('clears the result for a missing karat or a non-positive weight', () => {
+        assert.equal(fill({ mode: 'buy', goldTypeId: '', weight: 5 }), null);
+        assert.equal(fill({ mode: 'buy', goldTypeId: 1, weight: 0 }), null);
+        assert.equal(fill({ mode: 'buy', goldTypeId: 1, weight: 'abc' }), null);
+
+        assert.equal(page.document.getElementById('calculator-print-btn').disabled, true);
+    });
+
+    it('recalculates with new prices on refresh', () => {
+        fill({ mode: 'buy', goldTypeId: 1, weight: 1 });
+
+        page.window.app.goldPrices = page.window.app.goldPrices.map(price => ({ ...price, buyPrice: price.buyPrice + 10 }));
+        calculator.refresh();
+
+        assert.equal(calculator.result.total, 330.5);
+        assert.ok(page.document.getElementById('calculator-result').textContent.includes('330.5'));
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * =====================================================
+   اختبارات محول العملات
+   Currency Converter Tests
+ * =====================================================
+ * الملف: test/converter.test.js
+ * الغرض: التحويل المحلي عبر العملة الأساسية، التحويل من الخادم، والرجوع للأسعار المحلية
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('CurrencyConverter', () => {
+    let baseUrl;
+    let page;
+    let converter;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+        converter = page.window.app.converter;
+        await waitFor(() => converter.form.elements.from.options.length > 1);
+    });
+
+    afterEach(() => {
+        page.window.app.stopAutoUpdate();
+        page.close();
+    });
+
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+    const result = () => page.document.getElementById('converter-result').textContent.replace(/\s+/g, ' ').trim();
+
+    /**
+     * تعبئة النموذج ثم التحويل
+     * Fill the form and convert
+     */
+    const convert = async ({ amount, from, to, type = 'buy' }) => {
+        const { elements } = converter.form;
+        elements.amount.value = String(amount);
+        elements.from.value = from;
+        elements.to.value = to;
+        elements.type.value = type;
+        await converter.convert();
+    };
+
+    describe('convertLocally', () => {
+        it('converts to and from the base currency', () => {
+            assert.equal(converter.convertLocally(100, 'USD', 'SAR', 'buy'), 374.5);
+            close(converter.convertLocally(375.5, 'SAR', 'USD', 'sell'), 100);
+        });
+
+        it('crosses two foreign currencies through the base currency', () => {
+            close(converter.convertLocally(100, 'EUR', 'USD', 'buy'), 100 * 4.05 / 3.745);
+            close(converter.convertLocally(100, 'GBP', 'EUR', 'sell'), 100 * 4.81 / 4.12);
+        });
+
+        it('returns null for a currency without a rate', () => {
+            assert.equal(converter.convertLocally(100, 'AED', 'SAR', 'buy'), null);
+            assert.equal(converter.convertLocally(100, 'SAR', 'JPY', 'buy'), null);
+        });
+    });
+
+    describe('convert', () => {
+        it('shows the server result', async () => {
+            await convert({ amount: 100, from: 'USD', to: 'SAR' });
+
+            assert.ok(result().includes('374.5'), result());
+            assert.equal(page.document.querySelector('#converter-result .text-warning'), null);
+        });
+
+        it('falls back to local rates with a notice when the server fails', async () => {
+            page.global('CurrencyAPI').convert = async () => {
+                throw Object.assign(new Error('Network error'), { code: 'NETWORK_ERROR' });
+            };
+
+            await convert({ amount: 100, from: 'USD', to: 'SAR', type: 'sell' });
+
+            assert.ok(result().includes('375.5'), result());
+            assert.ok(page.document.querySelector('#converter-result .text-warning'));
+        });
+
+        it('skips the request when both currencies are the same', async () => {
+            page.global('CurrencyAPI').convert = () => assert.fail('should not call the server');
+
+            await convert({ amount: 7, from: 'EUR', to: 'EUR' });
+
+            assert.ok(result().includes('7 EUR = 7 EUR'), result());
+        });
+
+        it('clears the result for an invalid amount', async () => {
+            await convert({ amount: -1, from: 'USD', to: 'SAR' });
+
+            assert.equal(page.document.querySelector('#converter-result .converter-amount'), null);
+        });
+
+        it('aborts a pending conversion when a newer one starts', async () => {
+            const signals = [];
+            page.global('CurrencyAPI').convert = (amount, from, to, type, options) => {
+                signals.push(options.signal);
+                return new Promise((resolve, reject) => {
+                    options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { code: 'ABORTED' })));
+                    if (amount === 2) resolve({ success: true, data: { result: 20 } });
+                });
+            };
+
+            const first = convert({ amount: 1, from: 'USD', to: 'SAR' });
+            await convert({ amount: 2, from: 'USD', to: 'SAR' });
+            await first;
+
+            assert.equal(signals[0].aborted, true);
+            assert.ok(result().includes('20 SAR'), result());
+        });
+    });
+
+    it('swaps the selected currencies and converts again', async () => {
+        await convert({ amount: 1, from: 'USD', to: 'SAR' });
+        let conversions = 0;
+        converter.convert = async () => { conversions++; };
+
+        converter.swap();
+
+        assert.equal(converter.form.elements.from.value, 'SAR');
+        assert.equal(converter.form.elements.to.value, 'USD');
+        assert.equal(conversions, 1);
+    });
+});
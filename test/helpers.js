@@ -0,0 +1,198 @@
+/**
+ * =====================================================
+   أدوات الاختبار
+   Test Helpers
+ * =====================================================
+ * الملف: test/helpers.js
+ * الغرض: تشغيل الخادم التجريبي وتحميل صفحات الواجهة في jsdom بنفس ترتيب وسوم script
+ * =====================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const mock = require('../mock/api-server');
+const { createFixtures } = require('../mock/fixtures');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// =====================================================
+// الخادم التجريبي
+// Mock server
+// =====================================================
+
+/**
+ * تشغيل الخادم على منفذ عشوائي ببيانات أولية جديدة
+ * Start the mock API on a random port with fresh fixtures
+ */
+async function startMockServer() {
+    Object.keys(mock.db).forEach(key => delete mock.db[key]);
+    Object.assign(mock.db, createFixtures());
+    mock.auditLog.length = 0;
+
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${mock.server.address().port}`;
+}
+
+/**
+ * إيقاف الخادم وقطع الاتصالات المفتوحة (مثل SSE)
+ * Stop the mock API, dropping open connections
+ */
+async function stopMockServer() {
+    mock.server.closeAllConnections();
+    await new Promise(resolve => mock.server.close(resolve));
+}
+
+// =====================================================
+// تحميل الصفحات
+// Page loading
+// =====================================================
+
+/**
+ * جسر fetch من jsdom إلى fetch في Node مع الكوكيز وسجل الطلبات
+ * Bridge window.fetch to Node's fetch, sharing the page cookie jar
+ */
+function createFetch(dom, requests) {
+    const { window } = dom;
+
+    return async (input, init = {}) => {
+        const url = String(input);
+        const headers = { ...init.headers };
+        const cookie = dom.cookieJar.getCookieStringSync(url);
+        if (cookie) headers.Cookie = cookie;
+
+        requests.push({ url, method: init.method || 'GET', headers, body: init.body });
+
+        // إشارة jsdom لا يقبلها fetch في Node
+        const controller = new AbortController();
+        if (init.signal) {
+            if (init.signal.aborted) controller.abort();
+            init.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: init.method,
+                headers,
+                body: init.body,
+                signal: controller.signal
+            });
+
+            response.headers.getSetCookie().forEach(value => dom.cookieJar.setCookieSync(value, url));
+            return response;
+        } catch (error) {
+            // أخطاء الشبكة من نوع TypeError في نطاق الصفحة كما في المتصفح
+            if (error.name === 'TypeError') throw new window.TypeError(error.message);
+            throw error;
+        }
+    };
+}
+
+/**
+ * CSS.escape غير موجودة في jsdom
+ * Minimal CSS.escape (CSSOM serialize an identifier)
+ */
+function cssEscape(value) {
+    const input = String(value);
+    let result = '';
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input.charAt(index);
+        const code = input.charCodeAt(index);
+        const isDigit = code >= 0x30 && code <= 0x39;
+
+        if (code === 0) {
+            result += '\uFFFD';
+        } else if ((code >= 0x1 && code <= 0x1F) || code === 0x7F
+            || (index === 0 && isDigit)
+            || (index === 1 && isDigit && input.charCodeAt(0) === 0x2D)) {
+            result += `\\${code.toString(16)} `;
+        } else if (index === 0 && input.length === 1 && char === '-') {
+            result += `\\${char}`;
+        } else if (code >= 0x80 || char === '-' || char === '_' || /[0-9A-Za-z]/.test(char)) {
+            result += char;
+        } else {
+            result += `\\${char}`;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * تحميل صفحة وتشغيل سكربتاتها
+ * Load an HTML page from the repo into jsdom and run its scripts in order
+ *
+ * options.query        - نص الاستعلام للصفحة (مثل ?display=tv)
+ * options.beforeScripts - دالة تُستدعى بالنافذة قبل تشغيل السكربتات
+ * options.start        - false لحجب DOMContentLoaded (تحميل الفئات دون تشغيل الصفحة)
+ *
+ * jsdom يطلق DOMContentLoaded بعد انتهاء هذه الدالة فتبدأ الصفحة كما في المتصفح
+ */
+function loadPage(page, baseUrl, options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8')
+        .replace('<meta name="api-base-url" content="">', `<meta name="api-base-url" content="${baseUrl}">`)
+        .replace('<meta name="api-env" content="">', '<meta name="api-env" content="mock">');
+
+    // سجلات الصفحة لا تظهر في مخرجات الاختبار، أما أخطاء jsdom فتظهر
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const dom = new JSDOM(html, {
+        url: `${baseUrl}/${page}${options.query || ''}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    const requests = [];
+
+    window.fetch = createFetch(dom, requests);
+    // واجهات المتصفح غير الموجودة في jsdom
+    window.structuredClone = structuredClone;
+    window.CSS = { escape: cssEscape };
+
+    if (options.beforeScripts) {
+        options.beforeScripts(window);
+    }
+
+    if (options.start === false) {
+        window.addEventListener('DOMContentLoaded', event => event.stopImmediatePropagation(), true);
+    }
+
+    // كل سكربت في السياق نفسه كما يفعل المتصفح مع وسوم script
+    const context = dom.getInternalVMContext();
+    [...window.document.querySelectorAll('script[src]')].forEach(script => {
+        const file = path.join(ROOT, script.getAttribute('src'));
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+
+    return {
+        dom,
+        window,
+        document: window.document,
+        requests,
+        // قراءة تعريف عام (class/const) من سياق الصفحة
+        global: name => new vm.Script(name).runInContext(context),
+        close: () => window.close()
+    };
+}
+
+/**
+ * انتظار تحقق شرط
+ * Poll until predicate is truthy
+ */
+async function waitFor(predicate, timeout = 3000) {
+    const started = Date.now();
+
+    while (Date.now() - started < timeout) {
+        const result = predicate();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+module.exports = { mock, startMockServer, stopMockServer, loadPage, waitFor };
@@ -0,0 +1,220 @@
+/**
+ * =====================================================
+   اختبارات الحماية عند العرض
+   HTML Escaping & Sanitization Tests
+ * =====================================================
+ * الملف: test/html.test.js
+ * الغرض: تمرير بيانات عدائية عبر Html وعبر كل دالة عرض تستقبل بيانات الخادم
+ * =====================================================
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Html } = require('../js/html');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+const XSS_TAG = '<img src=x onerror="window.pwned=1">';
+const QUOTE_BREAKOUT = '" onmouseover="window.pwned=1" x="';
+
+describe('Html', () => {
+    describe('escape', () => {
+        it('escapes markup and quote characters', () => {
+            assert.equal(Html.escape(XSS_TAG), '&lt;img src=x onerror=&quot;window.pwned=1&quot;&gt;');
+            assert.equal(Html.escape(`'\`&`), '&#39;&#96;&amp;');
+        });
+
+        it('renders null and undefined as empty and stringifies other values', () => {
+            assert.equal(Html.escape(null), '');
+            assert.equal(Html.escape(undefined), '');
+            assert.equal(Html.escape(0), '0');
+        });
+    });
+
+    describe('template', () => {
+        it('escapes every interpolation', () => {
+            const html = Html.template`<div title="${QUOTE_BREAKOUT}">${XSS_TAG}</div>`;
+
+            assert.ok(!html.includes('<img'));
+            assert.ok(!html.includes('" onmouseover'));
+            assert.equal(html, `<div title="${Html.escape(QUOTE_BREAKOUT)}">${Html.escape(XSS_TAG)}</div>`);
+        });
+
+        it('keeps Html.raw markup and nested templates intact', () => {
+            const inner = Html.template`<b>${XSS_TAG}</b>`;
+            const html = Html.template`<p>${Html.raw(inner)}</p>`;
+
+            assert.equal(html, `<p><b>${Html.escape(XSS_TAG)}</b></p>`);
+        });
+
+        it('escapes arrays joined without Html.raw', () => {
+            assert.equal(Html.template`${['<a>', '<b>'].join('')}`, '&lt;a&gt;&lt;b&gt;');
+        });
+    });
+
+    describe('safeUrl', () => {
+        it('rejects script and data schemes', () => {
+            ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']
+                .forEach(value => assert.equal(Html.safeUrl(value), null, value));
+        });
+
+        it('rejects relative and malformed URLs', () => {
+            ['//evil.com', '/path', 'not a url', ''].forEach(value => assert.equal(Html.safeUrl(value), null, value));
+        });
+
+        it('normalizes allowed http(s) URLs', () => {
+            assert.equal(Html.safeUrl(' https://example.com/a b '), 'https://example.com/a%20b');
+            assert.equal(Html.safeUrl('http://example.com'), 'http://example.com/');
+        });
+
+        it('enforces the host allow-list', () => {
+            const hosts = ['wa.me'];
+
+            assert.equal(Html.safeUrl('https://wa.me/966500000000', hosts), 'https://wa.me/966500000000');
+            assert.equal(Html.safeUrl('https://WA.ME/1', hosts), 'https://wa.me/1');
+            assert.equal(Html.safeUrl('https://wa.me.evil.com/1', hosts), null);
+            assert.equal(Html.safeUrl('https://wa.me@evil.com/1', hosts), null);
+        });
+
+        it('encodes quote breakouts so the result is safe inside an attribute', () => {
+            const url = Html.safeUrl(`https://example.com/${QUOTE_BREAKOUT}`);
+            assert.ok(!url.includes('"'));
+        });
+    });
+
+    describe('socialUrl', () => {
+        it('builds profile URLs from handles and numbers', () => {
+            assert.equal(Html.socialUrl('whatsapp', '+966 50 000 0000'), 'https://wa.me/966500000000');
+            assert.equal(Html.socialUrl('instagram', '@elamra.gold'), 'https://instagram.com/elamra.gold');
+            assert.equal(Html.socialUrl('facebook', 'elamra-gold'), 'https://facebook.com/elamra-gold');
+        });
+
+        it('accepts full profile URLs on the network host only', () => {
+            assert.equal(Html.socialUrl('instagram', 'https://www.instagram.com/elamra'), 'https://www.instagram.com/elamra');
+            assert.equal(Html.socialUrl('instagram', 'https://facebook.com/elamra'), null);
+            assert.equal(Html.socialUrl('facebook', 'https://facebook.com.evil.com/elamra'), null);
+            assert.equal(Html.socialUrl('whatsapp', 'https://evil.com/?wa.me'), null);
+        });
+
+        it('rejects script URLs and handles that break out of the path', () => {
+            ['javascript:alert(1)', 'data:text/html,x', '../../evil', 'elamra"><script>', 'elamra/../x', 'elamra?x=1']
+                .forEach(value => {
+                    assert.equal(Html.socialUrl('instagram', value), null, value);
+                    assert.equal(Html.socialUrl('facebook', value), null, value);
+                });
+            assert.equal(Html.socialUrl('whatsapp', 'javascript:alert(1)'), null);
+        });
+
+        it('returns null for unknown networks and empty values', () => {
+            assert.equal(Html.socialUrl('tiktok', 'elamra'), null);
+            assert.equal(Html.socialUrl('instagram', ''), null);
+            assert.equal(Html.socialUrl('instagram', null), null);
+        });
+    });
+});
+
+describe('renderers with hostile API data', () => {
+    let baseUrl;
+    let page;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+
+        mock.db.goldPrices[0].goldTypeName = XSS_TAG;
+        mock.db.goldPrices[1].id = QUOTE_BREAKOUT;
+        mock.db.currencyRates[0].currencyName = XSS_TAG;
+        mock.db.currencyRates[0].flagEmoji = XSS_TAG;
+        mock.db.currencyRates[1].currencyCode = XSS_TAG;
+        Object.assign(mock.db.settings.store, {
+            name: XSS_TAG,
+            whatsapp: 'javascript:alert(1)',
+            instagram: 'https://evil.com/elamra',
+            facebook: `elamra${QUOTE_BREAKOUT}`
+        });
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    afterEach(() => {
+        if (page.window.app) page.window.app.stopAutoUpdate();
+        page.close();
+    });
+
+    const assertInert = (container) => {
+        assert.equal(container.querySelector('img, script'), null);
+        assert.equal(container.querySelector('[onerror], [onmouseover]'), null);
+        assert.equal(page.window.pwned, undefined);
+    };
+
+    it('escapes gold and currency cards', async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+
+        const gold = page.document.getElementById('gold-prices-grid');
+        const currency = page.document.getElementById('currency-rates-grid');
+
+        assertInert(gold);
+        assertInert(currency);
+        assert.equal(gold.querySelector('.card-title').textContent, XSS_TAG);
+        assert.equal(gold.querySelectorAll('.card-price')[1].dataset.id, QUOTE_BREAKOUT);
+    });
+
+    it('escapes store info and drops unsafe social links', async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+
+        const footer = page.document.querySelector('footer');
+        assertInert(footer);
+        assert.equal(page.document.getElementById('footer-store-name').textContent, XSS_TAG);
+        ['whatsapp', 'instagram', 'facebook'].forEach(network => {
+            assert.equal(page.document.getElementById(`footer-${network}`).getAttribute('href'), '#', network);
+        });
+    });
+
+    it('escapes error and success messages', async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+
+        page.window.app.showError(XSS_TAG);
+        page.window.app.showSuccess(XSS_TAG);
+
+        assertInert(page.document.getElementById('error-container'));
+        assertInert(page.document.getElementById('success-container'));
+        assert.equal(page.document.querySelector('#error-container span').textContent, XSS_TAG);
+    });
+
+    it('escapes converter options and results', async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+
+        page.window.app.converter.renderResult({ amount: 1, from: XSS_TAG, to: `USD${QUOTE_BREAKOUT}`, result: 2, local: true });
+
+        const result = page.document.getElementById('converter-result');
+        assertInert(result);
+        assert.ok(result.textContent.includes(XSS_TAG));
+        assertInert(page.document.getElementById('converter-form'));
+    });
+
+    it('escapes admin user statistics', () => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+
+        page.global('UserManagement').prototype.renderStatistics({ total: XSS_TAG, active: 1 });
+
+        const stats = page.document.getElementById('users-stats');
+        assertInert(stats);
+        assert.equal(stats.querySelector('.stat-value').textContent, XSS_TAG);
+    });
+
+    it('escapes admin currency rate inputs', () => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+
+        const admin = Object.create(page.global('AdminDashboard').prototype);
+        const row = admin.createCurrencyRateRow({ id: 1, code: 'USD', name: 'دولار' }, { id: 1, buyRate: QUOTE_BREAKOUT, sellRate: XSS_TAG });
+        const table = page.document.getElementById('currency-rates-table');
+        table.innerHTML = row;
+
+        assertInert(table);
+        assert.equal(table.querySelector('input[name="buyRate"]').dataset.original, QUOTE_BREAKOUT);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * =====================================================
+   اختبارات الترجمة والتنسيق
+   I18n Tests
+ * =====================================================
+ * الملف: test/i18n.test.js
+ * الغرض: الترجمة مع المتغيرات، تبديل اللغة ونوع الأرقام وحفظهما، وتنسيق الأرقام والتواريخ
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('I18n', () => {
+    let baseUrl;
+    let page;
+    let I18n;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('index.html', baseUrl, { start: false });
+        I18n = page.global('I18n');
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('t', () => {
+        it('interpolates parameters and keeps unknown placeholders', () => {
+            I18n.locale = 'en';
+
+            assert.equal(I18n.t('countdown.hours', { hours: 2, minutes: 5 }), '2h 5m');
+            assert.equal(I18n.t('countdown.hours', { hours: 2 }), '2h {minutes}m');
+        });
+
+        it('falls back to Arabic, then to the key itself', () => {
+            const MESSAGES = page.global('MESSAGES');
+            MESSAGES.ar['test.onlyArabic'] = 'عربي';
+            I18n.locale = 'en';
+
+            assert.equal(I18n.t('test.onlyArabic'), 'عربي');
+            assert.equal(I18n.t('test.missing'), 'test.missing');
+        });
+    });
+
+    describe('formatNumber', () => {
+        it('uses fixed decimals with Latin digits by default', () => {
+            assert.equal(I18n.formatNumber(1234.5), '1,234.50');
+            assert.equal(I18n.formatNumber('7', 0), '7');
+        });
+
+        it('uses Arabic-Indic digits when selected', () => {
+            I18n.setDigits('arab');
+
+            assert.equal(I18n.formatNumber(25, 0), '٢٥');
+            assert.match(I18n.getLocaleTag(), /-nu-arab$/);
+        });
+
+        it('accepts extra Intl options', () => {
+            I18n.locale = 'en';
+
+            assert.equal(I18n.formatNumber(1.23456, 0, { maximumFractionDigits: 4 }), '1.2346');
+        });
+    });
+
+    describe('formatDate', () => {
+        // 19 أكتوبر 2026 يوافق 8 جمادى الأولى 1448 هـ
+        const date = Date.UTC(2026, 9, 19, 12);
+
+        it('uses the Gregorian calendar for Arabic', () => {
+            // بعض المتصفحات تعتمد التقويم الهجري لـ ar-SA ما لم يُحدد التقويم في الوسم
+            assert.match(I18n.getLocaleTag(), /^ar-SA-u-ca-gregory-/);
+
+            const formatted = I18n.formatDate(date, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+            assert.match(formatted, /2026/);
+            assert.match(formatted, /أكتوبر/);
+            assert.doesNotMatch(formatted, /1448/);
+        });
+
+        it('formats 24-hour times with the selected digits', () => {
+            I18n.setDigits('arab');
+
+            assert.match(I18n.formatTime(date), /^[٠-٩]{2}:[٠-٩]{2}:[٠-٩]{2}$/);
+        });
+    });
+
+    describe('preferences', () => {
+        it('switches locale, direction and data-i18n text, then notifies listeners', () => {
+            const changes = [];
+            I18n.onChange(locale => changes.push(locale));
+
+            I18n.setLocale('en');
+
+            assert.equal(page.document.documentElement.lang, 'en');
+            assert.equal(page.document.documentElement.dir, 'ltr');
+            assert.equal(page.document.getElementById('lang-btn').textContent, 'العربية');
+            assert.deepEqual(changes, ['en']);
+        });
+
+        it('ignores unknown or unchanged values', () => {
+            const changes = [];
+            I18n.onChange(locale => changes.push(locale));
+
+            I18n.setLocale('fr');
+            I18n.setLocale('ar');
+            I18n.setDigits('roman');
+
+            assert.deepEqual(changes, []);
+            assert.equal(I18n.locale, 'ar');
+        });
+
+        it('restores saved preferences on init', () => {
+            I18n.setLocale('en');
+            I18n.setDigits('arab');
+            I18n.locale = 'ar';
+            I18n.digits = 'latn';
+
+            I18n.init();
+
+            assert.equal(I18n.locale, 'en');
+            assert.equal(I18n.digits, 'arab');
+        });
+
+        it('ignores a corrupt saved value', () => {
+            page.window.localStorage.setItem(page.global('I18N_CONFIG').STORAGE_KEY, '{not json');
+
+            I18n.init();
+
+            assert.equal(I18n.locale, 'ar');
+        });
+    });
+});
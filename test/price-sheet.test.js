@@ -0,0 +1,206 @@
+/**
+ * =====================================================
+   اختبارات نشرة الأسعار
+   Price Sheet Tests
+ * =====================================================
+ * الملف: test/price-sheet.test.js
+ * الغرض: بناء صفوف النشرة ونصها، الطباعة، والمشاركة مع البديل عند عدم دعم Web Share
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('PriceSheet', () => {
+    let baseUrl;
+    let page;
+    let app;
+    let sheet;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(async () => {
+        page = loadPage('index.html', baseUrl);
+        await waitFor(() => page.window.app && page.window.app.updateInterval);
+        app = page.window.app;
+        sheet = app.priceSheet;
+        await waitFor(() => page.document.getElementById('footer-whatsapp').href.startsWith('https://wa.me/'));
+    });
+
+    afterEach(() => {
+        app.stopAutoUpdate();
+        page.close();
+    });
+
+    const notice = id => page.document.getElementById(id).textContent.trim();
+
+    /**
+     * ملف PNG بديل عن رسم canvas غير المدعوم في jsdom
+     * Stand-in PNG, since jsdom has no canvas
+     */
+    const stubImage = () => {
+        const file = new page.window.File(['png'], 'prices-2026-10-19.png', { type: 'image/png' });
+        sheet.createImageFile = async () => file;
+        return file;
+    };
+
+    /**
+     * نافذة منبثقة بديلة لـ window.open
+     * Stand-in for the window returned by window.open
+     */
+    const fakePopup = () => {
+        const popup = { calls: 0, opener: page.window, closed: false, location: { href: '' } };
+        popup.close = () => {
+            popup.closed = true;
+        };
+        page.window.open = () => {
+            popup.calls++;
+            return popup;
+        };
+        return popup;
+    };
+
+    describe('content', () => {
+        it('lists gold and currency rows with their decimals', () => {
+            const sections = sheet.getSections();
+
+            assert.equal(sections.length, 2);
+            assert.equal(sections[0].rows.length, mock.db.goldPrices.length);
+            assert.equal(sections[0].decimals, 2);
+            assert.equal(sections[1].decimals, 4);
+            assert.ok(sections[1].rows.some(row => row.label.includes('(USD)') && row.buy === 3.745));
+        });
+
+        it('drops empty sections', () => {
+            app.currencyRates = [];
+
+            const titles = sheet.getSections().map(section => section.title);
+            assert.deepEqual([...titles], [page.global('I18n').t('sheet.gold')]);
+        });
+
+        it('uses the latest price update as the sheet time', () => {
+            app.cacheTimes.goldPrices = 1000;
+            app.cacheTimes.currencyRates = 5000;
+
+            assert.equal(sheet.getTimestamp(), 5000);
+        });
+
+        it('builds one text line per row', () => {
+            const lines = sheet.buildText().split('\n');
+
+            assert.ok(lines[0].startsWith(app.storeInfo.name));
+            assert.ok(lines.some(line => line.includes('(24K)') && line.includes('320.50') && line.includes('325.00')));
+            assert.ok(lines.some(line => line.includes('(USD)') && line.includes('3.7450')));
+        });
+    });
+
+    describe('print', () => {
+        it('renders the sheet and clears the print mode afterwards', () => {
+            let printed = false;
+            page.window.print = () => {
+                printed = page.document.body.classList.contains('print-sheet');
+            };
+
+            page.document.getElementById('sheet-print-btn').click();
+
+            assert.equal(printed, true);
+            assert.equal(page.document.querySelectorAll('#price-sheet .sheet-table').length, 2);
+            assert.equal(page.document.querySelectorAll('#price-sheet tbody tr').length, mock.db.goldPrices.length + mock.db.currencyRates.length);
+
+            page.window.dispatchEvent(new page.window.Event('afterprint'));
+            assert.equal(page.document.body.classList.contains('print-sheet'), false);
+        });
+
+        it('escapes store details', () => {
+            app.storeInfo = { ...app.storeInfo, name: '<img src=x onerror=alert(1)>' };
+            page.window.print = () => {};
+
+            sheet.print();
+
+            assert.equal(page.document.querySelector('#price-sheet img'), null);
+            assert.equal(page.document.querySelector('#price-sheet h1').textContent, '<img src=x onerror=alert(1)>');
+        });
+    });
+
+    describe('share', () => {
+        it('shares the image through the Web Share API when files are supported', async () => {
+            const file = stubImage();
+            const shared = [];
+            Object.assign(page.window.navigator, {
+                canShare: () => true,
+                share: async data => shared.push(data)
+            });
+
+            await sheet.share();
+
+            assert.equal(shared.length, 1);
+            assert.equal(shared[0].files[0], file);
+            assert.equal(shared[0].text, sheet.buildText());
+            assert.equal(page.document.getElementById('sheet-share-btn').disabled, false);
+        });
+
+        it('downloads the image and sends the price text to a WhatsApp window opened on click', async () => {
+            stubImage();
+            const downloads = [];
+            const popup = fakePopup();
+            page.window.URL.createObjectURL = () => 'blob:sheet';
+            page.window.URL.revokeObjectURL = () => {};
+            page.document.addEventListener('click', event => {
+                if (event.target.download) {
+                    downloads.push(event.target.download);
+                    event.preventDefault();
+                }
+            });
+
+            const sharing = sheet.share();
+            // فُتحت النافذة قبل أي انتظار، وهي ما زالت فارغة
+            assert.equal(popup.calls, 1);
+            assert.equal(popup.location.href, '');
+            await sharing;
+
+            assert.deepEqual(downloads, ['prices-2026-10-19.png']);
+            assert.equal(popup.opener, null);
+            const target = new URL(popup.location.href);
+            assert.equal(target.hostname, 'wa.me');
+            assert.equal(target.searchParams.get('text'), sheet.buildText());
+            assert.ok(notice('success-container').includes(page.global('I18n').t('sheet.downloaded')));
+        });
+
+        it('stays quiet when the user cancels the share dialog', async () => {
+            stubImage();
+            Object.assign(page.window.navigator, {
+                canShare: () => true,
+                share: async () => {
+                    throw new page.window.DOMException('cancelled', 'AbortError');
+                }
+            });
+
+            await sheet.share();
+
+            assert.equal(notice('error-container'), '');
+            assert.equal(notice('success-container'), '');
+        });
+
+        it('reports a failed image export and closes the WhatsApp window', async () => {
+            const errors = [];
+            const popup = fakePopup();
+            sheet.createImageFile = async () => {
+                throw new Error('Canvas export failed');
+            };
+            app.showError = message => errors.push(message);
+            page.window.console.error = () => {};
+
+            await sheet.share();
+
+            assert.deepEqual(errors, [page.global('I18n').t('sheet.shareFailed')]);
+            assert.equal(popup.closed, true);
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * =====================================================
+   اختبارات التحديثات الفورية
+   Realtime Channel Tests
+ * =====================================================
+ * الملف: test/realtime.test.js
+ * الغرض: الاتصال عبر SSE بالخادم التجريبي، التأخير المتزايد، والرجوع للاستطلاع
+ * =====================================================
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventSource = require('eventsource');
+const { mock, startMockServer, stopMockServer, loadPage, waitFor } = require('./helpers');
+
+describe('realtime', () => {
+    let baseUrl;
+    let page;
+    let channel;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    afterEach(() => {
+        if (channel) channel.disconnect();
+        channel = null;
+        if (page.window.app) page.window.app.stopAutoUpdate();
+        page.close();
+    });
+
+    /**
+     * صفحة بها EventSource (غير موجود في jsdom)
+     * Page with an EventSource implementation
+     */
+    const load = (file, options = {}) => loadPage(file, baseUrl, {
+        ...options,
+        beforeScripts: window => {
+            window.EventSource = EventSource;
+            if (options.beforeScripts) options.beforeScripts(window);
+        }
+    });
+
+    describe('RealtimeChannel', () => {
+        it('connects over SSE and receives pushed price updates', async () => {
+            page = load('login.html');
+            channel = new (page.global('RealtimeChannel'))();
+            const received = [];
+            channel.on('gold:prices', data => received.push(data));
+
+            channel.connect();
+            await waitFor(() => channel.status === 'open');
+            await waitFor(() => received.length === 1);
+
+            await page.global('AuthAPI').login('admin', 'admin123');
+            await page.global('GoldAPI').updatePrice(1, { buyPrice: 400, sellPrice: 405 });
+
+            await waitFor(() => received.length === 2);
+            assert.equal(received[1].find(price => price.id === 1).buyPrice, 400);
+        });
+
+        it('reconnects with exponential backoff capped at maxDelay', async () => {
+            const delays = [];
+            page = load('login.html', {
+                beforeScripts: window => {
+                    const setTimeout = window.setTimeout.bind(window);
+                    window.setTimeout = (handler, ms) => {
+                        delays.push(ms);
+                        return setTimeout(handler, ms);
+                    };
+                }
+            });
+
+            channel = new (page.global('RealtimeChannel'))({ url: `${baseUrl}/api/missing`, baseDelay: 10, maxDelay: 40 });
+            const statuses = [];
+            channel.onStatusChange(status => statuses.push(status));
+
+            channel.connect();
+            await waitFor(() => channel.attempt >= 4);
+            channel.disconnect();
+
+            // التأخير مع تذبذب حتى 20%
+            [10, 20, 40, 40].forEach((expected, index) => {
+                assert.ok(delays[index] >= expected && delays[index] <= expected * 1.2, `attempt ${index}: ${delays[index]}`);
+            });
+            assert.deepEqual(statuses.slice(0, 4), ['connecting', 'closed', 'connecting', 'closed']);
+        });
+
+        it('resets the backoff once connected', async () => {
+            page = load('login.html');
+            channel = new (page.global('RealtimeChannel'))({ baseDelay: 10 });
+            channel.attempt = 5;
+
+            channel.connect();
+            await waitFor(() => channel.status === 'open');
+
+            assert.equal(channel.attempt, 0);
+        });
+
+        it('reports unavailable when the transport is not supported', () => {
+            page = loadPage('login.html', baseUrl);
+            channel = new (page.global('RealtimeChannel'))();
+
+            channel.connect();
+
+            assert.equal(channel.status, 'unavailable');
+            assert.equal(channel.reconnectTimer, null);
+        });
+    });
+
+    describe('GoldMarketApp', () => {
+        const loadApp = async () => {
+            page = load('index.html');
+            await waitFor(() => page.window.app && page.window.app.realtime && page.window.app.realtime.status === 'open');
+            return page.window.app;
+        };
+
+        it('stops polling while the channel is open and applies pushed events', async () => {
+            const app = await loadApp();
+            assert.equal(app.updateInterval, null);
+
+            mock.broadcast('market:status', { isOpen: !app.marketStatus.isOpen });
+            const expected = !app.marketStatus.isOpen;
+            await waitFor(() => app.marketStatus.isOpen === expected);
+
+            const card = page.document.querySelector('#gold-prices-grid [data-id="2"]');
+            mock.db.goldPrices[1].sellPrice += 3;
+            mock.broadcast('gold:prices', mock.db.goldPrices[1]);
+
+            await waitFor(() => !page.document.querySelector('#gold-prices-grid').contains(card));
+            assert.ok(page.document.querySelector('#gold-prices-grid [data-id="2"] .price-change.up'));
+        });
+
+        it('falls back to polling when the channel drops and resumes after reconnect', async () => {
+            const app = await loadApp();
+            app.realtime.baseDelay = 10;
+
+            mock.server.closeAllConnections();
+            await waitFor(() => app.realtime.status === 'closed');
+            assert.notEqual(app.updateInterval, null);
+
+            await waitFor(() => app.realtime.status === 'open');
+            assert.equal(app.updateInterval, null);
+        });
+    });
+});
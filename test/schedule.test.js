@@ -0,0 +1,144 @@
+/**
+ * =====================================================
+   اختبارات جدول مواعيد السوق
+   Market Schedule Tests
+ * =====================================================
+ * الملف: test/schedule.test.js
+ * الغرض: حالة السوق، موعد التغيير القادم مع أيام العطل، وتنسيق العد التنازلي
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('MarketSchedule', () => {
+    let baseUrl;
+    let page;
+    let MarketSchedule;
+    let schedule;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('index.html', baseUrl, { start: false });
+        MarketSchedule = page.global('MarketSchedule');
+        // الجمعة (5) عطلة أسبوعية
+        schedule = new MarketSchedule({
+            openTime: '09:00',
+            closeTime: '22:00',
+            workingDays: [0, 1, 2, 3, 4, 6],
+            holidays: ['2026-10-20']
+        });
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    // 2026-10-19 يوم اثنين، والأوقات بتوقيت الرياض (UTC+3)
+    const at = (day, hours, minutes = 0) => new Date(Date.UTC(2026, 9, day, hours - 3, minutes));
+
+    // التواريخ من سياق الصفحة تُقارن كأرقام
+    const state = ({ isOpen, nextChange }) => ({ isOpen, nextChange: nextChange && nextChange.getTime() });
+
+    describe('parseTime', () => {
+        it('parses HH:MM and HH:MM:SS into minutes', () => {
+            assert.equal(MarketSchedule.parseTime('09:30'), 570);
+            assert.equal(MarketSchedule.parseTime('22:00:00'), 1320);
+        });
+
+        it('returns null for missing or malformed times', () => {
+            assert.equal(MarketSchedule.parseTime(''), null);
+            assert.equal(MarketSchedule.parseTime('nine'), null);
+            assert.equal(MarketSchedule.parseTime(undefined), null);
+        });
+    });
+
+    describe('getState', () => {
+        it('is open between opening and closing on a working day', () => {
+            assert.deepEqual(state(schedule.getState(at(19, 10))), { isOpen: true, nextChange: at(19, 22).getTime() });
+            assert.equal(schedule.isOpenAt(at(19, 9)), true);
+            assert.equal(schedule.isOpenAt(at(19, 22)), false);
+        });
+
+        it('opens later the same day before opening time', () => {
+            assert.deepEqual(state(schedule.getState(at(19, 7, 30))), { isOpen: false, nextChange: at(19, 9).getTime() });
+        });
+
+        it('skips holidays and the weekly day off', () => {
+            // بعد إغلاق الاثنين: الثلاثاء عطلة رسمية
+            assert.deepEqual(state(schedule.getState(at(19, 23))), { isOpen: false, nextChange: at(21, 9).getTime() });
+            // الجمعة عطلة أسبوعية
+            assert.equal(schedule.isOpenAt(at(23, 12)), false);
+            assert.deepEqual(state(schedule.getState(at(23, 12))), { isOpen: false, nextChange: at(24, 9).getTime() });
+        });
+
+        it('reports no next change for an invalid schedule', () => {
+            const invalid = new MarketSchedule({ openTime: '22:00', closeTime: '09:00' });
+
+            assert.equal(invalid.isValid(), false);
+            assert.deepEqual(state(invalid.getState(at(19, 12))), { isOpen: false, nextChange: null });
+        });
+
+        it('uses the store time zone whatever the device time zone is', (t) => {
+            const deviceZone = process.env.TZ;
+            t.after(() => {
+                if (deviceZone === undefined) delete process.env.TZ;
+                else process.env.TZ = deviceZone;
+            });
+
+            process.env.TZ = 'America/New_York';
+
+            // 08:30 في الرياض هو مساء الأحد في نيويورك
+            assert.equal(schedule.isOpenAt(at(19, 8, 30)), false);
+            assert.equal(schedule.isOpenAt(at(19, 9, 30)), true);
+            assert.deepEqual(state(schedule.getState(at(19, 8, 30))), { isOpen: false, nextChange: at(19, 9).getTime() });
+        });
+
+        it('follows the time zone from the settings, falling back to the default', () => {
+            const london = new MarketSchedule({ openTime: '09:00', closeTime: '22:00', timeZone: 'Europe/London' });
+            const invalid = new MarketSchedule({ openTime: '09:00', closeTime: '22:00', timeZone: 'Mars/Olympus' });
+
+            // لندن على توقيت BST (UTC+1) في أكتوبر، فالساعة 09:00 هناك هي 11:00 في الرياض
+            assert.equal(london.isOpenAt(at(19, 10, 30)), false);
+            assert.equal(london.getState(at(19, 10, 30)).nextChange.getTime(), at(19, 11).getTime());
+            assert.equal(invalid.timeZone, 'Asia/Riyadh');
+        });
+
+        it('keeps the opening wall time across a daylight saving change', () => {
+            const london = new MarketSchedule({ openTime: '09:00', closeTime: '22:00', workingDays: [0, 1, 2, 3, 4, 5, 6], timeZone: 'Europe/London' });
+
+            // تنتهي BST فجر الأحد 2026-10-25، فيفتح السوق 09:00 GMT
+            const nextChange = london.getState(new Date(Date.UTC(2026, 9, 24, 22))).nextChange;
+            assert.equal(nextChange.getTime(), Date.UTC(2026, 9, 25, 9));
+        });
+
+        it('reports no next change when there are no working days', () => {
+            const closed = new MarketSchedule({ openTime: '09:00', closeTime: '22:00', workingDays: [] });
+
+            assert.equal(closed.getState(at(19, 12)).nextChange, null);
+        });
+    });
+
+    describe('formatCountdown', () => {
+        it('shows minutes and zero-padded seconds under an hour', () => {
+            assert.equal(MarketSchedule.formatCountdown(5 * 60000 + 7000), '5:07');
+            assert.equal(MarketSchedule.formatCountdown(-1000), '0:00');
+        });
+
+        it('shows hours and minutes, then days and hours', () => {
+            const I18n = page.global('I18n');
+            I18n.locale = 'en';
+
+            assert.equal(MarketSchedule.formatCountdown((2 * 3600 + 15 * 60) * 1000), '2h 15m');
+            assert.equal(MarketSchedule.formatCountdown((3 * 86400 + 4 * 3600) * 1000), '3d 4h');
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * =====================================================
+   اختبارات إدارة الجلسة
+   Session Manager Tests
+ * =====================================================
+ * الملف: test/session.test.js
+ * الغرض: جدولة تجديد الجلسة قبل انتهائها، المهلة الدنيا، والتوقف بعد فشل التجديد
+ * =====================================================
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, stopMockServer, loadPage } = require('./helpers');
+
+describe('SessionManager', () => {
+    let baseUrl;
+    let page;
+    let session;
+    let SESSION_CONFIG;
+    let delays;
+
+    before(async () => {
+        baseUrl = await startMockServer();
+    });
+
+    after(async () => {
+        await stopMockServer();
+    });
+
+    beforeEach(() => {
+        page = loadPage('admin.html', baseUrl, { start: false });
+        SESSION_CONFIG = page.global('SESSION_CONFIG');
+        session = new (page.global('SessionManager'))();
+        session.session = {};
+
+        // تسجيل مهل التجديد بدل تشغيلها
+        delays = [];
+        page.window.setTimeout = (callback, delay) => {
+            delays.push(delay);
+            return delays.length;
+        };
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const expiresIn = ms => new Date(Date.now() + ms).toISOString();
+
+    describe('scheduleRefresh', () => {
+        it('refreshes one margin ahead of expiry', () => {
+            session.session.expiresAt = expiresIn(10 * 60 * 1000);
+
+            session.scheduleRefresh();
+
+            const expected = 10 * 60 * 1000 - SESSION_CONFIG.REFRESH_MARGIN;
+            assert.ok(Math.abs(delays[0] - expected) < 1000, String(delays[0]));
+        });
+
+        it('waits at least the minimum delay when expiry is closer than the margin', () => {
+            session.session.expiresAt = expiresIn(5000);
+            session.scheduleRefresh();
+
+            session.session.expiresAt = expiresIn(-5000);
+            session.scheduleRefresh();
+
+            assert.deepEqual(delays, [SESSION_CONFIG.MIN_REFRESH_DELAY, SESSION_CONFIG.MIN_REFRESH_DELAY]);
+        });
+
+        it('uses the default interval without an expiry', () => {
+            session.scheduleRefresh();
+
+            assert.deepEqual(delays, [SESSION_CONFIG.DEFAULT_REFRESH_INTERVAL]);
+        });
+    });
+
+    describe('refresh', () => {
+        it('stores the new expiry and schedules the next refresh', async () => {
+            await page.global('AuthAPI').login('admin', 'admin123');
+            session.session.expiresAt = expiresIn(5000);
+
+            await session.refresh();
+
+            // مهل الطلب نفسه تُسجل أيضًا، فالمعتبر مؤقت التجديد
+            assert.ok(new Date(session.session.expiresAt).getTime() > Date.now() + 60 * 1000);
+            assert.ok(delays[session.refreshTimer - 1] > SESSION_CONFIG.MIN_REFRESH_DELAY);
+        });
+
+        it('stops after a failed refresh', async () => {
+            page.window.console.error = () => {};
+            page.global('AuthAPI').refreshSession = async () => {
+                throw Object.assign(new Error('Server error'), { status: 500 });
+            };
+
+            await session.refresh();
+
+            assert.deepEqual(delays, []);
+        });
+
+        it('stops after an unsuccessful response', async () => {
+            page.window.console.error = () => {};
+            page.global('AuthAPI').refreshSession = async () => ({ success: false, message: 'Refresh failed' });
+
+            await session.refresh();
+
+            assert.deepEqual(delays, []);
+        });
+    });
+});